@@ -0,0 +1,266 @@
+import { useState, useRef } from "react";
+import { isImageFile } from "./textureUtils.js";
+
+const ALL_LAYERS = "__all__";
+
+/**
+ * ArtworkGallery Component
+ *
+ * Thumbnail strip of the artworks from the gallery manifest (see artworkGallery.js) plus the
+ * images the user uploaded. One click applies an artwork to the chosen print layer (or to all
+ * of them); the full-resolution texture is only loaded when an artwork is first applied.
+ *
+ * @param {Object} props
+ * @param {Array} props.artworks - Gallery entries { id, name, path, thumbnail, origin: "manifest"|"upload" }
+ * @param {Array} props.textureLayers - Texture layers { id, meshName, materialIndex } the artwork can go on
+ * @param {Object} props.artworkSources - { [layerId]: source } of the artwork on each layer (source.artworkId marks gallery items)
+ * @param {Function} props.onApply - Callback with (artwork, layerId); layerId is null for all layers
+ * @param {Function} props.onUpload - Callback with the image files the user picked or dropped
+ * @param {Function} props.onRemove - Callback with an uploaded artwork to remove from the gallery
+ * @param {string|null} props.loadingArtworkId - Artwork whose full-resolution texture is loading
+ * @param {boolean} props.collapsible - Whether the UI should be collapsible (default: true)
+ */
+export default function ArtworkGallery({
+  artworks = [],
+  textureLayers = [],
+  artworkSources = {},
+  onApply,
+  onUpload,
+  onRemove,
+  loadingArtworkId = null,
+  collapsible = true,
+}) {
+  const [showGallery, setShowGallery] = useState(!collapsible);
+  const [targetLayerId, setTargetLayerId] = useState(ALL_LAYERS);
+  const [failedThumbnails, setFailedThumbnails] = useState(() => new Set());
+  const [isDragOver, setIsDragOver] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const activeTargetId = textureLayers.some((l) => l.id === targetLayerId) ? targetLayerId : ALL_LAYERS;
+  const appliedIds = new Set(
+    Object.values(artworkSources)
+      .map((source) => source?.artworkId)
+      .filter(Boolean)
+  );
+
+  const addFiles = (fileList) => {
+    const files = Array.from(fileList || []).filter(isImageFile);
+    if (files.length > 0 && onUpload) onUpload(files);
+  };
+
+  const handleDrop = (e) => {
+    if (!Array.from(e.dataTransfer?.types || []).includes("Files")) return;
+    // Keep the drop away from the viewer's model drop zone
+    e.preventDefault();
+    e.stopPropagation();
+    setIsDragOver(false);
+    addFiles(e.dataTransfer.files);
+  };
+
+  return (
+    <div style={{ fontFamily: "monospace", fontSize: 12 }}>
+      {collapsible && (
+        <button
+          onClick={() => setShowGallery(!showGallery)}
+          style={{
+            width: "100%",
+            padding: 10,
+            border: 0,
+            borderRadius: 6,
+            background: showGallery ? "#555" : "#444",
+            color: "white",
+            cursor: "pointer",
+            fontWeight: 700,
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center",
+          }}
+        >
+          <span>Artwork Gallery ({artworks.length})</span>
+          <span>{showGallery ? "−" : "+"}</span>
+        </button>
+      )}
+
+      {showGallery && (
+        <div
+          style={{
+            marginTop: collapsible ? 10 : 0,
+            padding: 4,
+            borderRadius: 6,
+            border: isDragOver ? "1px dashed #FF9800" : "1px dashed transparent",
+          }}
+          onDragOver={(e) => {
+            if (!Array.from(e.dataTransfer?.types || []).includes("Files")) return;
+            e.preventDefault();
+            e.stopPropagation();
+            e.dataTransfer.dropEffect = "copy";
+            setIsDragOver(true);
+          }}
+          onDragLeave={(e) => {
+            if (!e.currentTarget.contains(e.relatedTarget)) setIsDragOver(false);
+          }}
+          onDrop={handleDrop}
+        >
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="image/*"
+            multiple
+            style={{ display: "none" }}
+            onChange={(e) => {
+              addFiles(e.target.files);
+              e.target.value = ""; // Allow picking the same files again
+            }}
+          />
+
+          <label style={{ display: "flex", alignItems: "center", gap: 6, marginBottom: 8, fontSize: 10 }}>
+            <span style={{ opacity: 0.8 }}>Apply to</span>
+            <select
+              value={activeTargetId}
+              onChange={(e) => setTargetLayerId(e.target.value)}
+              style={{
+                flex: 1,
+                padding: 4,
+                borderRadius: 4,
+                border: "1px solid rgba(255,255,255,0.2)",
+                background: "#333",
+                color: "white",
+                fontFamily: "monospace",
+                fontSize: 10,
+              }}
+            >
+              <option value={ALL_LAYERS}>All print layers ({textureLayers.length})</option>
+              {textureLayers.map((layer) => (
+                <option key={layer.id} value={layer.id}>
+                  {layer.meshName} [{layer.materialIndex}]
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <div style={{ display: "flex", gap: 6, overflowX: "auto", paddingBottom: 6 }}>
+            {artworks.map((artwork) => {
+              const isApplied = appliedIds.has(artwork.id);
+              const isLoading = artwork.id === loadingArtworkId;
+              const disabled = textureLayers.length === 0 || !!loadingArtworkId;
+              return (
+                <div key={artwork.id} style={{ position: "relative", flexShrink: 0 }}>
+                  <button
+                    onClick={() => onApply && onApply(artwork, activeTargetId === ALL_LAYERS ? null : activeTargetId)}
+                    disabled={disabled}
+                    title={`${artwork.name} - click to apply`}
+                    style={{
+                      width: 64,
+                      height: 64,
+                      padding: 0,
+                      borderRadius: 6,
+                      border: isApplied ? "2px solid #4CAF50" : "2px solid rgba(255,255,255,0.1)",
+                      background: "#333",
+                      cursor: disabled ? "not-allowed" : "pointer",
+                      opacity: disabled && !isLoading ? 0.6 : 1,
+                      overflow: "hidden",
+                      display: "flex",
+                      alignItems: "center",
+                      justifyContent: "center",
+                      color: "white",
+                      fontWeight: 700,
+                    }}
+                  >
+                    {failedThumbnails.has(artwork.id) ? (
+                      artwork.name.charAt(0).toUpperCase()
+                    ) : (
+                      <img
+                        src={artwork.thumbnail}
+                        alt={artwork.name}
+                        loading="lazy"
+                        decoding="async"
+                        width={60}
+                        height={60}
+                        style={{ objectFit: "cover", display: "block" }}
+                        onError={() => setFailedThumbnails((prev) => new Set(prev).add(artwork.id))}
+                      />
+                    )}
+                  </button>
+                  {isLoading && (
+                    <div
+                      style={{
+                        position: "absolute",
+                        inset: 0,
+                        borderRadius: 6,
+                        background: "rgba(0,0,0,0.6)",
+                        display: "flex",
+                        alignItems: "center",
+                        justifyContent: "center",
+                        fontSize: 9,
+                        pointerEvents: "none",
+                      }}
+                    >
+                      Loading…
+                    </div>
+                  )}
+                  {artwork.origin === "upload" && onRemove && (
+                    <button
+                      onClick={() => onRemove(artwork)}
+                      title="Remove from gallery"
+                      style={{
+                        position: "absolute",
+                        top: 2,
+                        right: 2,
+                        width: 16,
+                        height: 16,
+                        padding: 0,
+                        border: 0,
+                        borderRadius: 8,
+                        background: "rgba(0,0,0,0.7)",
+                        color: "white",
+                        cursor: "pointer",
+                        fontSize: 10,
+                        lineHeight: "16px",
+                      }}
+                    >
+                      ×
+                    </button>
+                  )}
+                  <div
+                    style={{
+                      width: 64,
+                      marginTop: 2,
+                      fontSize: 9,
+                      opacity: 0.8,
+                      overflow: "hidden",
+                      textOverflow: "ellipsis",
+                      whiteSpace: "nowrap",
+                    }}
+                  >
+                    {artwork.name}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            style={{
+              width: "100%",
+              marginTop: 4,
+              padding: 6,
+              border: 0,
+              borderRadius: 4,
+              background: "#FF9800",
+              color: "white",
+              cursor: "pointer",
+              fontSize: 10,
+              fontWeight: 600,
+            }}
+          >
+            Add images…
+          </button>
+          <div style={{ marginTop: 6, fontSize: 9, opacity: 0.6 }}>
+            Or drop image files here. Uploaded images stay in the gallery until the page reloads.
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
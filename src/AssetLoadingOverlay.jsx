@@ -0,0 +1,114 @@
+import { formatBytes } from "./assetLoading.js";
+
+/**
+ * AssetLoadingOverlay Component
+ *
+ * Shows one progress row per asset being downloaded (model, HDRI, test textures) with
+ * a byte progress bar, a Cancel button while downloading or processing, and Retry once it
+ * failed or was cancelled.
+ * Finished assets are removed from the list by the parent.
+ *
+ * @param {Object} props
+ * @param {Array} props.assets - Array of { id, label, status: "loading"|"processing"|"error"|"cancelled", loaded, total, error }
+ * @param {Function} props.onCancel - Callback with the asset id to abort its download or processing
+ * @param {Function} props.onRetry - Callback with the asset id to start its download again
+ * @param {Function} props.onDismiss - Callback with the asset id to hide a failed/cancelled row
+ */
+export default function AssetLoadingOverlay({ assets = [], onCancel, onRetry, onDismiss }) {
+  if (assets.length === 0) return null;
+
+  const buttonStyle = {
+    padding: "4px 10px",
+    border: 0,
+    borderRadius: 4,
+    color: "white",
+    cursor: "pointer",
+    fontSize: 10,
+    fontWeight: 600,
+  };
+
+  return (
+    <div
+      style={{
+        position: "absolute",
+        top: 16,
+        left: "50%",
+        transform: "translateX(-50%)",
+        width: 340,
+        maxWidth: "calc(100vw - 280px)",
+        background: "rgba(0,0,0,0.85)",
+        color: "white",
+        padding: 12,
+        borderRadius: 10,
+        zIndex: 15,
+        fontFamily: "monospace",
+        fontSize: 12,
+      }}
+    >
+      {assets.map((asset) => {
+        const isActive = asset.status === "loading" || asset.status === "processing";
+        const percent = asset.total > 0 ? Math.min(100, (asset.loaded / asset.total) * 100) : null;
+        const statusText =
+          asset.status === "processing"
+            ? "Processing…"
+            : asset.status === "cancelled"
+            ? "Cancelled"
+            : asset.status === "error"
+            ? "Failed"
+            : percent !== null
+            ? `${formatBytes(asset.loaded)} / ${formatBytes(asset.total)}`
+            : formatBytes(asset.loaded);
+
+        return (
+          <div key={asset.id} style={{ marginBottom: 10 }}>
+            <div style={{ display: "flex", justifyContent: "space-between", marginBottom: 4, gap: 8 }}>
+              <span style={{ fontWeight: 700, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+                {asset.label}
+              </span>
+              <span style={{ opacity: 0.7, flexShrink: 0, color: asset.status === "error" ? "#ff6b6b" : undefined }}>
+                {statusText}
+              </span>
+            </div>
+
+            {/* Progress bar - indeterminate (full, dimmed) when the size is unknown */}
+            <div style={{ height: 6, background: "rgba(255,255,255,0.1)", borderRadius: 3, overflow: "hidden" }}>
+              <div
+                style={{
+                  height: "100%",
+                  width: isActive ? `${percent ?? 100}%` : "100%",
+                  background: asset.status === "error" ? "#ff6b6b" : asset.status === "cancelled" ? "#666" : "#2196F3",
+                  opacity: isActive && percent === null ? 0.4 : 1,
+                  transition: "width 0.15s",
+                }}
+              />
+            </div>
+
+            {asset.status === "error" && asset.error && (
+              <div style={{ fontSize: 10, color: "#ff6b6b", marginTop: 4, wordBreak: "break-word" }}>
+                {asset.error}
+              </div>
+            )}
+
+            <div style={{ display: "flex", gap: 6, marginTop: 6, justifyContent: "flex-end" }}>
+              {isActive && (
+                <button onClick={() => onCancel && onCancel(asset.id)} style={{ ...buttonStyle, background: "#666" }}>
+                  Cancel
+                </button>
+              )}
+              {!isActive && (
+                <>
+                  <button onClick={() => onRetry && onRetry(asset.id)} style={{ ...buttonStyle, background: "#2196F3" }}>
+                    Retry
+                  </button>
+                  <button onClick={() => onDismiss && onDismiss(asset.id)} style={{ ...buttonStyle, background: "#444" }}>
+                    Dismiss
+                  </button>
+                </>
+              )}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
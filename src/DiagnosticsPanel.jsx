@@ -0,0 +1,236 @@
+import { useState } from "react";
+import { downloadDiagnosticsReport } from "./modelDiagnostics.js";
+
+const SECTION_TITLES = {
+  naming: "1) Mesh + material roles",
+  printSurfaces: "2) Print surfaces",
+  sidedness: "3) Sidedness / thin planes",
+  scale: "4) Scale",
+  layers: "5) Swappable layers",
+  renderer: "6) Renderer + environment",
+  materialProperties: "7) Material properties (as loaded)",
+};
+
+const rowStyle = {
+  padding: "4px 6px",
+  marginBottom: 4,
+  background: "rgba(255,255,255,0.05)",
+  borderRadius: 4,
+  fontSize: 10,
+  wordBreak: "break-word",
+};
+
+// One line per entry; warnings for the same mesh are highlighted
+function renderSectionBody(key, data, warnedMeshes) {
+  if (!data) return <div style={{ ...rowStyle, opacity: 0.7 }}>Not available yet</div>;
+
+  const warnStyle = (meshName) =>
+    warnedMeshes.has(meshName) ? { ...rowStyle, border: "1px solid #FFA726", background: "rgba(255, 167, 38, 0.12)" } : rowStyle;
+
+  switch (key) {
+    case "naming":
+      return data.map((entry, idx) => (
+        <div key={idx} style={rowStyle} title={entry.reason}>
+          <b>{entry.meshName}</b> → {entry.materialName}: {entry.role}
+          <div style={{ opacity: 0.7 }}>
+            {entry.materialType} • map: {entry.hasMap ? "yes" : "no"} • PBR: {entry.pbrMaps.join(", ") || "none"}
+          </div>
+        </div>
+      ));
+    case "printSurfaces":
+      return data.length > 0 ? (
+        data.map((entry, idx) => (
+          <div key={idx} style={rowStyle}>
+            <b>{entry.meshName}</b> → {entry.materialName} (map: {entry.hasMap ? "yes" : "no"})
+          </div>
+        ))
+      ) : (
+        <div style={{ ...rowStyle, opacity: 0.7 }}>None</div>
+      );
+    case "sidedness":
+      return data.map((entry, idx) => (
+        <div key={idx} style={warnStyle(entry.meshName)}>
+          <b>{entry.meshName}</b> [{entry.materialIndex}]: {entry.side}
+          {entry.geometry && (
+            <div style={{ opacity: 0.7 }}>
+              {entry.geometry.vertices} verts • {entry.geometry.triangles} tris •{" "}
+              {entry.geometry.isThin ? "thin plane" : "solid"} (ratio {entry.geometry.thicknessRatio})
+            </div>
+          )}
+        </div>
+      ));
+    case "layers":
+      return data.length > 0 ? (
+        data.map((layer) => (
+          <div key={layer.id} style={rowStyle}>
+            <b>{layer.meshName}</b> [{layer.materialIndex}] → {layer.mapType}
+            {layer.printAspect && <span style={{ opacity: 0.7 }}> • aspect {layer.printAspect}</span>}
+            {layer.printSize && (
+              <span style={{ opacity: 0.7 }}>
+                {" "}
+                • {layer.printSize.width} × {layer.printSize.height} cm
+              </span>
+            )}
+            {layer.surfaceAspect && <span style={{ opacity: 0.7 }}> • measured {layer.surfaceAspect}</span>}
+          </div>
+        ))
+      ) : (
+        <div style={{ ...rowStyle, opacity: 0.7 }}>None</div>
+      );
+    case "materialProperties":
+      return data.map((entry, idx) => {
+        const { meshName, materialName, role, ...props } = entry;
+        return (
+          <div key={idx} style={warnStyle(meshName)}>
+            <b>{meshName}</b> → {materialName} ({role})
+            <div style={{ opacity: 0.7 }}>
+              {Object.entries(props)
+                .filter(([, value]) => value !== undefined)
+                .map(([name, value]) => `${name}=${typeof value === "number" ? Number(value.toFixed(3)) : value}`)
+                .join(", ")}
+            </div>
+          </div>
+        );
+      });
+    default:
+      // Plain objects (scale, renderer)
+      return (
+        <div style={rowStyle}>
+          {Object.entries(data).map(([name, value]) => (
+            <div key={name}>
+              {name}: {value && typeof value === "object" ? Object.values(value).join(" × ") : String(value)}
+            </div>
+          ))}
+        </div>
+      );
+  }
+}
+
+/**
+ * DiagnosticsPanel Component
+ *
+ * Shows the model diagnostics report (see modelDiagnostics.js) with highlighted warnings
+ * and one collapsible block per analysis section, and downloads it as a JSON report
+ * for asset QA tickets.
+ *
+ * @param {Object} props
+ * @param {Object} props.report - Report from buildModelDiagnostics() + withEnvironmentDiagnostics()
+ * @param {boolean} props.collapsible - Whether the UI should be collapsible (default: true)
+ */
+export default function DiagnosticsPanel({ report, collapsible = true }) {
+  const [showDiagnostics, setShowDiagnostics] = useState(!collapsible);
+  const [openSections, setOpenSections] = useState(() => new Set());
+
+  if (!report) return null;
+
+  const warnedMeshes = new Set(report.warnings.map((w) => w.meshName).filter(Boolean));
+
+  const toggleSection = (key) => {
+    setOpenSections((prev) => {
+      const next = new Set(prev);
+      if (next.has(key)) next.delete(key);
+      else next.add(key);
+      return next;
+    });
+  };
+
+  return (
+    <div style={{ fontFamily: "monospace", fontSize: 12 }}>
+      {collapsible && (
+        <button
+          onClick={() => setShowDiagnostics(!showDiagnostics)}
+          style={{
+            width: "100%",
+            padding: 10,
+            border: 0,
+            borderRadius: 6,
+            background: showDiagnostics ? "#555" : "#444",
+            color: "white",
+            cursor: "pointer",
+            fontWeight: 700,
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center",
+          }}
+        >
+          <span>
+            Diagnostics
+            {report.warnings.length > 0 && <span style={{ color: "#FFA726" }}> ⚠ {report.warnings.length}</span>}
+          </span>
+          <span>{showDiagnostics ? "−" : "+"}</span>
+        </button>
+      )}
+
+      {showDiagnostics && (
+        <div style={{ marginTop: collapsible ? 10 : 0, maxHeight: "400px", overflowY: "auto", paddingRight: 4 }}>
+          {report.warnings.length > 0 ? (
+            report.warnings.map((warning, idx) => (
+              <div
+                key={`${warning.code}-${idx}`}
+                style={{
+                  marginBottom: 6,
+                  padding: 6,
+                  borderRadius: 4,
+                  border: "1px solid #FFA726",
+                  background: "rgba(255, 167, 38, 0.15)",
+                  fontSize: 10,
+                }}
+              >
+                ⚠ {warning.message}
+              </div>
+            ))
+          ) : (
+            <div style={{ marginBottom: 6, padding: 6, borderRadius: 4, background: "rgba(76, 175, 80, 0.2)", fontSize: 10 }}>
+              ✓ No warnings
+            </div>
+          )}
+
+          {Object.entries(SECTION_TITLES).map(([key, title]) => (
+            <div key={key} style={{ marginBottom: 6 }}>
+              <button
+                onClick={() => toggleSection(key)}
+                style={{
+                  width: "100%",
+                  padding: 6,
+                  border: 0,
+                  borderRadius: 4,
+                  background: "rgba(255,255,255,0.08)",
+                  color: "white",
+                  cursor: "pointer",
+                  fontSize: 11,
+                  fontFamily: "monospace",
+                  display: "flex",
+                  justifyContent: "space-between",
+                }}
+              >
+                <span>{title}</span>
+                <span>{openSections.has(key) ? "−" : "+"}</span>
+              </button>
+              {openSections.has(key) && (
+                <div style={{ marginTop: 4 }}>{renderSectionBody(key, report.sections[key], warnedMeshes)}</div>
+              )}
+            </div>
+          ))}
+
+          <button
+            onClick={() => downloadDiagnosticsReport(report)}
+            style={{
+              width: "100%",
+              marginTop: 4,
+              padding: 8,
+              border: 0,
+              borderRadius: 4,
+              background: "#2196F3",
+              color: "white",
+              cursor: "pointer",
+              fontSize: 11,
+              fontWeight: 600,
+            }}
+          >
+            Download JSON report
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
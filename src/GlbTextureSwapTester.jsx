@@ -1,18 +1,94 @@
-import { useEffect, useRef, useState } from "react";
+import { useEffect, useMemo, useRef, useState } from "react";
 import * as THREE from "three";
 import { OrbitControls } from "three/addons/controls/OrbitControls.js";
-import { GLTFLoader } from "three/addons/loaders/GLTFLoader.js";
 import { RGBELoader } from "three/addons/loaders/RGBELoader.js";
 import USDZExporterButton from "./USDZExporter.jsx";
 import TextureLayerManager from "./TextureLayerManager.jsx";
 import TextureTransformModal from "./TextureTransformModal.jsx";
+import ModelCatalogSwitcher from "./ModelCatalogSwitcher.jsx";
+import { fetchModelCatalog } from "./modelCatalog.js";
+import ArtworkGallery from "./ArtworkGallery.jsx";
+import { fetchArtworkManifest, createUploadedArtwork, releaseArtwork } from "./artworkGallery.js";
+import { createDecoderLoaders, createGltfLoader, disposeGltfLoader } from "./gltfLoaders.js";
+import { fetchWithProgress, isAbortError } from "./assetLoading.js";
+import { makePrintTextureCrisp, isImageFile, loadImageFileTexture, applyArtworkTexture } from "./textureUtils.js";
+import { classifyMaterialRole, getPrintAspect } from "./materialRoleClassifier.js";
+import { measurePrintSurface } from "./printSurface.js";
+import { getPrintSize } from "./printResolution.js";
+import { applyMaterialTreatment, ROLE_RENDER_ORDER } from "./materialTreatments.js";
+import { SUBSTRATE_PRESETS, DEFAULT_SUBSTRATE_ID, getSubstratePreset, applySubstratePreset } from "./substratePresets.js";
+import AssetLoadingOverlay from "./AssetLoadingOverlay.jsx";
+import MaterialRolePanel from "./MaterialRolePanel.jsx";
+import MaterialInspector from "./MaterialInspector.jsx";
+import DiagnosticsPanel from "./DiagnosticsPanel.jsx";
+import HistoryPanel from "./HistoryPanel.jsx";
+import { createCommandHistory } from "./commandHistory.js";
+import { buildModelDiagnostics, withEnvironmentDiagnostics, logModelDiagnostics } from "./modelDiagnostics.js";
 
 // =========================
 // CONFIG
 // =========================
-const GLB_PATH = "/assets/models/Surfboard.glb";
-const TEST_IMAGE_1_PATH = "/assets/frames/image1.jpg";
-const TEST_IMAGE_2_PATH = "/assets/frames/image2.jpeg";
+const GLB_PATH = "/assets/models/Surfboard.glb"; // Fallback when the model catalog (models.json) is unavailable
+const HDRI_PATH = "/assets/hdr/studio2.hdr";
+const DEFAULT_CAMERA_POSITION = [0, 0.6, 3.5]; // Front view, slightly elevated
+const DEFAULT_CAMERA_FOV = 60;
+const MODEL_TARGET_SIZE = 2.5; // Largest model dimension after auto-scaling (scene units)
+const DEFAULT_LIGHTING = {
+  exposure: 2.00, // Even brighter for WhiteWall-style high-key look
+  ambient: 0.50, // WhiteWall-style: very low (reduced from 0.15 to avoid flat lighting)
+  key: 1.50, // WhiteWall-style: subtle key light (reduced from 0.6)
+  fill: 0.25, // WhiteWall-style: soft fill (reduced from 0.3)
+  rim: 0.35, // WhiteWall-style: edge highlight (reduced from 0.4)
+};
+
+// Dispose every geometry, material and texture under root (plus any extra textures/materials), each only once
+function disposeObject3D(root, extraTextures = [], extraMaterials = []) {
+  const geometries = new Set();
+  const materials = new Set();
+  const textures = new Set(extraTextures);
+
+  const addMaterial = (mat) => {
+    if (!mat) return;
+    materials.add(mat);
+    Object.values(mat).forEach((value) => {
+      if (value && value.isTexture) textures.add(value);
+    });
+  };
+
+  root.traverse((obj) => {
+    if (!obj.isMesh) return;
+    if (obj.geometry) geometries.add(obj.geometry);
+    const mats = Array.isArray(obj.material) ? obj.material : [obj.material];
+    mats.forEach(addMaterial);
+  });
+  for (const mat of extraMaterials) addMaterial(mat);
+
+  geometries.forEach((geometry) => geometry.dispose());
+  materials.forEach((mat) => mat.dispose());
+  textures.forEach((tex) => tex.dispose());
+}
+
+// Add every texture on the materials under root to the set
+function collectMaterialTextures(root, textures) {
+  root?.traverse((obj) => {
+    if (!obj.isMesh) return;
+    const mats = Array.isArray(obj.material) ? obj.material : [obj.material];
+    mats.forEach((mat) => {
+      if (!mat) return;
+      Object.values(mat).forEach((value) => {
+        if (value && value.isTexture) textures.add(value);
+      });
+    });
+  });
+  return textures;
+}
+
+// History label of an artwork change on a layer
+function describeArtworkChange(textureNumber, source) {
+  if (!source) return textureNumber != null ? `Test texture ${textureNumber}` : "Reset to original";
+  const kind = { gallery: "Artwork", transform: "Transform", canvas: "Drop" }[source.origin] || "Image";
+  return `${kind} "${source.name}"`;
+}
 
 export default function GlbTextureSwapTester() {
   const mountRef = useRef(null);
@@ -32,37 +108,84 @@ export default function GlbTextureSwapTester() {
 
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
+  const [modelName, setModelName] = useState("");
+  const [isDragOver, setIsDragOver] = useState(false);
+  const [isImageDragOver, setIsImageDragOver] = useState(false); // Dragging images (artwork) rather than a model
+  const loadTokenRef = useRef(0); // Incremented per load so stale results can be discarded
+  const fileInputRef = useRef(null);
+  const decodersRef = useRef(null); // Shared Draco decoder (+ renderer for the per-load KTX2 loaders) for compressed glTF
+  const pendingResourceMapRef = useRef(null); // Blob URLs of a local model load, kept until it succeeds (for retry)
+
+  // Asset downloads shown in the loading overlay: { [id]: { id, label, status, loaded, total, error } }
+  const [assetLoads, setAssetLoads] = useState({});
+  const assetControllersRef = useRef(new Map()); // Map<assetId, AbortController> of the current download
+  const assetRetriesRef = useRef(new Map()); // Map<assetId, Function> restarting that asset's load
+
+  // Model catalog (public/assets/models/models.json)
+  const [catalogModels, setCatalogModels] = useState([]);
+  const [selectedCatalogId, setSelectedCatalogId] = useState(null); // null when a local file is loaded
   const [materialSummary, setMaterialSummary] = useState(null); // { totalMeshes, totalMaterials, byType: { [type]: count } }
-  const [lighting, setLighting] = useState({
-    exposure: 2.00, // Even brighter for WhiteWall-style high-key look
-    ambient: 0.50, // WhiteWall-style: very low (reduced from 0.15 to avoid flat lighting)
-    key: 1.50, // WhiteWall-style: subtle key light (reduced from 0.6)
-    fill: 0.25, // WhiteWall-style: soft fill (reduced from 0.3)
-    rim: 0.35, // WhiteWall-style: edge highlight (reduced from 0.4)
-  });
+  const [lighting, setLighting] = useState(DEFAULT_LIGHTING);
   const [envRotation, setEnvRotation] = useState(0); // HDRI / environment yaw (degrees)
   const [reflectionIntensity, setReflectionIntensity] = useState(1.0); // Global reflection intensity multiplier (0.0 - 2.0)
+  // Latest multiplier for model loads started in an earlier render (a catalog switch sets both at once)
+  const reflectionIntensityRef = useRef(reflectionIntensity);
+  reflectionIntensityRef.current = reflectionIntensity;
   const [showLightingControls, setShowLightingControls] = useState(false);
   const [showReflections, setShowReflections] = useState(true); // Default to true for WhiteWall-style
   const envMapRef = useRef(null);
   const pmremGeneratorRef = useRef(null);
   const baseEnvMapIntensitiesRef = useRef(new Map()); // Store base envMapIntensity per material
+  const [environmentStatus, setEnvironmentStatus] = useState("loading"); // "loading" | "loaded" | "failed" | "cancelled"
+  const environmentStatusRef = useRef("loading"); // Same, readable from load callbacks
+
+  // Model diagnostics (see modelDiagnostics.js) - the environment section is added at render time
+  const [diagnostics, setDiagnostics] = useState(null);
 
   // Texture layer management
   const [textureLayers, setTextureLayers] = useState([]); // Array of { id, meshName, materialIndex, mapType, hasOriginal }
   const originalTexturesRef = useRef(new Map()); // Map<layerId, originalTexture>
-  const testTexture1Ref = useRef(null);
-  const testTexture2Ref = useRef(null);
+  const loadedMaterialsRef = useRef(new Map()); // Map<"meshId:materialIndex", untouched clone of the loaded material>
+  const nextLayerIdRef = useRef(0);
+  const [layerSubstrates, setLayerSubstrates] = useState({}); // { [layerId]: substrate preset id } - default preset when missing
+  const [artworkSources, setArtworkSources] = useState({}); // { [layerId]: metadata of the user image on the layer }
+  const layerArtworkRef = useRef(new Map()); // Map<layerId, { texture, source }> on the layer now (original texture when missing)
   const textureLoaderRef = useRef(null);
   const [showTextureLayers, setShowTextureLayers] = useState(false);
 
+  // Artwork gallery (public/assets/frames/artworks.json + user uploads)
+  const [artworks, setArtworks] = useState([]); // Array of { id, name, path, thumbnail, origin, file }
+  const artworksRef = useRef(artworks); // Latest gallery for loads started in an earlier render (mount, catalog switch)
+  artworksRef.current = artworks;
+  const [loadingArtworkId, setLoadingArtworkId] = useState(null);
+  const artworkTexturesRef = useRef(new Map()); // Map<artworkId, Promise<{ texture, source }>> - full resolution, loaded on first use
+
   // Mesh visibility management
-  const [meshes, setMeshes] = useState([]); // Array of { id, name, visible, mesh }
+  const [meshes, setMeshes] = useState([]); // Array of { id, name, visible, mesh, roles }
   const [showMeshControls, setShowMeshControls] = useState(false);
 
   // Texture Transform Modal state
   const [showTextureTransformModal, setShowTextureTransformModal] = useState(false);
 
+  // Undo / redo history of artwork, lighting and visibility changes (see commandHistory.js)
+  const [history, setHistory] = useState({ entries: [], index: 0 });
+  const historyRef = useRef(null);
+  if (!historyRef.current) {
+    historyRef.current = createCommandHistory({
+      onChange: ({ entries, index }) => setHistory({ entries, index }),
+      // Undone or trimmed swaps keep their textures alive for redo. Once no entry, material or
+      // original needs them, free their GPU copy (undo/redo may have re-uploaded it) so the
+      // images can be garbage collected.
+      onDiscard: (discarded, remaining) => {
+        const keep = collectMaterialTextures(modelRef.current, new Set(remaining.flatMap((entry) => entry.textures)));
+        originalTexturesRef.current.forEach((tex) => keep.add(tex));
+        new Set(discarded.flatMap((entry) => entry.textures)).forEach((tex) => {
+          if (tex && !keep.has(tex)) tex.dispose();
+        });
+      },
+    });
+  }
+
 
   useEffect(() => {
     if (!mountRef.current) return;
@@ -76,12 +199,12 @@ export default function GlbTextureSwapTester() {
 
     // Camera
     const camera = new THREE.PerspectiveCamera(
-      60,
+      DEFAULT_CAMERA_FOV,
       window.innerWidth / window.innerHeight,
       0.1,
       1000
     );
-    camera.position.set(0, 0.6, 3.5);
+    camera.position.set(...DEFAULT_CAMERA_POSITION);
     cameraRef.current = camera;
 
     // Renderer - WhiteWall-style settings
@@ -104,6 +227,9 @@ export default function GlbTextureSwapTester() {
     rendererRef.current = renderer;
     mountRef.current.appendChild(renderer.domElement);
 
+    // Decoders for Draco / Meshopt / KTX2-compressed glTF (served from public/assets/decoders)
+    decodersRef.current = createDecoderLoaders(renderer);
+
     // Controls - Enable full rotation
     const controls = new OrbitControls(camera, renderer.domElement);
     controls.enableDamping = true;
@@ -118,86 +244,13 @@ export default function GlbTextureSwapTester() {
     const textureLoader = new THREE.TextureLoader();
     textureLoaderRef.current = textureLoader;
 
-    // Function to make print textures crisp and high-quality
-    const makePrintTextureCrisp = (tex) => {
-      if (!tex) return;
-      tex.colorSpace = THREE.SRGBColorSpace;
-      tex.flipY = false;
-
-      // Sharp sampling for print-like crispness
-      tex.generateMipmaps = true; // Keep ON for stability
-      tex.minFilter = THREE.LinearMipmapLinearFilter; // Good default for minification
-      tex.magFilter = THREE.LinearFilter; // Crisp when viewed up close (try NearestFilter if too harsh)
-      
-      // Anisotropy is the biggest win for "print sharpness" when the surface is tilted
-      tex.anisotropy = rendererRef.current
-        ? rendererRef.current.capabilities.getMaxAnisotropy()
-        : 16; // High anisotropy for maximum sharpness
-
-      tex.needsUpdate = true;
-    };
-
-    // Load test textures with crisp settings
-    textureLoader.load(TEST_IMAGE_1_PATH, (tex) => {
-      makePrintTextureCrisp(tex);
-      testTexture1Ref.current = tex;
-    });
-    textureLoader.load(TEST_IMAGE_2_PATH, (tex) => {
-      makePrintTextureCrisp(tex);
-      testTexture2Ref.current = tex;
-    });
-
     // PMREMGenerator for environment mapping
     const pmremGenerator = new THREE.PMREMGenerator(renderer);
     pmremGenerator.compileEquirectangularShader();
     pmremGeneratorRef.current = pmremGenerator;
 
     // Set up environment map: Load HDRI file
-    const HDRI_PATH = "/assets/hdr/studio2.hdr";
-    const setEnvironment = (newEnvMap) => {
-      if (!newEnvMap) return;
-      if (envMapRef.current && envMapRef.current !== newEnvMap) {
-        try {
-          envMapRef.current.dispose();
-        } catch {
-          // ignore
-        }
-      }
-      envMapRef.current = newEnvMap;
-      // Always set environment - toggling is handled by the [showReflections] effect
-      scene.environment = newEnvMap;
-    };
-
-    // Load HDRI environment map
-    new RGBELoader()
-      .setDataType(THREE.HalfFloatType)
-      .load(
-        HDRI_PATH,
-        (hdrTex) => {
-          // RGBELoader expects hdrTex to have .image property
-          // Check if texture is valid before processing
-          if (!hdrTex || !hdrTex.image) {
-            console.warn("HDRI loaded but invalid");
-            setError("HDRI file loaded but texture is invalid");
-            return;
-          }
-          try {
-            const newEnvMap = pmremGenerator.fromEquirectangular(hdrTex).texture;
-            hdrTex.dispose();
-            setEnvironment(newEnvMap);
-            console.log("HDRI loaded successfully:", HDRI_PATH);
-          } catch (err) {
-            console.warn("Failed to process HDRI:", err);
-            setError(`Failed to process HDRI: ${err.message}`);
-          }
-        },
-        undefined,
-        (error) => {
-          // Error callback: HDRI file not found
-          console.error("HDRI not found at", HDRI_PATH, error);
-          setError(`Failed to load HDRI: ${HDRI_PATH}. Please check that the file exists in public/assets/hdr/ and restart the dev server.`);
-        }
-      );
+    loadEnvironment(HDRI_PATH);
 
     // WhiteWall-style lighting: Minimal, subtle lights
     // 90% of lighting comes from environment map (HDRI), only subtle direct lights for edge definition
@@ -233,497 +286,31 @@ export default function GlbTextureSwapTester() {
 
     // No shadow catcher needed (shadows disabled)
 
-    // Load GLB model
-    const gltfLoader = new GLTFLoader();
-    gltfLoader.load(
-      GLB_PATH,
-      (gltf) => {
-        const model = gltf.scene;
-        modelRef.current = model;
-
-        // Summarize material types and analyze texture layers
-        const byType = {};
-        let totalMeshes = 0;
-        let totalMaterials = 0;
-        const layers = [];
-        const originalTextures = new Map();
-        let layerIdCounter = 0;
-
-        // Common texture map types in Three.js
-        const textureMapTypes = [
-          'map', 'normalMap', 'roughnessMap', 'metalnessMap', 'aoMap',
-          'emissiveMap', 'alphaMap', 'displacementMap', 'bumpMap',
-          'clearcoatMap', 'clearcoatNormalMap', 'clearcoatRoughnessMap',
-          'sheenColorMap', 'sheenRoughnessMap', 'transmissionMap', 'thicknessMap'
-        ];
-
-        const meshList = [];
-        let meshIdCounter = 0;
-
-        const meshMaterialDetails = [];
-
-        model.traverse((obj) => {
-          if (!obj.isMesh || !obj.material) return;
-          
-          // Shadows disabled (not needed)
-          
-          totalMeshes += 1;
-
-          // Track mesh visibility
-          const meshId = `mesh_${meshIdCounter++}`;
-          const meshName = obj.name || `Mesh_${totalMeshes}`;
-          const meshInfo = {
-            id: meshId,
-            name: meshName,
-            visible: obj.visible,
-            mesh: obj
-          };
-          meshList.push(meshInfo);
-
-          const mats = Array.isArray(obj.material) ? obj.material : [obj.material];
-          totalMaterials += mats.length;
-
-          mats.forEach((mat, matIndex) => {
-            const t = mat?.type || "UnknownMaterial";
-            byType[t] = (byType[t] || 0) + 1;
-            
-            const matName = mat.name || `Material_${matIndex}`;
-            
-            // Material properties
-            const props = {
-                transparent: mat.transparent,
-                opacity: mat.opacity,
-                roughness: mat.roughness,
-              metalness: mat.metalness,
-              clearcoat: mat.clearcoat,
-              clearcoatRoughness: mat.clearcoatRoughness,
-              envMapIntensity: mat.envMapIntensity,
-            };
-            
-            // Texture maps
-            const textureMaps = [];
-            if (mat.map) textureMaps.push("map");
-            if (mat.normalMap) textureMaps.push("normalMap");
-            if (mat.roughnessMap) textureMaps.push("roughnessMap");
-            if (mat.metalnessMap) textureMaps.push("metalnessMap");
-            if (mat.aoMap) textureMaps.push("aoMap");
-            if (mat.emissiveMap) textureMaps.push("emissiveMap");
-            if (mat.alphaMap) textureMaps.push("alphaMap");
-            if (mat.displacementMap) textureMaps.push("displacementMap");
-            if (mat.bumpMap) textureMaps.push("bumpMap");
-            
-            // ============================================================
-            // PROPER MATERIAL CLASSIFICATION
-            // ============================================================
-            const matNameLower = (matName || "").toLowerCase();
-            const meshNameLower = meshName.toLowerCase();
-            
-            // Classify material type based on mesh and material names
-            const isGlass = meshNameLower.includes("glass") || matNameLower.includes("glass");
-            const isPrint = matNameLower.includes("art") || matNameLower.includes("print") || 
-                           meshNameLower.includes("art") || meshNameLower.includes("back_art") ||
-                           matNameLower.includes("back_art");
-            const isAcrylicBody = matNameLower.includes("acrylic") || meshNameLower.includes("acrylic");
-            const isFrame = meshNameLower.includes("frame") || meshNameLower.includes("metal") || 
-                           matNameLower.includes("metal") || matNameLower.includes("frame");
-            
-            // CRITICAL FIX: Detect print candidates by checking for artwork map
-            // If a material has a color map and it's not glass/frame, it's likely the print surface
-            // In this GLB, Acrylic.001 is actually the print surface with artwork
-            const hasArtworkMap = !!mat.map;
-            const isPrintCandidate = hasArtworkMap && !isGlass && !isFrame;
-            
-            // Override: treat acrylic-with-map as PRINT for swapping (this model case)
-            const finalIsPrint = isPrint || isPrintCandidate;
-            
-            // Determine material category
-            let materialCategory = "UNKNOWN";
-            if (isFrame) materialCategory = "FRAME";
-            else if (isGlass) materialCategory = "GLASS";
-            else if (finalIsPrint) materialCategory = "PRINT";
-            else if (isAcrylicBody) materialCategory = "ACRYLIC";
-            
-            // Store for summary with proper classification
-            meshMaterialDetails.push({
-              meshName: meshName,
-              meshId: meshId,
-              materialIndex: matIndex,
-              materialName: matName,
-              materialType: t,
-              materialClass: mat.constructor.name,
-              materialCategory: materialCategory,
-              properties: props,
-              textureMaps: textureMaps,
-              isFrame: isFrame,
-              isGlass: isGlass,
-              isPrint: finalIsPrint, // Use finalIsPrint
-              isAcrylicBody: isAcrylicBody,
-              hasArtworkMap: hasArtworkMap,
-              isPrintCandidate: isPrintCandidate,
-            });
-
-            // ============================================================
-            // APPLY CORRECT MATERIAL PROPERTIES BASED ON TYPE (MODEL-AGNOSTIC)
-            // ============================================================
-            // WhiteWall-style: Detect print layer by having map texture and not being glass/frame
-            
-            // 1) Front Print (any mesh with map texture that's not glass/frame) - Make it look like a print, NOT metal
-            if (finalIsPrint) {
-              // Ensure MeshPhysicalMaterial for better control (specularIntensity support)
-              if (!mat.isMeshPhysicalMaterial) {
-                const phys = new THREE.MeshPhysicalMaterial();
-                // Preserve existing maps and properties
-                if (mat.map) phys.map = mat.map;
-                phys.color.copy(mat.color || new THREE.Color(0xffffff));
-                phys.name = mat.name;
-                if (Array.isArray(obj.material)) {
-                  obj.material[matIndex] = phys;
-                } else {
-                  obj.material = phys;
-                }
-                mat = phys;
-              }
-              
-              // CRITICAL: Remove PBR maps that make artwork look dark/plastic
-              // Only keep the artwork map (color texture)
-              mat.normalMap = null;
-              mat.roughnessMap = null;
-              mat.metalnessMap = null;
-              mat.aoMap = null;
-              
-              // Reset color to white (no tinting)
-              mat.color.set(0xffffff);
-              
-              // Print material properties - WhiteWall look: bright but no highlight bleed
-              mat.transparent = false;
-              mat.opacity = 1.0;
-              mat.metalness = 0.0; // NOT metal (override bad GLB values)
-              mat.roughness = 0.25; // Slightly glossy
-              
-              // KEY: Remove clearcoat to avoid plastic overlay feeling
-              mat.clearcoat = 0.0;
-              mat.clearcoatRoughness = 0.0;
-              
-              // DO NOT assign envMap directly - use scene.environment instead
-              // This allows scene.environmentRotation to work properly
-              mat.envMap = null;
-              
-              // KEY: Keep IBL brightness high so print doesn't go dark
-              const baseIntensity = 0.9; // High for brightness (was 0.5)
-              baseEnvMapIntensitiesRef.current.set(mat, baseIntensity);
-              mat.envMapIntensity = baseIntensity * reflectionIntensity;
-              
-              // KEY: Reduce highlight bleed without killing light (magic knob)
-              // specularIntensity controls specular highlights separately from IBL lighting
-              if (mat.specularIntensity !== undefined) {
-                mat.specularIntensity = 0.12; // 0.05-0.2 range - removes bleed but keeps brightness
-              }
-              
-              // Make sure artwork map is treated as sRGB and crisp (color-accurate + high quality)
-              if (mat.map) {
-                mat.map.colorSpace = THREE.SRGBColorSpace;
-                // Apply crisp texture settings for print quality
-                mat.map.generateMipmaps = true;
-                mat.map.minFilter = THREE.LinearMipmapLinearFilter;
-                mat.map.magFilter = THREE.LinearFilter;
-                mat.map.anisotropy = rendererRef.current
-                  ? rendererRef.current.capabilities.getMaxAnisotropy()
-                  : 16;
-                mat.map.needsUpdate = true;
-              }
-              
-              mat.needsUpdate = true;
-              
-              // Set render order: print draws first
-              obj.renderOrder = 1;
-            }
-            // 2) Glass Cover (any mesh with "glass" in name) - Realistic acrylic using transmission
-            else if (isGlass) {
-              // Ensure we use Physical material for transmission
-              let acrylicMat = mat;
-
-              if (!mat.isMeshPhysicalMaterial) {
-                acrylicMat = new THREE.MeshPhysicalMaterial();
-                // Preserve existing maps if any
-                if (mat.map) acrylicMat.map = mat.map;
-                if (Array.isArray(obj.material)) {
-                  obj.material[matIndex] = acrylicMat;
-                } else {
-                  obj.material = acrylicMat;
-                }
-              }
-
-              // WhiteWall-style acrylic: transmission-based with tuned optical params
-              // Override bad GLB values (opacity-based transparency) with proper transmission
-              acrylicMat.color = new THREE.Color(0xffffff);
-              acrylicMat.transparent = true;
-              acrylicMat.transmission = 1.0; // Key: makes it transparent via refraction (not opacity)
-              acrylicMat.opacity = 1.0; // Keep 1.0 when using transmission (override bad GLB opacity=0.17)
-              acrylicMat.ior = 1.49; // Acrylic index of refraction
-              acrylicMat.thickness = 0.001; // Thickness for refraction (adjust based on model scale)
-              acrylicMat.roughness = 0.03; // WhiteWall is pretty "clean" (override bad GLB roughness=0)
-              acrylicMat.metalness = 0.0;
-
-              // Polished acrylic edge highlight
-              acrylicMat.clearcoat = 1.0;
-              acrylicMat.clearcoatRoughness = 0.03; // Sharper highlights
-
-              // Attenuation for realistic acrylic transmission
-              acrylicMat.attenuationColor = new THREE.Color(0xffffff);
-              acrylicMat.attenuationDistance = 1.0;
-
-              acrylicMat.depthWrite = false;
-              acrylicMat.depthTest = true; // Explicit depth test for transparent stacking
-              acrylicMat.side = THREE.DoubleSide; // Show both sides for thin plane
-
-              // DO NOT assign envMap directly - use scene.environment instead
-              // This allows scene.environmentRotation to work properly
-              acrylicMat.envMap = null;
-              const baseIntensity = 2.5; // Stronger highlight for WhiteWall look
-              baseEnvMapIntensitiesRef.current.set(acrylicMat, baseIntensity);
-              acrylicMat.envMapIntensity = baseIntensity * reflectionIntensity;
-
-              acrylicMat.needsUpdate = true;
-
-              // Draw last (after print)
-              obj.renderOrder = 10;
-            }
-            // 3) Back Mesh (Mesh → Back_Art_M) - Leave it alone (do nothing)
-            else if (meshName === "Mesh" || meshName.toLowerCase().includes("back")) {
-              // Lock the back - do nothing, keep original material properties
-            }
-            // 4) Frame/Metal - Keep metallic properties
-            else if (isFrame) {
-              if (mat.isMeshStandardMaterial || mat.isMeshPhysicalMaterial) {
-                mat.roughness = mat.roughness !== undefined ? Math.min(mat.roughness, 0.5) : 0.4;
-                mat.metalness = mat.metalness !== undefined ? Math.max(mat.metalness, 0.6) : 0.7;
-                // DO NOT assign envMap directly - use scene.environment instead
-                mat.envMap = null;
-                const baseIntensity = 1.0;
-                baseEnvMapIntensitiesRef.current.set(mat, baseIntensity);
-                mat.envMapIntensity = baseIntensity * reflectionIntensity;
-                mat.needsUpdate = true;
-              }
-            }
-            // 5) Other meshes - Default to print-like (matte, opaque)
-            else {
-              if (mat.isMeshStandardMaterial || mat.isMeshPhysicalMaterial) {
-                mat.metalness = 0.0;
-                mat.roughness = 0.85;
-                mat.transparent = false;
-                mat.opacity = 1.0;
-                // DO NOT assign envMap directly - use scene.environment instead
-                mat.envMap = null;
-                const baseIntensity = 0.6;
-                baseEnvMapIntensitiesRef.current.set(mat, baseIntensity);
-                mat.envMapIntensity = baseIntensity * reflectionIntensity;
-                mat.needsUpdate = true;
-              }
-            }
-            
-            // ============================================================
-            // TEXTURE LAYER DETECTION - ONLY MAP FOR ARTWORK (MODEL-AGNOSTIC)
-            // ============================================================
-            // CRITICAL: Only detect 'map' layers for artwork swapping
-            // PBR maps (normal, roughness, metalness) should NOT be swappable
-            // Detect print layer by: has map texture AND is not glass/frame
-            // This works for any model without hardcoding mesh names
-            if (mat.map && finalIsPrint) {
-              const layerId = `layer_${layerIdCounter++}`;
-              const layerInfo = {
-                id: layerId,
-                meshName: meshName,
-                materialIndex: matIndex,
-                mapType: "map", // Only map is swappable
-                hasOriginal: true,
-              material: mat,
-                mesh: obj,
-                materialCategory: materialCategory,
-              };
-              layers.push(layerInfo);
-              // Store original texture
-              originalTextures.set(layerId, mat.map);
-            }
-            });
-          });
-
-        setMaterialSummary({ totalMeshes, totalMaterials, byType });
-        setTextureLayers(layers);
-        originalTexturesRef.current = originalTextures;
-        setMeshes(meshList);
-
-        // ============================================================
-        // COMPREHENSIVE MODEL ANALYSIS FOR WHITEWALL SETUP
-        // ============================================================
-        console.log("\n" + "=".repeat(80));
-        console.log("🔍 COMPREHENSIVE GLB MODEL ANALYSIS FOR WHITEWALL SETUP");
-        console.log("=".repeat(80));
-
-        // 1) Mesh + Material Naming with Roles
-        console.log("\n📋 1) MESH + MATERIAL NAMING (with roles)");
-        console.log("-".repeat(80));
-        meshMaterialDetails.forEach((detail, idx) => {
-          console.log(`\n${idx + 1}. Mesh: "${detail.meshName}"`);
-          console.log(`   Material: "${detail.materialName}"`);
-          console.log(`   Type: ${detail.materialType} (${detail.materialClass})`);
-          console.log(`   Category: ${detail.materialCategory}`);
-          console.log(`   Has map: ${detail.hasArtworkMap ? "YES" : "NO"}`);
-          const pbrMaps = detail.textureMaps.filter(m => m !== "map");
-          console.log(`   PBR maps: ${pbrMaps.length > 0 ? pbrMaps.join(", ") : "none"}`);
-          console.log(`   Properties: transparent=${detail.properties.transparent}, opacity=${detail.properties.opacity}, roughness=${detail.properties.roughness}, metalness=${detail.properties.metalness}`);
-        });
-
-        // 2) Which mesh is the "print surface"
-        console.log("\n📋 2) PRINT SURFACE IDENTIFICATION");
-        console.log("-".repeat(80));
-        const printMeshes = meshMaterialDetails.filter(d => d.isPrint);
-        if (printMeshes.length > 0) {
-          console.log("✅ PRINT SURFACE MESHES (artwork UVs - swappable map):");
-          printMeshes.forEach(d => {
-            console.log(`   - "${d.meshName}" → "${d.materialName}" (has map: ${d.hasArtworkMap})`);
-          });
-        } else {
-          console.log("⚠️  NO PRINT SURFACE DETECTED (no meshes with swappable map)");
-        }
-
-        // 3) Face orientation / sidedness
-        console.log("\n📋 3) FACE ORIENTATION / SIDEDNESS");
-        console.log("-".repeat(80));
-        model.traverse((obj) => {
-          if (!obj.isMesh || !obj.material) return;
-          const mats = Array.isArray(obj.material) ? obj.material : [obj.material];
-          mats.forEach((mat, idx) => {
-            const side = mat.side === THREE.DoubleSide ? "DoubleSide" : 
-                        mat.side === THREE.BackSide ? "BackSide" : "FrontSide";
-            console.log(`   "${obj.name || 'Unnamed'}" → Material ${idx}: side=${side}`);
-            
-            // Check geometry for thickness/depth
-            if (obj.geometry) {
-              const pos = obj.geometry.attributes.position;
-              if (pos) {
-                const count = pos.count;
-                const indices = obj.geometry.index;
-                const triangleCount = indices ? indices.count / 3 : count / 3;
-                
-                // Estimate if it's a plane or solid by checking bounding box
-                const geomBox = new THREE.Box3().setFromObject(obj);
-                const geomSize = geomBox.getSize(new THREE.Vector3());
-                const minDim = Math.min(geomSize.x, geomSize.y, geomSize.z);
-                const maxDim = Math.max(geomSize.x, geomSize.y, geomSize.z);
-                const thicknessRatio = minDim / maxDim;
-                
-                const isThin = thicknessRatio < 0.1;
-                console.log(`      Geometry: ${count} vertices, ${triangleCount.toFixed(0)} triangles, ${obj.geometry.type}`);
-                console.log(`      Bounding box: x=${geomSize.x.toFixed(3)}, y=${geomSize.y.toFixed(3)}, z=${geomSize.z.toFixed(3)}`);
-                console.log(`      ${isThin ? "⚠️  THIN PLANE (single-sided likely)" : "✓ SOLID (closed mesh)"} (thickness ratio: ${thicknessRatio.toFixed(3)})`);
-              }
-            }
-          });
-        });
-
-        // 4) Scale / Thickness Context
-        console.log("\n📋 4) SCALE / THICKNESS CONTEXT");
-        console.log("-".repeat(80));
-        const box = new THREE.Box3().setFromObject(model);
-        const size = box.getSize(new THREE.Vector3());
-        const center = box.getCenter(new THREE.Vector3());
-        console.log(`   Original bounding box size: x=${size.x.toFixed(3)}, y=${size.y.toFixed(3)}, z=${size.z.toFixed(3)}`);
-        console.log(`   Center: x=${center.x.toFixed(3)}, y=${center.y.toFixed(3)}, z=${center.z.toFixed(3)}`);
-        const originalMaxDim = Math.max(size.x, size.y, size.z);
-        console.log(`   Max dimension: ${originalMaxDim.toFixed(3)}`);
-        console.log(`   Scale factor will be: ${(2.5 / originalMaxDim).toFixed(3)}`);
-        console.log(`   Estimated final size: ~${(originalMaxDim * (2.5 / originalMaxDim)).toFixed(3)} units`);
-
-        // 5) UV Layout Expectations
-        console.log("\n📋 5) UV LAYOUT EXPECTATIONS FOR SWAPPING");
-        console.log("-".repeat(80));
-        console.log(`   Total swappable texture layers: ${layers.length}`);
-        layers.forEach((layer, idx) => {
-          console.log(`   ${idx + 1}. Layer: "${layer.meshName}" → "${layer.mapType}"`);
-          console.log(`      Material index: ${layer.materialIndex}`);
-          console.log(`      Category: ${layer.materialCategory}`);
-        });
-        if (layers.length === 0) {
-          console.log("   ⚠️  NO SWAPPABLE LAYERS FOUND (check if print meshes have 'map' texture)");
-        }
-
-        // 6) Current Renderer + Environment Setup
-        console.log("\n📋 6) CURRENT RENDERER + ENVIRONMENT SETUP");
-        console.log("-".repeat(80));
-        console.log(`   Three.js version: ${THREE.REVISION}`);
-        console.log(`   Tone mapping: ${renderer.toneMapping === THREE.ACESFilmicToneMapping ? "ACESFilmicToneMapping ✓" : "Other"}`);
-        console.log(`   Tone mapping exposure: ${renderer.toneMappingExposure}`);
-        console.log(`   Output color space: ${renderer.outputColorSpace === THREE.SRGBColorSpace ? "SRGBColorSpace ✓" : "Other"}`);
-        console.log(`   Environment map: ${scene.environment ? "SET ✓" : "NOT SET"}`);
-        console.log(`   HDRI path expected: "/assets/hdr/studio5.hdr"`);
-        console.log(`   HDRI format: .hdr (RGBE/Radiance)`);
-
-        // 7) Material Properties Summary
-        console.log("\n📋 7) CURRENT MATERIAL PROPERTIES (for WhiteWall look)");
-        console.log("-".repeat(80));
-        meshMaterialDetails.forEach((detail) => {
-          console.log(`\n   "${detail.meshName}" → "${detail.materialName}" (${detail.materialCategory}):`);
-          console.log(`      transparent: ${detail.properties.transparent ?? "N/A"}`);
-          console.log(`      opacity: ${detail.properties.opacity ?? "N/A"}`);
-          console.log(`      roughness: ${detail.properties.roughness ?? "N/A"}`);
-          console.log(`      metalness: ${detail.properties.metalness ?? "N/A"}`);
-          console.log(`      clearcoat: ${detail.properties.clearcoat ?? "N/A"}`);
-          console.log(`      clearcoatRoughness: ${detail.properties.clearcoatRoughness ?? "N/A"}`);
-          console.log(`      envMapIntensity: ${detail.properties.envMapIntensity ?? "N/A"}`);
-        });
-
-        // Toggle Test Instructions
-        console.log("\n📋 TOGGLE TESTS (manual verification needed)");
-        console.log("-".repeat(80));
-        console.log("   Use the Mesh Visibility controls to test:");
-        meshList.forEach((mesh, idx) => {
-          console.log(`   ${idx + 1}. Hide "${mesh.name}" → Check what changes visually`);
-        });
-        console.log("\n   Expected results:");
-        console.log("   - Hide PRINT mesh → artwork should disappear");
-        console.log("   - Hide GLASS mesh → artwork should become clearer (less foggy)");
-        console.log("   - Hide ACRYLIC mesh → check if it affects reflections/transparency");
-
-        console.log("\n" + "=".repeat(80));
-        console.log("✅ Analysis complete - use this info to configure WhiteWall material settings");
-        console.log("=".repeat(80) + "\n");
-
-        // Center and scale model
-        
-        model.position.sub(center);
-        
-        const maxDim = Math.max(size.x, size.y, size.z) || 1;
-        model.scale.multiplyScalar(2.5 / maxDim);
-
-        const scaledBox = new THREE.Box3().setFromObject(model);
-        const scaledCenter = scaledBox.getCenter(new THREE.Vector3());
-        model.position.sub(scaledCenter);
-        
-        const finalBox = new THREE.Box3().setFromObject(model);
-        modelBoundingBoxRef.current = finalBox;
-
-        // Keep model in its original orientation (no rotation applied)
-
-        // Update OrbitControls target to model center and reset camera position
-        if (controlsRef.current) {
-          const modelCenter = finalBox.getCenter(new THREE.Vector3());
-          controlsRef.current.target.copy(modelCenter);
-          
-          // Reset camera to look at model from front (vertical orientation)
-          camera.position.set(0, 0.6, 3.5); // Front view, slightly elevated
-          camera.lookAt(modelCenter);
-          controlsRef.current.update(); // Update controls
-        }
+    // Load the model catalog and show its first model; fall back to GLB_PATH without a catalog
+    let catalogCancelled = false;
+    fetchModelCatalog()
+      .then((models) => {
+        if (catalogCancelled) return;
+        if (models.length === 0) throw new Error("Model catalog is empty");
+        setCatalogModels(models);
+        selectCatalogModel(models[0]);
+      })
+      .catch((err) => {
+        if (catalogCancelled) return;
+        console.warn("Model catalog unavailable, loading default model:", err);
+        loadModel(GLB_PATH, { name: GLB_PATH.split("/").pop() });
+      });
 
-        scene.add(model);
-        setLoading(false);
-      },
-      undefined,
-      (e) => {
-        setError(e?.message || "Failed to load GLB");
-        setLoading(false);
-      }
-    );
+    // Gallery thumbnails only - full-resolution artwork textures load when first applied
+    fetchArtworkManifest()
+      .then((entries) => {
+        if (catalogCancelled) return;
+        setArtworks((prev) => [...entries, ...prev.filter((a) => a.origin === "upload")]);
+      })
+      .catch((err) => {
+        if (catalogCancelled) return;
+        console.warn("Artwork manifest unavailable - the gallery only shows uploads:", err);
+      });
 
     // Animation loop
     const animate = () => {
@@ -745,6 +332,24 @@ export default function GlbTextureSwapTester() {
     return () => {
       window.removeEventListener("resize", handleResize);
       if (rafRef.current) cancelAnimationFrame(rafRef.current);
+
+      // Abort in-flight downloads, discard any in-flight model load and free the current model
+      catalogCancelled = true;
+      loadTokenRef.current += 1;
+      assetControllersRef.current.forEach((controller) => controller.abort());
+      assetControllersRef.current.clear();
+      if (modelRef.current) {
+        disposeObject3D(modelRef.current, originalTexturesRef.current.values(), loadedMaterialsRef.current.values());
+        modelRef.current = null;
+      }
+      artworkTexturesRef.current.forEach((pending) =>
+        pending.then(({ texture }) => texture.dispose(), () => {})
+      );
+      artworkTexturesRef.current.clear();
+      if (decodersRef.current) {
+        decodersRef.current.dispose();
+        decodersRef.current = null;
+      }
       
       if (controlsRef.current) controlsRef.current.dispose();
       if (envMapRef.current) {
@@ -805,8 +410,8 @@ export default function GlbTextureSwapTester() {
     });
   }, [reflectionIntensity]);
 
-  // Toggle environment map (WhiteWall-style: always on by default)
-  // CRITICAL: Respect per-mesh envMapIntensity values set during model loading
+  // Toggle environment map (WhiteWall-style: always on by default). Reflections come back at each
+  // material's base intensity (substrate preset / role treatment) times the reflection slider.
   useEffect(() => {
     if (!sceneRef.current || !envMapRef.current) return;
 
@@ -827,158 +432,964 @@ export default function GlbTextureSwapTester() {
         // Keep envMap null and rely on scene.environment instead.
         mat.envMap = null;
 
-        // DO NOT override envMapIntensity - respect per-mesh values set during model loading
-        // Mesh_1 (print) = 0.15, glass001 (glass) = 2.0, others = 1.0
-        const meshName = obj.name || "";
-        if (meshName === "Mesh_1") {
-          // Print: low reflection (updated to 0.15)
-          mat.envMapIntensity = 0.15;
-        } else if (meshName === "glass001" || meshName.toLowerCase() === "glass") {
-          // Glass: high reflection (updated to 2.0 for WhiteWall look)
-          mat.envMapIntensity = 2.5;
-    } else {
-          // Default: medium reflection
-          const isFrame = meshName.toLowerCase().includes("frame") || meshName.toLowerCase().includes("metal");
-          mat.envMapIntensity = isFrame ? 1.0 : 1.0;
+        const baseIntensity = baseEnvMapIntensitiesRef.current.get(mat);
+        if (baseIntensity !== undefined) {
+          mat.envMapIntensity = showReflections ? baseIntensity * reflectionIntensity : 0;
         }
-
-      mat.needsUpdate = true;
+        mat.needsUpdate = true;
       });
     });
   }, [showReflections]);
 
-  // Apply test texture to a specific layer
-  const applyTestTextureToLayer = (layerId, textureNumber) => {
-    const layer = textureLayers.find(l => l.id === layerId);
-    if (!layer || !layer.material || !layer.mesh) {
-      console.warn(`Layer ${layerId} not found or invalid`);
-      return;
+  // =========================
+  // ASSET LOADING (progress / cancel / retry)
+  // =========================
+
+  const updateAssetLoad = (id, patch) => {
+    setAssetLoads((prev) => ({ ...prev, [id]: { ...prev[id], ...patch } }));
+  };
+
+  const removeAssetLoad = (id) => {
+    assetRetriesRef.current.delete(id);
+    setAssetLoads((prev) => {
+      const next = { ...prev };
+      delete next[id];
+      return next;
+    });
+  };
+
+  const cancelAssetLoad = (id) => {
+    const controller = assetControllersRef.current.get(id);
+    if (controller) controller.abort();
+  };
+
+  const retryAssetLoad = (id) => {
+    const retry = assetRetriesRef.current.get(id);
+    if (retry) retry();
+  };
+
+  // Download an asset with byte progress, then hand the bytes to process(buffer, isCurrent).
+  // Starting a load with the same id aborts the previous one; superseded loads never touch the overlay.
+  // Cancel also works while processing: isCurrent() turns false, so process must check it before it
+  // applies its result.
+  // The returned promise rejects on failure or cancellation (check with isAbortError).
+  const runAssetLoad = ({ id, label, url, process, retry }) => {
+    const previous = assetControllersRef.current.get(id);
+    if (previous) previous.abort();
+    const controller = new AbortController();
+    assetControllersRef.current.set(id, controller);
+    assetRetriesRef.current.set(id, retry);
+    const isTracked = () => assetControllersRef.current.get(id) === controller;
+    const isCurrent = () => isTracked() && !controller.signal.aborted;
+
+    updateAssetLoad(id, { id, label, status: "loading", loaded: 0, total: 0, error: "" });
+
+    return fetchWithProgress(url, {
+      signal: controller.signal,
+      onProgress: (loaded, total) => {
+        if (isCurrent()) updateAssetLoad(id, { loaded, total });
+      },
+    })
+      .then((buffer) => {
+        if (!isCurrent()) return undefined;
+        updateAssetLoad(id, { status: "processing" });
+        return process(buffer, isCurrent);
+      })
+      .then((result) => {
+        // Cancelled while processing (superseded loads resolve undefined as before)
+        if (controller.signal.aborted && isTracked()) throw new DOMException("Asset load cancelled", "AbortError");
+        return result;
+      })
+      .then(
+        (result) => {
+          if (isTracked()) {
+            assetControllersRef.current.delete(id);
+            removeAssetLoad(id);
+          }
+          return result;
+        },
+        (err) => {
+          if (isTracked()) {
+            assetControllersRef.current.delete(id);
+            const cancelled = isAbortError(err);
+            updateAssetLoad(id, {
+              status: cancelled ? "cancelled" : "error",
+              error: cancelled ? "" : err?.message || String(err),
+            });
+          }
+          throw err;
+        }
+      );
+  };
+
+  // Replace the scene environment map, disposing the previous one
+  const setEnvironment = (newEnvMap) => {
+    if (!newEnvMap || !sceneRef.current) return;
+    if (envMapRef.current && envMapRef.current !== newEnvMap) {
+      try {
+        envMapRef.current.dispose();
+      } catch {
+        // ignore
+      }
     }
+    envMapRef.current = newEnvMap;
+    // Always set environment - toggling is handled by the [showReflections] effect
+    sceneRef.current.environment = newEnvMap;
+  };
 
-    // CRITICAL FIX #1: Only allow swapping 'map' type
-    if (layer.mapType !== "map") {
-      console.warn(`Skipping ${layer.mapType} — only 'map' is swappable for artwork`);
-      return;
+  const updateEnvironmentStatus = (status) => {
+    environmentStatusRef.current = status;
+    setEnvironmentStatus(status);
+  };
+
+  // Load the HDRI environment map. A failure only costs reflections - it never hides the model.
+  const loadEnvironment = (url) => {
+    updateEnvironmentStatus("loading");
+    runAssetLoad({
+      id: "hdri",
+      label: "Environment (HDRI)",
+      url,
+      retry: () => loadEnvironment(url),
+      process: (buffer, isCurrent) => {
+        const pmremGenerator = pmremGeneratorRef.current;
+        if (!isCurrent() || !pmremGenerator) return;
+
+        // Same texture setup RGBELoader.load() applies for half-float data
+        const texData = new RGBELoader().setDataType(THREE.HalfFloatType).parse(buffer);
+        if (!texData || !texData.data) {
+          throw new Error("HDRI file loaded but texture is invalid");
+        }
+        const hdrTex = new THREE.DataTexture(texData.data, texData.width, texData.height, texData.format, texData.type);
+        hdrTex.colorSpace = THREE.LinearSRGBColorSpace;
+        hdrTex.minFilter = THREE.LinearFilter;
+        hdrTex.magFilter = THREE.LinearFilter;
+        hdrTex.generateMipmaps = false;
+        hdrTex.flipY = true;
+        hdrTex.needsUpdate = true;
+
+        const newEnvMap = pmremGenerator.fromEquirectangular(hdrTex).texture;
+        hdrTex.dispose();
+        setEnvironment(newEnvMap);
+        updateEnvironmentStatus("loaded");
+        console.log("HDRI loaded successfully:", url);
+      },
+    }).catch((err) => {
+      if (isAbortError(err)) {
+        updateEnvironmentStatus("cancelled");
+        return;
+      }
+      updateEnvironmentStatus("failed");
+      console.error(`Failed to load HDRI: ${url}. Please check that the file exists in public/assets/hdr/`, err);
+    });
+  };
+
+  // Full-resolution texture of a gallery artwork, loaded once and shared by every apply.
+  // Layers get clones, so replacing a layer's artwork never frees the cached texture's image.
+  const loadArtworkTexture = (artwork, retry) => {
+    const cached = artworkTexturesRef.current.get(artwork.id);
+    if (cached) return cached;
+
+    const pending = artwork.file
+      ? loadImageFileTexture(artwork.file, rendererRef.current)
+      : runAssetLoad({
+          id: `artwork:${artwork.id}`,
+          label: `Artwork: ${artwork.name}`,
+          url: artwork.path,
+          retry,
+          process: (buffer, isCurrent) =>
+            createImageBitmap(new Blob([buffer])).then((bitmap) => {
+              if (!isCurrent()) {
+                bitmap.close();
+                return undefined;
+              }
+              const texture = new THREE.Texture(bitmap);
+              makePrintTextureCrisp(texture, rendererRef.current);
+              texture.name = artwork.name;
+              const fileName = artwork.path.split("/").pop();
+              const extension = fileName.split(".").pop().toLowerCase();
+              texture.userData.isUserArtwork = true;
+              return {
+                texture,
+                source: {
+                  name: fileName,
+                  type: extension === "jpg" ? "image/jpeg" : `image/${extension}`,
+                  size: buffer.byteLength,
+                  lastModified: null,
+                  width: bitmap.width,
+                  height: bitmap.height,
+                },
+              };
+            }),
+        }).then((result) => {
+          if (!result) throw new DOMException("Artwork load superseded", "AbortError");
+          return result;
+        });
+
+    // Failed or cancelled loads are retried on the next click
+    pending.catch(() => {
+      if (artworkTexturesRef.current.get(artwork.id) === pending) {
+        artworkTexturesRef.current.delete(artwork.id);
+      }
+    });
+    artworkTexturesRef.current.set(artwork.id, pending);
+    return pending;
+  };
+
+  // =========================
+  // MODEL LOADING
+  // =========================
+
+  // Tear down the current model: remove it from the scene, free its GPU resources and per-model state
+  const disposeCurrentModel = () => {
+    const model = modelRef.current;
+    if (!model) return;
+
+    if (sceneRef.current) sceneRef.current.remove(model);
+    // History entries reference the old layers (and free textures no longer on the model)
+    historyRef.current.clear();
+    layerArtworkRef.current = new Map();
+    // Original textures may no longer be on a material if a layer was swapped or a role reassigned
+    disposeObject3D(model, originalTexturesRef.current.values(), loadedMaterialsRef.current.values());
+
+    baseEnvMapIntensitiesRef.current.clear();
+    originalTexturesRef.current = new Map();
+    loadedMaterialsRef.current = new Map();
+    nextLayerIdRef.current = 0;
+    modelRef.current = null;
+    modelBoundingBoxRef.current = null;
+
+    setTextureLayers([]);
+    setArtworkSources({});
+    setDiagnostics(null);
+    setLayerSubstrates({});
+    setMeshes([]);
+    setMaterialSummary(null);
+  };
+
+  // Load a GLB/GLTF from a URL and replace the current model.
+  // resourceMap maps file names ("scene.bin", "albedo.png") to blob URLs for local multi-file .gltf;
+  // those URLs are revoked once the load succeeds or another load starts. camera/defaultArtwork come
+  // from the model catalog.
+  const loadModel = (url, options = {}) => {
+    const { name, resourceMap, camera, defaultArtwork } = options;
+    const loadToken = ++loadTokenRef.current;
+    const displayName = name || url.split("/").pop();
+    setLoading(true);
+    setError("");
+
+    // Blob URLs kept around for retrying a failed local load are not needed once another load starts
+    if (pendingResourceMapRef.current && pendingResourceMapRef.current !== resourceMap) {
+      pendingResourceMapRef.current.forEach((objectUrl) => URL.revokeObjectURL(objectUrl));
     }
+    pendingResourceMapRef.current = resourceMap || null;
 
-    // Get fresh reference to mesh (in case it was cloned or replaced)
-    const mesh = layer.mesh;
-    if (!mesh || !mesh.material) {
-      console.warn(`Mesh for layer ${layerId} is invalid`);
-      return;
+    const manager = new THREE.LoadingManager();
+    if (resourceMap) {
+      manager.setURLModifier((requestedUrl) => {
+        const fileName = decodeURIComponent(requestedUrl.split("/").pop().split("?")[0]);
+        return resourceMap.get(fileName) || requestedUrl;
+      });
     }
 
-    const testTex = textureNumber === 1 ? testTexture1Ref.current : testTexture2Ref.current;
-    if (!testTex) {
-      console.warn(`Test texture ${textureNumber} not loaded yet`);
+    runAssetLoad({
+      id: "model",
+      label: `Model: ${displayName}`,
+      url,
+      retry: () => loadModel(url, options),
+      process: (buffer, isCurrent) =>
+        new Promise((resolve, reject) => {
+          const gltfLoader = createGltfLoader(manager, decodersRef.current);
+          const done = (settle) => (result) => {
+            disposeGltfLoader(gltfLoader); // Its KTX2 textures are transcoded by now
+            settle(result);
+          };
+          gltfLoader.parse(buffer, THREE.LoaderUtils.extractUrlBase(url), done(resolve), done(reject));
+        }).then((gltf) => {
+          // A newer load started while this one was in flight, or it was cancelled while parsing -
+          // discard this result and keep the current model
+          if (loadToken !== loadTokenRef.current || !isCurrent()) {
+            disposeObject3D(gltf.scene);
+            return;
+          }
+          if (resourceMap) {
+            resourceMap.forEach((objectUrl) => URL.revokeObjectURL(objectUrl));
+            pendingResourceMapRef.current = null;
+          }
+          disposeCurrentModel();
+          const layers = setupLoadedModel(gltf, camera, displayName);
+          setModelName(displayName);
+          setLoading(false);
+          if (defaultArtwork) applyArtworkToLayers(defaultArtwork, layers, loadToken);
+        }),
+    }).catch((e) => {
+      if (loadToken !== loadTokenRef.current) return;
+      // Cancelled loads keep the previous model; the overlay offers Retry
+      if (!isAbortError(e)) setError(e?.message || "Failed to load GLB");
+      setLoading(false);
+    });
+  };
+
+  // Apply a catalog model's default artwork to its print layers (originals stay available for Reset)
+  const applyArtworkToLayers = (artworkUrl, layers, loadToken) => {
+    if (layers.length === 0) return;
+
+    // Loaded like a gallery pick (progress, cancel, retry); a default that is not in the gallery is
+    // not kept in the gallery's texture cache
+    const galleryArtwork = artworksRef.current.find((a) => a.path === artworkUrl);
+    const artwork = galleryArtwork || { id: `default:${artworkUrl}`, name: artworkUrl.split("/").pop(), path: artworkUrl };
+    loadArtworkTexture(artwork, () => applyArtworkToLayers(artworkUrl, layers, loadToken))
+      .then(({ texture, source }) => {
+        if (!galleryArtwork) {
+          artworkTexturesRef.current.delete(artwork.id);
+        }
+        // The model was replaced while the artwork was loading
+        if (loadToken !== loadTokenRef.current) {
+          if (!galleryArtwork) texture.dispose();
+          return;
+        }
+        const layerSource = { ...source, artworkId: galleryArtwork?.id ?? null, origin: "catalog" };
+        layers.forEach((layer) => {
+          // Clone the texture to avoid sharing references between layers
+          const clonedTex = texture.clone();
+          clonedTex.needsUpdate = true;
+          if (!applyArtworkTexture(layer, clonedTex)) {
+            clonedTex.dispose();
+            return;
+          }
+          layerArtworkRef.current.set(layer.id, { texture: clonedTex, source: layerSource });
+          setLayerArtworkSource(layer.id, layerSource);
+        });
+        // Only the per-layer clones stay in use (gallery textures stay cached for later picks)
+        if (!galleryArtwork) texture.dispose();
+      })
+      .catch((err) => {
+        if (!isAbortError(err)) console.warn(`Failed to load default artwork ${artworkUrl}:`, err);
+      });
+  };
+
+  // Switch to a model from the catalog, applying its lighting overrides before loading
+  const selectCatalogModel = (entry) => {
+    const { envRotation: entryEnvRotation, reflectionIntensity: entryReflection, ...lightingOverrides } = entry.lighting;
+    setLighting({ ...DEFAULT_LIGHTING, ...lightingOverrides });
+    setEnvRotation(typeof entryEnvRotation === "number" ? entryEnvRotation : 0);
+    setReflectionIntensity(typeof entryReflection === "number" ? entryReflection : 1.0);
+    setSelectedCatalogId(entry.id);
+
+    loadModel(entry.path, {
+      name: entry.name,
+      camera: entry.camera,
+      defaultArtwork: entry.defaultArtwork,
+    });
+  };
+
+  // Load model files chosen via the file picker or dropped on the viewport
+  const loadModelFiles = (fileList) => {
+    const files = Array.from(fileList || []);
+    const modelFile = files.find((f) => /\.(glb|gltf)$/i.test(f.name));
+    if (!modelFile) {
+      setError("Please choose a .glb or .gltf file");
       return;
     }
 
-    // Check if texture image is actually loaded
-    if (!testTex.image || (testTex.image instanceof HTMLImageElement && !testTex.image.complete)) {
-      console.warn(`Test texture ${textureNumber} image not ready yet`);
-      // Wait for texture to load
-      if (testTex.image instanceof HTMLImageElement) {
-        testTex.image.onload = () => {
-          // Retry after image loads
-          setTimeout(() => applyTestTextureToLayer(layerId, textureNumber), 100);
-        };
-      }
+    // Blob URLs for the model and any sibling files (.bin, textures) a .gltf may reference
+    const resourceMap = new Map();
+    files.forEach((f) => resourceMap.set(f.name, URL.createObjectURL(f)));
+
+    setSelectedCatalogId(null);
+    loadModel(resourceMap.get(modelFile.name), { name: modelFile.name, resourceMap });
+  };
+
+  const handleModelDragOver = (e) => {
+    if (!Array.from(e.dataTransfer?.types || []).includes("Files")) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "copy";
+    if (!isDragOver) setIsDragOver(true);
+    // Item MIME types are readable while dragging - images go onto the artwork, not the model loader
+    const items = Array.from(e.dataTransfer.items || []);
+    const imagesOnly = items.length > 0 && items.every(isImageFile);
+    if (imagesOnly !== isImageDragOver) setIsImageDragOver(imagesOnly);
+  };
+
+  const handleModelDragLeave = (e) => {
+    // Ignore dragleave fired when moving between child elements
+    if (e.currentTarget.contains(e.relatedTarget)) return;
+    setIsDragOver(false);
+  };
+
+  const handleModelDrop = (e) => {
+    if (!e.dataTransfer?.files?.length) return;
+    e.preventDefault();
+    setIsDragOver(false);
+    setIsImageDragOver(false);
+
+    const files = Array.from(e.dataTransfer.files);
+    const hasModel = files.some((f) => /\.(glb|gltf)$/i.test(f.name));
+    const image = files.find(isImageFile);
+    if (!hasModel && image) {
+      dropArtworkOnCanvas(image, e.clientX, e.clientY);
       return;
     }
+    loadModelFiles(files);
+  };
 
-    // Get the material (handle both single material and material arrays)
-    // Get fresh reference to ensure we're working with current material
-    const mats = Array.isArray(mesh.material) ? mesh.material : [mesh.material];
-    const mat = mats[layer.materialIndex];
-    if (!mat) {
-      console.warn(`Material at index ${layer.materialIndex} not found`);
+  // An image dropped on the viewport goes onto the print layer under the cursor (all layers if none is hit)
+  const dropArtworkOnCanvas = async (file, clientX, clientY) => {
+    const renderer = rendererRef.current;
+    const camera = cameraRef.current;
+    if (!renderer || !camera || textureLayers.length === 0) {
+      setError("Load a model with a print surface before dropping artwork");
       return;
     }
 
-    // Clone the texture to avoid sharing references
-    const clonedTex = testTex.clone();
-    
-    // Make the texture crisp and high-quality for print-like appearance
-    clonedTex.colorSpace = THREE.SRGBColorSpace;
-    clonedTex.flipY = false; // IMPORTANT for glTF in many cases
-    
-    // Sharp sampling for print-like crispness
-    clonedTex.generateMipmaps = true; // Keep ON for stability
-    clonedTex.minFilter = THREE.LinearMipmapLinearFilter; // Good default for minification
-    clonedTex.magFilter = THREE.LinearFilter; // Crisp when viewed up close (try NearestFilter if too harsh)
-    
-    // Anisotropy is the biggest win for "print sharpness" when the surface is tilted
-    clonedTex.anisotropy = rendererRef.current
-      ? rendererRef.current.capabilities.getMaxAnisotropy()
-      : 16; // High anisotropy for maximum sharpness
+    const rect = renderer.domElement.getBoundingClientRect();
+    const pointer = new THREE.Vector2(
+      ((clientX - rect.left) / rect.width) * 2 - 1,
+      -((clientY - rect.top) / rect.height) * 2 + 1
+    );
+    const raycaster = new THREE.Raycaster();
+    raycaster.setFromCamera(pointer, camera);
+    const hit = raycaster
+      .intersectObjects(textureLayers.map((layer) => layer.mesh), false)
+      .find((h) => h.object.visible);
+    const hitLayers = hit
+      ? textureLayers.filter(
+          (layer) =>
+            layer.mesh === hit.object &&
+            (!Array.isArray(layer.mesh.material) || layer.materialIndex === hit.face?.materialIndex)
+        )
+      : [];
+    const targets = hitLayers.length > 0 ? hitLayers : textureLayers;
+
+    try {
+      const { texture, source } = await loadImageFileTexture(file, renderer);
+      targets.forEach((layer, idx) => {
+        // Clone per layer so each layer can be changed on its own (clones share the image)
+        const layerTexture = idx === 0 ? texture : texture.clone();
+        applyArtworkTexture(layer, layerTexture);
+        handleLayerChange(layer.id, null, layerTexture, { ...source, origin: "canvas" });
+      });
+    } catch (err) {
+      console.warn(`Failed to apply dropped image ${file.name}:`, err);
+      setError(err?.message || "Could not read the dropped image");
+    }
+  };
+
+  // Classify materials, detect swappable texture layers, then center/scale the model and reset the camera
+  const setupLoadedModel = (gltf, cameraView, name) => {
+    const scene = sceneRef.current;
+    const camera = cameraRef.current;
+    const renderer = rendererRef.current;
+    const model = gltf.scene;
+    modelRef.current = model;
+
+    // Summarize material types and analyze texture layers
+    const byType = {};
+    let totalMeshes = 0;
+    let totalMaterials = 0;
+    const layers = [];
+    const originalTextures = new Map();
+
+    // Common texture map types in Three.js
+    const textureMapTypes = [
+      'map', 'normalMap', 'roughnessMap', 'metalnessMap', 'aoMap',
+      'emissiveMap', 'alphaMap', 'displacementMap', 'bumpMap',
+      'clearcoatMap', 'clearcoatNormalMap', 'clearcoatRoughnessMap',
+      'sheenColorMap', 'sheenRoughnessMap', 'transmissionMap', 'thicknessMap'
+    ];
+
+    const meshList = [];
+    let meshIdCounter = 0;
+
+    const meshMaterialDetails = [];
+
+    model.traverse((obj) => {
+      if (!obj.isMesh || !obj.material) return;
+      
+      // Shadows disabled (not needed)
+      
+      totalMeshes += 1;
+
+      // Track mesh visibility
+      const meshId = `mesh_${meshIdCounter++}`;
+      const meshName = obj.name || `Mesh_${totalMeshes}`;
+      const meshInfo = {
+        id: meshId,
+        name: meshName,
+        visible: obj.visible,
+        mesh: obj,
+        roles: [], // Array of { materialIndex, materialName, role, reason, source } from the role classifier
+      };
+      meshList.push(meshInfo);
+
+      const mats = Array.isArray(obj.material) ? obj.material : [obj.material];
+      totalMaterials += mats.length;
+
+      mats.forEach((mat, matIndex) => {
+        const t = mat?.type || "UnknownMaterial";
+        byType[t] = (byType[t] || 0) + 1;
+        
+        const matName = mat.name || `Material_${matIndex}`;
+        
+        // Material properties
+        const props = {
+            transparent: mat.transparent,
+            opacity: mat.opacity,
+            roughness: mat.roughness,
+          metalness: mat.metalness,
+          clearcoat: mat.clearcoat,
+          clearcoatRoughness: mat.clearcoatRoughness,
+          envMapIntensity: mat.envMapIntensity,
+          transmission: mat.transmission,
+        };
+        
+        // Texture maps
+        const textureMaps = [];
+        if (mat.map) textureMaps.push("map");
+        if (mat.normalMap) textureMaps.push("normalMap");
+        if (mat.roughnessMap) textureMaps.push("roughnessMap");
+        if (mat.metalnessMap) textureMaps.push("metalnessMap");
+        if (mat.aoMap) textureMaps.push("aoMap");
+        if (mat.emissiveMap) textureMaps.push("emissiveMap");
+        if (mat.alphaMap) textureMaps.push("alphaMap");
+        if (mat.displacementMap) textureMaps.push("displacementMap");
+        if (mat.bumpMap) textureMaps.push("bumpMap");
+        
+        // ============================================================
+        // PROPER MATERIAL CLASSIFICATION
+        // ============================================================
+        // An explicit userData.role tag (glTF extras) wins; otherwise the ordered rules from
+        // src/config/materialRoleRules.json decide the role (first match wins)
+        // e.g. in the sample GLB, Acrylic.001 is the print surface because it carries the artwork map
+        const hasArtworkMap = !!mat.map;
+        const { role: materialCategory, reason: classificationReason, source: roleSource } = classifyMaterialRole({
+          mesh: obj,
+          material: mat,
+          meshName,
+          materialName: matName,
+        });
+        
+        meshInfo.roles.push({
+          materialIndex: matIndex,
+          materialName: matName,
+          role: materialCategory,
+          reason: classificationReason,
+          source: roleSource,
+        });
+        
+        // Store for summary with proper classification
+        meshMaterialDetails.push({
+          meshName: meshName,
+          meshId: meshId,
+          materialIndex: matIndex,
+          materialName: matName,
+          materialType: t,
+          materialClass: mat.constructor.name,
+          materialCategory: materialCategory,
+          classificationReason: classificationReason,
+          roleSource: roleSource,
+          properties: props,
+          textureMaps: textureMaps,
+          isFrame: materialCategory === "FRAME",
+          isGlass: materialCategory === "GLASS",
+          isPrint: materialCategory === "PRINT",
+          isAcrylicBody: materialCategory === "ACRYLIC",
+          hasArtworkMap: hasArtworkMap,
+        });
+
+        // ============================================================
+        // APPLY CORRECT MATERIAL PROPERTIES BASED ON TYPE (MODEL-AGNOSTIC)
+        // ============================================================
+        // Keep an untouched copy so a manual role reassignment can start from the loaded values
+        loadedMaterialsRef.current.set(`${meshId}:${matIndex}`, mat.clone());
+        mat = applyRoleTreatment(obj, matIndex, materialCategory);
+        
+        // ============================================================
+        // TEXTURE LAYER DETECTION - ONLY MAP FOR ARTWORK (MODEL-AGNOSTIC)
+        // ============================================================
+        // CRITICAL: Only detect 'map' layers for artwork swapping
+        // PBR maps (normal, roughness, metalness) should NOT be swappable
+        // Detect print layer by: has map texture AND is not glass/frame
+        // This works for any model without hardcoding mesh names
+        // Surfaces explicitly tagged userData.role = "print" are swappable even without a map
+        if (materialCategory === "PRINT" && (mat.map || roleSource === "userData")) {
+          const layerInfo = createPrintLayer(obj, meshName, matIndex, mat);
+          layers.push(layerInfo);
+          // Store original texture
+          if (mat.map) originalTextures.set(layerInfo.id, mat.map);
+        }
+        });
+      });
+
+    setMaterialSummary({ totalMeshes, totalMaterials, byType });
+    setTextureLayers(layers);
+    originalTexturesRef.current = originalTextures;
+    setMeshes(meshList);
+
+    // ============================================================
+    // COMPREHENSIVE MODEL ANALYSIS FOR WHITEWALL SETUP
+    // ============================================================
+    // Structured report for the diagnostics panel and QA download, also logged to the console
+    const report = buildModelDiagnostics({
+      model,
+      modelName: name,
+      materials: meshMaterialDetails,
+      layers,
+      targetSize: MODEL_TARGET_SIZE,
+    });
+    setDiagnostics(report);
+    logModelDiagnostics(
+      withEnvironmentDiagnostics(report, { renderer, scene, hdriPath: HDRI_PATH, environmentStatus: environmentStatusRef.current })
+    );
+
+    // Toggle Test Instructions
+    console.log("\n📋 TOGGLE TESTS (manual verification needed)");
+    console.log("-".repeat(80));
+    console.log("   Use the Mesh Visibility controls to test:");
+    meshList.forEach((mesh, idx) => {
+      console.log(`   ${idx + 1}. Hide "${mesh.name}" → Check what changes visually`);
+    });
+    console.log("\n   Expected results:");
+    console.log("   - Hide PRINT mesh → artwork should disappear");
+    console.log("   - Hide GLASS mesh → artwork should become clearer (less foggy)");
+    console.log("   - Hide ACRYLIC mesh → check if it affects reflections/transparency");
+
+    console.log("\n" + "=".repeat(80));
+    console.log("✅ Analysis complete - use this info to configure WhiteWall material settings");
+    console.log("=".repeat(80) + "\n");
+
+    // Center and scale model
+    const box = new THREE.Box3().setFromObject(model);
+    const size = box.getSize(new THREE.Vector3());
+    const center = box.getCenter(new THREE.Vector3());
+    model.position.sub(center);
     
-    clonedTex.needsUpdate = true;
+    const maxDim = Math.max(size.x, size.y, size.z) || 1;
+    model.scale.multiplyScalar(MODEL_TARGET_SIZE / maxDim);
 
-    // Apply ONLY to map (color/diffuse texture)
-    mat.map = clonedTex;
-      mat.needsUpdate = true;
+    const scaledBox = new THREE.Box3().setFromObject(model);
+    const scaledCenter = scaledBox.getCenter(new THREE.Vector3());
+    model.position.sub(scaledCenter);
     
-    // Force renderer update
-    if (rendererRef.current) {
-      rendererRef.current.render(sceneRef.current, cameraRef.current);
+    const finalBox = new THREE.Box3().setFromObject(model);
+    modelBoundingBoxRef.current = finalBox;
+
+    // Keep model in its original orientation (no rotation applied)
+
+    // Update OrbitControls target to model center (or the catalog's target) and reset camera position
+    if (controlsRef.current) {
+      const modelCenter = finalBox.getCenter(new THREE.Vector3());
+      const target = cameraView?.target ? new THREE.Vector3(...cameraView.target) : modelCenter;
+      controlsRef.current.target.copy(target);
+      
+      // Reset camera to look at model from front (vertical orientation)
+      camera.position.set(...(cameraView?.position || DEFAULT_CAMERA_POSITION));
+      camera.fov = cameraView?.fov || DEFAULT_CAMERA_FOV;
+      camera.updateProjectionMatrix();
+      camera.lookAt(target);
+      controlsRef.current.update(); // Update controls
     }
+
+    scene.add(model);
+    return layers;
   };
 
-  // Reset a layer to its original texture
-  const resetLayerToOriginal = (layerId) => {
-    const layer = textureLayers.find(l => l.id === layerId);
-    if (!layer || !layer.material || !layer.mesh) {
-      console.warn(`Layer ${layerId} not found or invalid`);
-      return;
-    }
+  // =========================
+  // MATERIAL ROLES
+  // =========================
 
-    // Get fresh reference to mesh
-    const mesh = layer.mesh;
-    if (!mesh || !mesh.material) {
-      console.warn(`Mesh for layer ${layerId} is invalid`);
+  // Run the treatment for a role on one material slot and hook it up to the reflection slider
+  const applyRoleTreatment = (mesh, materialIndex, role) => {
+    const { material, baseEnvMapIntensity } = applyMaterialTreatment(mesh, materialIndex, role, {
+      renderer: rendererRef.current,
+    });
+    if (baseEnvMapIntensity !== null) setBaseEnvMapIntensity(material, baseEnvMapIntensity);
+    return material;
+  };
+
+  // Swappable artwork layer for a print surface
+  const createPrintLayer = (mesh, meshName, materialIndex, mat) => ({
+    id: `layer_${nextLayerIdRef.current++}`,
+    meshName: meshName,
+    materialIndex: materialIndex,
+    mapType: "map", // Only map is swappable
+    hasOriginal: !!mat.map,
+    originalTexture: mat.map || null,
+    material: mat,
+    mesh: mesh,
+    materialCategory: "PRINT",
+    printAspect: getPrintAspect(mesh, mat), // width / height from userData.printAspect, or null
+    printSurface: measurePrintSurface(mesh, materialIndex, { root: modelRef.current }), // UV bounds + size in model units, or null
+    printSize: getPrintSize(mesh, mat), // Physical { width, height } in cm from userData.printSize, or null
+  });
+
+  // Manually reassign the role of a mesh/material pair: rebuild the material from its loaded
+  // values with the new role's treatment and add/remove the matching texture layer
+  const reassignMaterialRole = (meshId, materialIndex, role) => {
+    const meshInfo = meshes.find((m) => m.id === meshId);
+    const loadedMaterial = loadedMaterialsRef.current.get(`${meshId}:${materialIndex}`);
+    if (!meshInfo || !loadedMaterial) {
+      console.warn(`Cannot reassign role: material ${materialIndex} of ${meshId} not found`);
       return;
     }
 
-    // Get the material (handle both single material and material arrays)
+    const mesh = meshInfo.mesh;
     const mats = Array.isArray(mesh.material) ? mesh.material : [mesh.material];
-    const mat = mats[layer.materialIndex];
-    if (!mat) {
-      console.warn(`Material at index ${layer.materialIndex} not found`);
-      return;
+    const previousMaterial = mats[materialIndex];
+    const previousRole = meshInfo.roles.find((r) => r.materialIndex === materialIndex)?.role;
+
+    // Start from the loaded values so nothing from the previous treatment leaks through
+    if (Array.isArray(mesh.material)) {
+      mesh.material[materialIndex] = loadedMaterial.clone();
+    } else {
+      mesh.material = loadedMaterial.clone();
     }
+    const material = applyRoleTreatment(mesh, materialIndex, role);
 
-    const originalTex = originalTexturesRef.current.get(layerId);
-    if (originalTex) {
-      mat[layer.mapType] = originalTex;
-        mat.needsUpdate = true;
-      
-      // Force renderer update
-      if (rendererRef.current) {
-        rendererRef.current.render(sceneRef.current, cameraRef.current);
+    const roles = meshInfo.roles.map((r) => {
+      if (r.materialIndex !== materialIndex) return r;
+      const detectedRole = r.detectedRole || r.role; // Role found by the classifier
+      return { ...r, role, detectedRole, source: "manual", reason: `Manually assigned (detected: ${detectedRole})` };
+    });
+    mesh.renderOrder = Math.max(0, ...roles.map((r) => ROLE_RENDER_ORDER[r.role] || 0));
+
+    baseEnvMapIntensitiesRef.current.delete(previousMaterial);
+    let previousInUse = false;
+    modelRef.current?.traverse((obj) => {
+      if (obj.isMesh && (obj.material === previousMaterial || (Array.isArray(obj.material) && obj.material.includes(previousMaterial)))) {
+        previousInUse = true;
       }
-    } else {
-      console.warn(`No original texture found for layer ${layerId}`);
+    });
+    if (!previousInUse) previousMaterial.dispose();
+
+    setMeshes((prev) => prev.map((m) => (m.id === meshId ? { ...m, roles } : m)));
+
+    // Keep the texture layers (layer list + transform modal) in sync with the print surfaces
+    const removedLayerIds = [];
+    const nextLayers = textureLayers.filter((layer) => {
+      const isThisSlot = layer.mesh === mesh && layer.materialIndex === materialIndex;
+      if (isThisSlot) {
+        originalTexturesRef.current.delete(layer.id);
+        layerArtworkRef.current.delete(layer.id);
+        removedLayerIds.push(layer.id);
+      }
+      return !isThisSlot;
+    });
+    if (removedLayerIds.length > 0) {
+      setLayerSubstrates((prev) => {
+        const next = { ...prev };
+        removedLayerIds.forEach((id) => delete next[id]);
+        return next;
+      });
     }
+    if (role === "PRINT") {
+      const layerInfo = createPrintLayer(mesh, meshInfo.name, materialIndex, material);
+      if (material.map) originalTexturesRef.current.set(layerInfo.id, material.map);
+      nextLayers.push(layerInfo);
+    }
+    setTextureLayers(nextLayers);
+
+    console.log(`🎭 ${meshInfo.name} [${materialIndex}]: ${previousRole} → ${role}`);
+  };
+
+  const recordCommand = (command) => historyRef.current.push(command);
+
+  const setLayerArtworkSource = (layerId, source) => {
+    setArtworkSources((prev) => {
+      const next = { ...prev };
+      if (source) next[layerId] = source;
+      else delete next[layerId];
+      return next;
+    });
   };
 
+  // Texture + source on a layer now
+  const getLayerArtwork = (layerId) =>
+    layerArtworkRef.current.get(layerId) || { texture: originalTexturesRef.current.get(layerId) || null, source: null };
+
+  // Put a texture recorded in the history back on its layer
+  const restoreLayerArtwork = (layer, artwork) => {
+    applyArtworkTexture(layer, artwork.texture);
+    layerArtworkRef.current.set(layer.id, artwork);
+    setLayerArtworkSource(layer.id, artwork.source);
+  };
+
+  // Artwork changes from the layer manager (test textures, uploads, resets), gallery, canvas drops and
+  // the transform modal - called after the texture is on the layer
+  const handleLayerChange = (layerId, textureNumber, texture, source) => {
+    const layer = textureLayers.find((l) => l.id === layerId);
+    const previous = getLayerArtwork(layerId);
+    // A reset of a layer without an original texture passes null: no texture, no artwork source
+    const next = { texture: texture || null, source: source || null };
+    layerArtworkRef.current.set(layerId, next);
+    setLayerArtworkSource(layerId, next.source);
+
+    if (layer && previous.texture !== texture) {
+      const label = describeArtworkChange(textureNumber, source);
+      recordCommand({
+        label,
+        targets: [`${layer.meshName} [${layer.materialIndex}]`],
+        // Applying one artwork to several layers is a single step
+        mergeKey: `artwork:${label}`,
+        textures: [previous.texture, texture],
+        undo: () => restoreLayerArtwork(layer, previous),
+        redo: () => restoreLayerArtwork(layer, next),
+      });
+    }
+    if (source) {
+      console.log(`🖼️ ${layerId}: ${source.name} (${source.width}×${source.height}, ${source.type}, via ${source.origin})`);
+    }
+  };
+
+  // Apply a gallery artwork to one layer (or all layers when layerId is null)
+  const applyGalleryArtwork = (artwork, layerId) => {
+    const layers = layerId ? textureLayers.filter((l) => l.id === layerId) : textureLayers;
+    if (layers.length === 0) return;
+
+    const loadToken = loadTokenRef.current;
+    setLoadingArtworkId(artwork.id);
+    loadArtworkTexture(artwork, () => applyGalleryArtwork(artwork, layerId))
+      .then(({ texture, source }) => {
+        // The model was replaced while the artwork was loading
+        if (loadToken !== loadTokenRef.current) return;
+        layers.forEach((layer) => {
+          // Clone the texture to avoid sharing references between layers
+          const clonedTex = texture.clone();
+          clonedTex.needsUpdate = true;
+          if (!applyArtworkTexture(layer, clonedTex)) {
+            clonedTex.dispose();
+            return;
+          }
+          handleLayerChange(layer.id, null, clonedTex, { ...source, artworkId: artwork.id, origin: "gallery" });
+        });
+      })
+      .catch((err) => {
+        if (!isAbortError(err)) console.warn(`Failed to load artwork ${artwork.name}:`, err);
+      })
+      .finally(() => {
+        setLoadingArtworkId((current) => (current === artwork.id ? null : current));
+      });
+  };
+
+  const addGalleryUploads = (files) => {
+    setArtworks((prev) => [...prev, ...files.map(createUploadedArtwork)]);
+  };
+
+  // Drop an uploaded image from the gallery; layers showing it keep their copy until replaced
+  const removeGalleryArtwork = (artwork) => {
+    const pending = artworkTexturesRef.current.get(artwork.id);
+    if (pending) {
+      artworkTexturesRef.current.delete(artwork.id);
+      pending.then(({ texture }) => texture.dispose(), () => {});
+    }
+    releaseArtwork(artwork);
+    setArtworks((prev) => prev.filter((a) => a.id !== artwork.id));
+  };
+
+  // Base envMapIntensity of a material (before the reflection slider multiplier)
+  const getBaseEnvMapIntensity = (mat) => baseEnvMapIntensitiesRef.current.get(mat) ?? mat.envMapIntensity;
+
+  const setBaseEnvMapIntensity = (mat, baseIntensity) => {
+    baseEnvMapIntensitiesRef.current.set(mat, baseIntensity);
+    mat.envMapIntensity = baseIntensity * reflectionIntensityRef.current;
+  };
+
+  // Switch the print substrate (matte paper, canvas, ...) of one print surface
+  const setLayerSubstrate = (layerId, presetId) => {
+    const layer = textureLayers.find((l) => l.id === layerId);
+    if (!layer || !layer.mesh) return;
+
+    const mats = Array.isArray(layer.mesh.material) ? layer.mesh.material : [layer.mesh.material];
+    const mat = mats[layer.materialIndex];
+    if (!mat || !mat.isMeshPhysicalMaterial) {
+      console.warn(`Layer ${layerId} has no physical print material - cannot apply a substrate`);
+      return;
+    }
+
+    const preset = getSubstratePreset(presetId);
+    setBaseEnvMapIntensity(mat, applySubstratePreset(mat, preset));
+
+    setLayerSubstrates((prev) => ({ ...prev, [layerId]: preset.id }));
+    console.log(`🧻 ${layer.meshName} [${layer.materialIndex}]: substrate → ${preset.name}`);
+  };
+
+  // Stable list for the transform modal, which re-initializes when it changes
+  const artworkPaths = useMemo(() => artworks.map((a) => a.path), [artworks]);
+
   // =========================
   // MESH VISIBILITY FUNCTIONS
   // =========================
 
   const toggleMeshVisibility = (meshId) => {
-    setMeshes(prev => prev.map(m => {
-      if (m.id === meshId) {
-        const newVisible = !m.visible;
-        if (m.mesh) {
-          m.mesh.visible = newVisible;
-        }
-        return { ...m, visible: newVisible };
-      }
-      return m;
-    }));
+    const meshInfo = meshes.find((m) => m.id === meshId);
+    if (!meshInfo) return;
+
+    const visible = !meshInfo.visible;
+    const setVisible = (value) => {
+      if (meshInfo.mesh) meshInfo.mesh.visible = value;
+      setMeshes((prev) => prev.map((m) => (m.id === meshId ? { ...m, visible: value } : m)));
+    };
+    setVisible(visible);
+    recordCommand({
+      label: visible ? "Show mesh" : "Hide mesh",
+      targets: [meshInfo.name],
+      undo: () => setVisible(!visible),
+      redo: () => setVisible(visible),
+    });
   };
 
+  // =========================
+  // LIGHTING FUNCTIONS
+  // =========================
+
+  const applyLightingState = (state) => {
+    setLighting(state.lighting);
+    setEnvRotation(state.envRotation);
+    setReflectionIntensity(state.reflectionIntensity);
+    setShowReflections(state.showReflections);
+  };
+
+  // Change lighting / environment settings as one history step; slider drags share a mergeKey
+  const changeLighting = (changes, label, mergeKey) => {
+    const before = { lighting, envRotation, reflectionIntensity, showReflections };
+    const after = { ...before, ...changes, lighting: { ...lighting, ...changes.lighting } };
+    applyLightingState(after);
+    recordCommand({
+      label,
+      mergeKey,
+      undo: () => applyLightingState(before),
+      redo: () => applyLightingState(after),
+    });
+  };
+
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS, Ctrl+Y also redoes). Text fields keep their own undo and the
+  // transform modal has its own keys.
+  useEffect(() => {
+    if (showTextureTransformModal) return;
+
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const target = e.target;
+      const isTextEntry =
+        target?.isContentEditable ||
+        target?.tagName === "TEXTAREA" ||
+        (target?.tagName === "INPUT" && !["range", "checkbox", "radio", "button", "file", "color"].includes(target.type));
+      if (isTextEntry) return;
+
+      const key = e.key.toLowerCase();
+      if (key === "z") {
+        e.preventDefault();
+        if (e.shiftKey) historyRef.current.redo();
+        else historyRef.current.undo();
+      } else if (key === "y" && !e.shiftKey) {
+        e.preventDefault();
+        historyRef.current.redo();
+      }
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [showTextureTransformModal]);
+
   return (
     <div
       style={{
@@ -995,9 +1406,43 @@ export default function GlbTextureSwapTester() {
           linear-gradient(#cfc9c6 0%, #f6f6f6 65%, #ffffff 100%)
         `,
       }}
+      onDragOver={handleModelDragOver}
+      onDragLeave={handleModelDragLeave}
+      onDrop={handleModelDrop}
     >
       <div ref={mountRef} style={{ width: "100%", height: "100%" }} />
 
+      {/* Drop zone overlay - shown while dragging files over the viewport */}
+      {isDragOver && (
+        <div
+          style={{
+            position: "absolute",
+            inset: 16,
+            border: "3px dashed #2196F3",
+            borderRadius: 12,
+            background: "rgba(33, 150, 243, 0.12)",
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center",
+            color: "#1976D2",
+            fontSize: 20,
+            fontWeight: 700,
+            pointerEvents: "none",
+            zIndex: 20,
+          }}
+        >
+          {isImageDragOver ? "Drop an image onto the print to apply it as artwork" : "Drop a .glb / .gltf model to load it"}
+        </div>
+      )}
+
+      {/* Download progress for model / HDRI / test textures, with cancel and retry */}
+      <AssetLoadingOverlay
+        assets={Object.values(assetLoads)}
+        onCancel={cancelAssetLoad}
+        onRetry={retryAssetLoad}
+        onDismiss={removeAssetLoad}
+      />
+
       {/* Simple Controls Panel */}
       <div
         style={{
@@ -1021,8 +1466,59 @@ export default function GlbTextureSwapTester() {
         {loading && <div style={{ color: "#7CFC00", marginBottom: 12 }}>Loading…</div>}
         {error && <div style={{ color: "#ff6b6b", marginBottom: 12 }}>ERROR: {error}</div>}
 
+        {/* Model picker - .gltf may be selected together with its .bin and texture files */}
+        {modelName && (
+          <div style={{ fontSize: 11, opacity: 0.7, marginBottom: 6, wordBreak: "break-all" }}>
+            Model: {modelName}
+          </div>
+        )}
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".glb,.gltf,.bin,.ktx2,image/*"
+          multiple
+          style={{ display: "none" }}
+          onChange={(e) => {
+            loadModelFiles(e.target.files);
+            e.target.value = ""; // Allow re-selecting the same file
+          }}
+        />
         <button
-          onClick={() => setShowReflections(!showReflections)}
+          onClick={() => fileInputRef.current?.click()}
+          disabled={loading}
+          style={{
+            width: "100%",
+            padding: 10,
+            border: 0,
+            borderRadius: 6,
+            background: "#444",
+            color: "white",
+            cursor: loading ? "not-allowed" : "pointer",
+            fontWeight: 700,
+            opacity: loading ? 0.6 : 1,
+          }}
+        >
+          Open model…
+        </button>
+        <div style={{ fontSize: 10, opacity: 0.6, marginTop: 4 }}>
+          or drop a .glb / .gltf onto the viewer
+        </div>
+
+        {/* Model catalog switcher - products from models.json */}
+        {catalogModels.length > 0 && (
+          <div style={{ marginTop: 14 }}>
+            <ModelCatalogSwitcher
+              models={catalogModels}
+              selectedId={selectedCatalogId}
+              onSelect={selectCatalogModel}
+              disabled={loading}
+              collapsible={true}
+            />
+          </div>
+        )}
+
+        <button
+          onClick={() => changeLighting({ showReflections: !showReflections }, showReflections ? "Reflections off" : "Reflections on")}
             style={{
             width: "100%",
             padding: 14,
@@ -1071,7 +1567,7 @@ export default function GlbTextureSwapTester() {
               e.target.style.background = "#2196F3";
             }}
           >
-            Transform Texture (All Layers)
+            Transform Texture
         </button>
         )}
 
@@ -1088,14 +1584,50 @@ export default function GlbTextureSwapTester() {
           </div>
         )}
 
+        {/* History - undo / redo of artwork, lighting and visibility changes */}
+        {!loading && (
+          <div style={{ marginTop: 14 }}>
+            <HistoryPanel
+              entries={history.entries}
+              index={history.index}
+              onUndo={() => historyRef.current.undo()}
+              onRedo={() => historyRef.current.redo()}
+              onGoTo={(position) => historyRef.current.goTo(position)}
+              collapsible={true}
+            />
+          </div>
+        )}
+
+        {/* Artwork Gallery - manifest images + uploads, applied with one click */}
+        {!loading && (artworks.length > 0 || textureLayers.length > 0) && (
+          <div style={{ marginTop: 14 }}>
+            <ArtworkGallery
+              artworks={artworks}
+              textureLayers={textureLayers}
+              artworkSources={artworkSources}
+              onApply={applyGalleryArtwork}
+              onUpload={addGalleryUploads}
+              onRemove={removeGalleryArtwork}
+              loadingArtworkId={loadingArtworkId}
+              collapsible={true}
+            />
+          </div>
+        )}
+
         {/* Texture Layers Controls - Modular Component */}
         {!loading && (
           <div style={{ marginTop: 14 }}>
             <TextureLayerManager
               model={modelRef.current}
               textureLoader={textureLoaderRef.current}
-              testTexturePaths={[TEST_IMAGE_1_PATH, TEST_IMAGE_2_PATH]}
+              testTexturePaths={[]} // Test images live in the Artwork Gallery
               textureLayers={textureLayers}
+              onLayerChange={handleLayerChange}
+              artworkSources={artworkSources}
+              substratePresets={SUBSTRATE_PRESETS}
+              layerSubstrates={layerSubstrates}
+              defaultSubstrateId={DEFAULT_SUBSTRATE_ID}
+              onSubstrateChange={setLayerSubstrate}
               renderer={rendererRef.current}
               scene={sceneRef.current}
               camera={cameraRef.current}
@@ -1150,6 +1682,12 @@ export default function GlbTextureSwapTester() {
                       <div style={{ fontSize: 10, opacity: 0.7 }}>
                         {mesh.visible ? "Visible" : "Hidden"}
                       </div>
+                      {/* Classified roles - hover for the rule that matched */}
+                      {mesh.roles?.map((r) => (
+                        <div key={r.materialIndex} title={r.reason} style={{ fontSize: 10, opacity: 0.7, cursor: "help" }}>
+                          Mat {r.materialIndex}: {r.role}
+                        </div>
+                      ))}
                     </div>
           <button
                       onClick={() => toggleMeshVisibility(mesh.id)}
@@ -1174,6 +1712,40 @@ export default function GlbTextureSwapTester() {
           </div>
         )}
 
+        {/* Material role overrides - Collapsible */}
+        {!loading && meshes.length > 0 && (
+          <div style={{ marginTop: 14 }}>
+            <MaterialRolePanel meshes={meshes} onRoleChange={reassignMaterialRole} collapsible={true} />
+          </div>
+        )}
+
+        {/* Model diagnostics - Collapsible */}
+        {!loading && diagnostics && (
+          <div style={{ marginTop: 14 }}>
+            <DiagnosticsPanel
+              report={withEnvironmentDiagnostics(diagnostics, {
+                renderer: rendererRef.current,
+                scene: sceneRef.current,
+                hdriPath: HDRI_PATH,
+                environmentStatus,
+              })}
+              collapsible={true}
+            />
+          </div>
+        )}
+
+        {/* Material inspector - Collapsible */}
+        {!loading && meshes.length > 0 && (
+          <div style={{ marginTop: 14 }}>
+            <MaterialInspector
+              meshes={meshes}
+              getBaseEnvMapIntensity={getBaseEnvMapIntensity}
+              onBaseEnvMapIntensityChange={setBaseEnvMapIntensity}
+              collapsible={true}
+            />
+          </div>
+        )}
+
         {/* Lighting controls - Collapsible */}
         <div style={{ marginTop: 14, fontFamily: "monospace", fontSize: 12 }}>
           <button
@@ -1226,12 +1798,10 @@ export default function GlbTextureSwapTester() {
                     max={s.max}
                     step={s.step}
                     value={lighting[s.key]}
-                    onChange={(e) =>
-                      setLighting((prev) => ({
-                        ...prev,
-                        [s.key]: parseFloat(e.target.value),
-                      }))
-                    }
+                    onChange={(e) => {
+                      const value = parseFloat(e.target.value);
+                      changeLighting({ lighting: { [s.key]: value } }, `${s.label} ${value.toFixed(2)}`, `lighting:${s.key}`);
+                    }}
                     style={{ width: "100%" }}
                   />
                   {s.desc && (
@@ -1265,7 +1835,10 @@ export default function GlbTextureSwapTester() {
                   max={2.0}
                   step={0.05}
                   value={reflectionIntensity}
-                  onChange={(e) => setReflectionIntensity(parseFloat(e.target.value))}
+                  onChange={(e) => {
+                    const value = parseFloat(e.target.value);
+                    changeLighting({ reflectionIntensity: value }, `Reflection intensity ${(value * 100).toFixed(0)}%`, "lighting:reflection");
+                  }}
                   style={{ width: "100%" }}
                 />
                 <div style={{ fontSize: 10, opacity: 0.6, marginTop: 2 }}>
@@ -1296,7 +1869,10 @@ export default function GlbTextureSwapTester() {
                   max={180}
                   step={1}
                   value={envRotation}
-                  onChange={(e) => setEnvRotation(parseFloat(e.target.value))}
+                  onChange={(e) => {
+                    const value = parseFloat(e.target.value);
+                    changeLighting({ envRotation: value }, `Lighting rotation ${value.toFixed(0)}°`, "lighting:rotation");
+                  }}
                   style={{ width: "100%" }}
                 />
                 <div style={{ fontSize: 10, opacity: 0.6, marginTop: 2 }}>
@@ -1305,17 +1881,22 @@ export default function GlbTextureSwapTester() {
               </div>
 
               <button
-                onClick={() => {
-                  setLighting({
-                    exposure: 1.30,
-                    ambient: 0.05,
-                    key: 0.45,
-                    fill: 0.25,
-                    rim: 0.35,
-                  });
-                  setEnvRotation(0);
-                  setReflectionIntensity(1.0);
-                }}
+                onClick={() =>
+                  changeLighting(
+                    {
+                      lighting: {
+                        exposure: 1.30,
+                        ambient: 0.05,
+                        key: 0.45,
+                        fill: 0.25,
+                        rim: 0.35,
+                      },
+                      envRotation: 0,
+                      reflectionIntensity: 1.0,
+                    },
+                    "Reset to WhiteWall preset"
+                  )
+                }
           style={{
                   width: "100%",
                   padding: 10,
@@ -1383,9 +1964,10 @@ export default function GlbTextureSwapTester() {
         isOpen={showTextureTransformModal}
         onClose={() => setShowTextureTransformModal(false)}
         textureLayers={textureLayers}
-        textureLoader={textureLoaderRef.current}
         renderer={rendererRef.current}
-        testTexturePaths={[TEST_IMAGE_1_PATH, TEST_IMAGE_2_PATH]}
+        fallbackImages={artworkPaths}
+        onLayerChange={handleLayerChange}
+        recipeStorageKey={modelName}
       />
     </div>
   );
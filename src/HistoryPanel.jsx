@@ -0,0 +1,144 @@
+import { useState } from "react";
+
+const buttonStyle = (enabled) => ({
+  flex: 1,
+  padding: 6,
+  border: 0,
+  borderRadius: 4,
+  background: enabled ? "#2196F3" : "#333",
+  color: "white",
+  cursor: enabled ? "pointer" : "not-allowed",
+  opacity: enabled ? 1 : 0.5,
+  fontFamily: "monospace",
+  fontSize: 10,
+  fontWeight: 600,
+});
+
+// "Frame [0]" for one target, "3 layers" for several
+function describeTargets(targets) {
+  if (targets.length === 0) return "";
+  return targets.length === 1 ? targets[0] : `${targets.length} layers`;
+}
+
+/**
+ * HistoryPanel Component
+ *
+ * Undo / redo buttons and the list of recorded viewer commands (see commandHistory.js), newest
+ * first. Undone entries stay greyed out until a new command replaces them; clicking an entry
+ * undoes or redoes everything after / up to it.
+ *
+ * @param {Object} props
+ * @param {Array} props.entries - History entries { id, label, targets }
+ * @param {number} props.index - Number of applied entries (the rest are undone)
+ * @param {Function} props.onUndo - Callback to undo the newest applied entry
+ * @param {Function} props.onRedo - Callback to redo the oldest undone entry
+ * @param {Function} props.onGoTo - Callback with the number of entries to leave applied
+ * @param {boolean} props.collapsible - Whether the UI should be collapsible (default: true)
+ */
+export default function HistoryPanel({ entries = [], index = 0, onUndo, onRedo, onGoTo, collapsible = true }) {
+  const [showHistory, setShowHistory] = useState(!collapsible);
+  const canUndo = index > 0;
+  const canRedo = index < entries.length;
+
+  return (
+    <div style={{ fontFamily: "monospace", fontSize: 12 }}>
+      {collapsible && (
+        <button
+          onClick={() => setShowHistory(!showHistory)}
+          style={{
+            width: "100%",
+            padding: 10,
+            border: 0,
+            borderRadius: 6,
+            background: showHistory ? "#555" : "#444",
+            color: "white",
+            cursor: "pointer",
+            fontWeight: 700,
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center",
+          }}
+        >
+          <span>History ({index}/{entries.length})</span>
+          <span>{showHistory ? "−" : "+"}</span>
+        </button>
+      )}
+
+      {showHistory && (
+        <div style={{ marginTop: collapsible ? 10 : 0 }}>
+          <div style={{ display: "flex", gap: 6, marginBottom: 8 }}>
+            <button onClick={onUndo} disabled={!canUndo} title="Undo (Ctrl+Z)" style={buttonStyle(canUndo)}>
+              ↶ Undo
+            </button>
+            <button onClick={onRedo} disabled={!canRedo} title="Redo (Ctrl+Shift+Z)" style={buttonStyle(canRedo)}>
+              ↷ Redo
+            </button>
+          </div>
+
+          <div style={{ maxHeight: "240px", overflowY: "auto", paddingRight: 4 }}>
+            {entries
+              .map((entry, i) => ({ entry, position: i + 1 }))
+              .reverse()
+              .map(({ entry, position }) => {
+                const undone = position > index;
+                const isCurrent = position === index;
+                const targets = describeTargets(entry.targets);
+                return (
+                  <button
+                    key={entry.id}
+                    onClick={() => onGoTo && onGoTo(position)}
+                    title={entry.targets.length > 1 ? entry.targets.join("\n") : undefined}
+                    style={{
+                      width: "100%",
+                      display: "block",
+                      textAlign: "left",
+                      marginBottom: 4,
+                      padding: "6px 8px",
+                      border: 0,
+                      borderRadius: 4,
+                      borderLeft: isCurrent ? "3px solid #2196F3" : "3px solid transparent",
+                      background: isCurrent ? "rgba(33,150,243,0.15)" : "rgba(255,255,255,0.05)",
+                      color: "white",
+                      cursor: "pointer",
+                      opacity: undone ? 0.45 : 1,
+                      fontStyle: undone ? "italic" : "normal",
+                      fontFamily: "monospace",
+                      fontSize: 11,
+                    }}
+                  >
+                    <div>{entry.label}</div>
+                    {targets && <div style={{ fontSize: 9, opacity: 0.7, marginTop: 2 }}>{targets}</div>}
+                  </button>
+                );
+              })}
+
+            <button
+              onClick={() => onGoTo && onGoTo(0)}
+              style={{
+                width: "100%",
+                display: "block",
+                textAlign: "left",
+                padding: "6px 8px",
+                border: 0,
+                borderRadius: 4,
+                borderLeft: index === 0 ? "3px solid #2196F3" : "3px solid transparent",
+                background: index === 0 ? "rgba(33,150,243,0.15)" : "rgba(255,255,255,0.05)",
+                color: "white",
+                cursor: "pointer",
+                fontFamily: "monospace",
+                fontSize: 11,
+                opacity: 0.8,
+              }}
+            >
+              Model loaded
+            </button>
+          </div>
+
+          <div style={{ marginTop: 6, fontSize: 9, opacity: 0.6 }}>
+            Ctrl+Z undo • Ctrl+Shift+Z redo. Click an entry to go back to it.
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
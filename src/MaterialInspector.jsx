@@ -0,0 +1,295 @@
+import { useState, useEffect, useRef } from "react";
+import * as THREE from "three";
+
+// Inspectable properties, shown when the selected material has them.
+// envMapIntensity is edited as the base value (before the reflection slider multiplier).
+const INSPECTOR_PROPERTIES = [
+  { key: "color", type: "color" },
+  { key: "roughness", type: "range", min: 0, max: 1, step: 0.01 },
+  { key: "metalness", type: "range", min: 0, max: 1, step: 0.01 },
+  { key: "envMapIntensity", type: "range", min: 0, max: 5, step: 0.05 },
+  { key: "specularIntensity", type: "range", min: 0, max: 1, step: 0.01 },
+  { key: "specularColor", type: "color" },
+  { key: "clearcoat", type: "range", min: 0, max: 1, step: 0.01 },
+  { key: "clearcoatRoughness", type: "range", min: 0, max: 1, step: 0.01 },
+  { key: "sheen", type: "range", min: 0, max: 1, step: 0.01 },
+  { key: "sheenRoughness", type: "range", min: 0, max: 1, step: 0.01 },
+  { key: "sheenColor", type: "color" },
+  { key: "transmission", type: "range", min: 0, max: 1, step: 0.01 },
+  { key: "ior", type: "range", min: 1, max: 2.333, step: 0.01 },
+  { key: "thickness", type: "range", min: 0, max: 0.1, step: 0.0005 },
+  { key: "attenuationColor", type: "color" },
+  { key: "attenuationDistance", type: "range", min: 0.01, max: 10, step: 0.01, infinity: "no absorption" },
+  { key: "opacity", type: "range", min: 0, max: 1, step: 0.01 },
+  { key: "transparent", type: "toggle" },
+  { key: "depthWrite", type: "toggle" },
+  { key: "side", type: "toggle", label: "doubleSided" },
+];
+
+// Read the inspectable values of a material as plain JSON-friendly data
+// (Infinity, e.g. attenuationDistance without absorption, becomes the string "Infinity")
+function readMaterialValues(material, baseEnvMapIntensity) {
+  const values = {};
+  INSPECTOR_PROPERTIES.forEach(({ key, type }) => {
+    if (!(key in material)) return;
+    if (key === "envMapIntensity") {
+      values[key] = baseEnvMapIntensity;
+    } else if (key === "side") {
+      values.doubleSided = material.side === THREE.DoubleSide;
+    } else if (type === "color") {
+      values[key] = `#${material[key].getHexString()}`;
+    } else {
+      values[key] = material[key] === Infinity ? "Infinity" : material[key];
+    }
+  });
+  return values;
+}
+
+/**
+ * MaterialInspector Component
+ *
+ * Live editor for the MeshPhysicalMaterial properties the viewer tunes per role (ior, thickness,
+ * attenuation, clearcoat, sheen, ...). Pick a mesh/material, adjust sliders, color pickers and
+ * toggles, then "Copy JSON" to turn the look into a preset. "Revert" restores the values the
+ * material had right after loading.
+ *
+ * @param {Object} props
+ * @param {Array} props.meshes - Array of { id, name, mesh, roles: [{ materialIndex, materialName, role }] }
+ * @param {Function} props.getBaseEnvMapIntensity - Returns the base envMapIntensity of a material
+ * @param {Function} props.onBaseEnvMapIntensityChange - Callback with (material, baseIntensity)
+ * @param {boolean} props.collapsible - Whether the UI should be collapsible (default: true)
+ */
+export default function MaterialInspector({
+  meshes = [],
+  getBaseEnvMapIntensity,
+  onBaseEnvMapIntensityChange,
+  collapsible = true,
+}) {
+  const [showInspector, setShowInspector] = useState(!collapsible);
+  const [selectedKey, setSelectedKey] = useState("");
+  const [, setRevision] = useState(0); // Bumped after edits - the values live on the material
+  const [copyStatus, setCopyStatus] = useState("");
+  const loadedValuesRef = useRef(new WeakMap()); // Map<material, values right after loading>
+
+  const slots = meshes.flatMap((mesh) =>
+    (mesh.roles || []).map((r) => ({
+      key: `${mesh.id}:${r.materialIndex}`,
+      mesh: mesh.mesh,
+      meshName: mesh.name,
+      materialIndex: r.materialIndex,
+      materialName: r.materialName,
+      role: r.role,
+    }))
+  );
+
+  const getMaterial = (slot) => {
+    if (!slot?.mesh) return null;
+    const mats = Array.isArray(slot.mesh.material) ? slot.mesh.material : [slot.mesh.material];
+    return mats[slot.materialIndex] || null;
+  };
+
+  const getBaseIntensity = (material) =>
+    getBaseEnvMapIntensity ? getBaseEnvMapIntensity(material) : material.envMapIntensity;
+
+  // Remember the loaded values of every material (and of materials replaced by a role change)
+  useEffect(() => {
+    slots.forEach((slot) => {
+      const material = getMaterial(slot);
+      if (material && !loadedValuesRef.current.has(material)) {
+        loadedValuesRef.current.set(material, readMaterialValues(material, getBaseIntensity(material)));
+      }
+    });
+    if (selectedKey && !slots.some((slot) => slot.key === selectedKey)) {
+      setSelectedKey("");
+    }
+  }, [meshes]);
+
+  if (slots.length === 0) return null;
+
+  const selectedSlot = slots.find((slot) => slot.key === selectedKey) || slots[0];
+  const material = getMaterial(selectedSlot);
+
+  const setValue = (key, value) => {
+    if (!material) return;
+    if (key === "envMapIntensity") {
+      if (onBaseEnvMapIntensityChange) {
+        onBaseEnvMapIntensityChange(material, value);
+      } else {
+        material.envMapIntensity = value;
+      }
+    } else if (key === "side" || key === "doubleSided") {
+      material.side = value ? THREE.DoubleSide : THREE.FrontSide;
+    } else if (material[key]?.isColor) {
+      material[key].set(value);
+    } else {
+      material[key] = value === "Infinity" ? Infinity : value;
+    }
+    // Transmission/clearcoat/sheen switch shader features on and off, so recompile
+    material.needsUpdate = true;
+    setRevision((r) => r + 1);
+  };
+
+  const revert = () => {
+    const loaded = material && loadedValuesRef.current.get(material);
+    if (!loaded) return;
+    Object.entries(loaded).forEach(([key, value]) => setValue(key, value));
+  };
+
+  const copyJson = async () => {
+    const json = JSON.stringify(readMaterialValues(material, getBaseIntensity(material)), null, 2);
+    try {
+      await navigator.clipboard.writeText(json);
+      setCopyStatus("Copied!");
+    } catch (err) {
+      // Clipboard needs a secure context and focus - fall back to the console
+      console.log(`📋 ${selectedSlot.meshName} / ${selectedSlot.materialName}:\n${json}`);
+      setCopyStatus("Logged to console");
+    }
+    setTimeout(() => setCopyStatus(""), 1500);
+  };
+
+  const buttonStyle = {
+    flex: 1,
+    padding: 6,
+    border: 0,
+    borderRadius: 4,
+    color: "white",
+    cursor: "pointer",
+    fontSize: 10,
+    fontWeight: 600,
+  };
+
+  const renderControl = ({ key, type, min, max, step, label, infinity }) => {
+    if (!material || !(key in material)) return null;
+    const name = label || key;
+
+    if (type === "toggle") {
+      const checked = key === "side" ? material.side === THREE.DoubleSide : !!material[key];
+      return (
+        <label key={key} style={{ display: "flex", alignItems: "center", gap: 6, marginBottom: 6, fontSize: 11 }}>
+          <input type="checkbox" checked={checked} onChange={(e) => setValue(key, e.target.checked)} />
+          {name}
+        </label>
+      );
+    }
+
+    if (type === "color") {
+      return (
+        <label key={key} style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginBottom: 6, fontSize: 11 }}>
+          <span>{name}</span>
+          <input
+            type="color"
+            value={`#${material[key].getHexString()}`}
+            onChange={(e) => setValue(key, e.target.value)}
+            style={{ width: 40, height: 20, border: 0, padding: 0, background: "none" }}
+          />
+        </label>
+      );
+    }
+
+    const value = key === "envMapIntensity" ? getBaseIntensity(material) : material[key];
+    const isInfinite = value === Infinity;
+    return (
+      <div key={key} style={{ marginBottom: 8 }}>
+        <div style={{ marginBottom: 2, fontSize: 11 }}>
+          {name}: {isInfinite ? "∞" : Number(value).toFixed(step < 0.01 ? 4 : 2)}
+        </div>
+        <input
+          type="range"
+          min={min}
+          max={max}
+          step={step}
+          value={isInfinite ? max : value}
+          disabled={isInfinite}
+          onChange={(e) => setValue(key, parseFloat(e.target.value))}
+          style={{ width: "100%" }}
+        />
+        {infinity && (
+          // Infinity is outside the slider range: toggled here, unchecking starts at the slider max
+          <label style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 10, opacity: 0.8 }}>
+            <input type="checkbox" checked={isInfinite} onChange={(e) => setValue(key, e.target.checked ? Infinity : max)} />
+            {infinity} (∞)
+          </label>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div style={{ fontFamily: "monospace", fontSize: 12 }}>
+      {collapsible && (
+        <button
+          onClick={() => setShowInspector(!showInspector)}
+          style={{
+            width: "100%",
+            padding: 10,
+            border: 0,
+            borderRadius: 6,
+            background: showInspector ? "#555" : "#444",
+            color: "white",
+            cursor: "pointer",
+            fontWeight: 700,
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center",
+          }}
+        >
+          <span>Material Inspector</span>
+          <span>{showInspector ? "−" : "+"}</span>
+        </button>
+      )}
+
+      {showInspector && (
+        <div style={{ marginTop: collapsible ? 10 : 0 }}>
+          <select
+            value={selectedSlot.key}
+            onChange={(e) => setSelectedKey(e.target.value)}
+            style={{
+              width: "100%",
+              padding: 4,
+              marginBottom: 8,
+              borderRadius: 4,
+              border: "1px solid rgba(255,255,255,0.2)",
+              background: "#333",
+              color: "white",
+              fontFamily: "monospace",
+              fontSize: 11,
+            }}
+          >
+            {slots.map((slot) => (
+              <option key={slot.key} value={slot.key}>
+                {slot.meshName} / {slot.materialName} ({slot.role})
+              </option>
+            ))}
+          </select>
+
+          {material && (
+            <>
+              <div style={{ fontSize: 10, opacity: 0.7, marginBottom: 8 }}>
+                {material.type}
+                {!material.isMeshPhysicalMaterial && " - physical properties unavailable"}
+              </div>
+
+              <div style={{ maxHeight: "320px", overflowY: "auto", paddingRight: 4 }}>
+                {INSPECTOR_PROPERTIES.map(renderControl)}
+              </div>
+
+              <div style={{ display: "flex", gap: 6, marginTop: 8 }}>
+                <button onClick={copyJson} style={{ ...buttonStyle, background: "#2196F3" }}>
+                  {copyStatus || "Copy JSON"}
+                </button>
+                <button
+                  onClick={revert}
+                  disabled={!loadedValuesRef.current.has(material)}
+                  style={{ ...buttonStyle, background: "#666" }}
+                >
+                  Revert
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,105 @@
+import { useState } from "react";
+import { MATERIAL_ROLES } from "./materialRoleClassifier.js";
+
+// What each role does to the material (see materialTreatments.js)
+const ROLE_TREATMENTS = {
+  PRINT: "Physical print (swappable artwork)",
+  GLASS: "Transmission glass",
+  FRAME: "Frame metal",
+  BACK: "Left as loaded",
+  MAT: "Matte default",
+  ACRYLIC: "Matte default",
+  UNKNOWN: "Matte default",
+};
+
+/**
+ * MaterialRolePanel Component
+ *
+ * Lists every mesh/material pair with its detected role and lets the user reassign it when
+ * the classifier got it wrong. The parent re-runs the material treatment and updates the
+ * texture layers for the new role.
+ *
+ * @param {Object} props
+ * @param {Array} props.meshes - Array of { id, name, roles: [{ materialIndex, materialName, role, reason, source }] }
+ * @param {Function} props.onRoleChange - Callback with (meshId, materialIndex, role)
+ * @param {boolean} props.collapsible - Whether the UI should be collapsible (default: true)
+ */
+export default function MaterialRolePanel({ meshes = [], onRoleChange, collapsible = true }) {
+  const [showRoles, setShowRoles] = useState(!collapsible);
+
+  const rows = meshes.flatMap((mesh) => (mesh.roles || []).map((r) => ({ ...r, meshId: mesh.id, meshName: mesh.name })));
+  if (rows.length === 0) return null;
+
+  return (
+    <div style={{ fontFamily: "monospace", fontSize: 12 }}>
+      {collapsible && (
+        <button
+          onClick={() => setShowRoles(!showRoles)}
+          style={{
+            width: "100%",
+            padding: 10,
+            border: 0,
+            borderRadius: 6,
+            background: showRoles ? "#555" : "#444",
+            color: "white",
+            cursor: "pointer",
+            fontWeight: 700,
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center",
+          }}
+        >
+          <span>Material Roles ({rows.length})</span>
+          <span>{showRoles ? "−" : "+"}</span>
+        </button>
+      )}
+
+      {showRoles && (
+        <div style={{ marginTop: collapsible ? 10 : 0, maxHeight: "400px", overflowY: "auto", paddingRight: 4 }}>
+          {rows.map((row) => (
+            <div
+              key={`${row.meshId}:${row.materialIndex}`}
+              style={{
+                marginBottom: 8,
+                padding: 8,
+                background: row.source === "manual" ? "rgba(33, 150, 243, 0.15)" : "rgba(255,255,255,0.05)",
+                borderRadius: 6,
+                border: row.source === "manual" ? "1px solid #2196F3" : "1px solid rgba(255,255,255,0.1)",
+              }}
+            >
+              <div style={{ fontWeight: 600, fontSize: 11, marginBottom: 2, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+                {row.meshName || "Unnamed Mesh"}
+              </div>
+              <div style={{ fontSize: 10, opacity: 0.7, marginBottom: 6 }} title={row.reason}>
+                Mat {row.materialIndex}: {row.materialName}
+              </div>
+              <select
+                value={row.role}
+                onChange={(e) => onRoleChange && onRoleChange(row.meshId, row.materialIndex, e.target.value)}
+                style={{
+                  width: "100%",
+                  padding: 4,
+                  borderRadius: 4,
+                  border: "1px solid rgba(255,255,255,0.2)",
+                  background: "#333",
+                  color: "white",
+                  fontFamily: "monospace",
+                  fontSize: 11,
+                }}
+              >
+                {MATERIAL_ROLES.map((role) => (
+                  <option key={role} value={role}>
+                    {role} - {ROLE_TREATMENTS[role]}
+                  </option>
+                ))}
+              </select>
+              <div style={{ fontSize: 10, opacity: 0.6, marginTop: 4 }}>
+                {row.reason}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
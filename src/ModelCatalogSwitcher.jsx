@@ -0,0 +1,116 @@
+import { useState } from "react";
+
+/**
+ * ModelCatalogSwitcher Component
+ *
+ * Lists the products from the model catalog manifest (see modelCatalog.js) with
+ * their thumbnails and lets the user switch the viewer to another model.
+ *
+ * @param {Object} props
+ * @param {Array} props.models - Normalized catalog entries { id, name, path, thumbnail }
+ * @param {string|null} props.selectedId - Id of the currently loaded catalog model (null for a local file)
+ * @param {Function} props.onSelect - Callback with the chosen catalog entry
+ * @param {boolean} props.disabled - Disable switching (e.g. while a model is loading)
+ * @param {boolean} props.collapsible - Whether the UI should be collapsible (default: true)
+ */
+export default function ModelCatalogSwitcher({
+  models = [],
+  selectedId = null,
+  onSelect,
+  disabled = false,
+  collapsible = true,
+}) {
+  const [showCatalog, setShowCatalog] = useState(!collapsible);
+  const [failedThumbnails, setFailedThumbnails] = useState(() => new Set());
+
+  if (models.length === 0) return null;
+
+  return (
+    <div style={{ fontFamily: "monospace", fontSize: 12 }}>
+      {collapsible && (
+        <button
+          onClick={() => setShowCatalog(!showCatalog)}
+          style={{
+            width: "100%",
+            padding: 10,
+            border: 0,
+            borderRadius: 6,
+            background: showCatalog ? "#555" : "#444",
+            color: "white",
+            cursor: "pointer",
+            fontWeight: 700,
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center",
+          }}
+        >
+          <span>Models ({models.length})</span>
+          <span>{showCatalog ? "−" : "+"}</span>
+        </button>
+      )}
+
+      {showCatalog && (
+        <div style={{ marginTop: collapsible ? 10 : 0, maxHeight: "300px", overflowY: "auto", paddingRight: 4 }}>
+          {models.map((entry) => {
+            const isSelected = entry.id === selectedId;
+            const showThumbnail = entry.thumbnail && !failedThumbnails.has(entry.id);
+            return (
+              <button
+                key={entry.id}
+                onClick={() => !isSelected && onSelect && onSelect(entry)}
+                disabled={disabled}
+                title={entry.path}
+                style={{
+                  width: "100%",
+                  marginBottom: 8,
+                  padding: 6,
+                  borderRadius: 6,
+                  border: isSelected ? "1px solid #2196F3" : "1px solid rgba(255,255,255,0.1)",
+                  background: isSelected ? "rgba(33, 150, 243, 0.25)" : "rgba(255,255,255,0.05)",
+                  color: "white",
+                  cursor: disabled ? "not-allowed" : isSelected ? "default" : "pointer",
+                  opacity: disabled && !isSelected ? 0.6 : 1,
+                  display: "flex",
+                  alignItems: "center",
+                  gap: 8,
+                  textAlign: "left",
+                  fontFamily: "monospace",
+                }}
+              >
+                {showThumbnail ? (
+                  <img
+                    src={entry.thumbnail}
+                    alt=""
+                    width={36}
+                    height={36}
+                    style={{ borderRadius: 4, objectFit: "cover", flexShrink: 0 }}
+                    onError={() =>
+                      setFailedThumbnails((prev) => new Set(prev).add(entry.id))
+                    }
+                  />
+                ) : (
+                  <div
+                    style={{
+                      width: 36,
+                      height: 36,
+                      borderRadius: 4,
+                      background: "#666",
+                      display: "flex",
+                      alignItems: "center",
+                      justifyContent: "center",
+                      fontWeight: 700,
+                      flexShrink: 0,
+                    }}
+                  >
+                    {entry.name.charAt(0).toUpperCase()}
+                  </div>
+                )}
+                <span style={{ fontSize: 11, fontWeight: 600 }}>{entry.name}</span>
+              </button>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
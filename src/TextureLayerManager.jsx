@@ -1,11 +1,13 @@
 import { useState, useRef, useEffect } from "react";
 import * as THREE from "three";
+import { isImageFile, loadImageFileTexture, applyArtworkTexture } from "./textureUtils.js";
 
 /**
  * TextureLayerManager Component
  * 
  * A reusable component for managing texture layers on a 3D model.
- * Automatically detects all texture layers and provides UI to apply test textures.
+ * Automatically detects all texture layers and provides UI to apply test textures or the
+ * user's own artwork (file upload, drop onto a layer/the panel, or clipboard paste).
  * 
  * @example
  * ```jsx
@@ -19,8 +21,8 @@ import * as THREE from "three";
  *   scene={scene}
  *   camera={camera}
  *   collapsible={true}
- *   onLayerChange={(layerId, textureNumber, texture) => {
- *     console.log('Layer changed:', layerId, textureNumber);
+ *   onLayerChange={(layerId, textureNumber, texture, source) => {
+ *     console.log('Layer changed:', layerId, textureNumber, source?.name);
  *   }}
  * />
  * ```
@@ -30,9 +32,17 @@ import * as THREE from "three";
  * @param {THREE.TextureLoader} props.textureLoader - Optional texture loader (creates one if not provided)
  * @param {string[]} props.testTexturePaths - Array of test texture paths (default: ["/assets/frames/image1.jpg", "/assets/frames/image2.jpeg"])
  * @param {string[]} props.textureMapTypes - Array of texture map types to detect (default: common PBR maps)
- * @param {Array} props.textureLayers - Optional pre-detected texture layers (if provided, won't auto-detect)
+ * @param {Array} props.textureLayers - Optional pre-detected texture layers (if provided, won't auto-detect); may carry { originalTexture, hasOriginal } for Reset
  * @param {Function} props.onLayersDetected - Optional callback when layers are detected (receives layers array and originalTextures Map)
- * @param {Function} props.onLayerChange - Optional callback when a layer is changed (layerId, textureNumber, texture)
+ * @param {Function} props.onLayerChange - Optional callback when a layer is changed (layerId, textureNumber, texture, source);
+ *   textureNumber is null for uploads/resets (texture is null when a layer without an original is reset),
+ *   source is the uploaded file's metadata
+ *   { name, type, size, lastModified, width, height, origin: "file"|"drop"|"paste"|"canvas" }
+ * @param {Object} props.artworkSources - Optional { [layerId]: source } of the artwork currently on each layer (for display)
+ * @param {Array} props.substratePresets - Optional print substrate presets { id, name } to choose from per layer
+ * @param {Object} props.layerSubstrates - Selected substrate preset id per layer id
+ * @param {string} props.defaultSubstrateId - Preset shown for layers without a selection
+ * @param {Function} props.onSubstrateChange - Callback when a layer's substrate is changed (layerId, presetId)
  * @param {Object} props.renderer - Optional renderer reference for forcing updates
  * @param {Object} props.scene - Optional scene reference for forcing updates
  * @param {Object} props.camera - Optional camera reference for forcing updates
@@ -52,6 +62,11 @@ export default function TextureLayerManager({
   textureLayers: externalTextureLayers,
   onLayersDetected,
   onLayerChange,
+  artworkSources = {},
+  substratePresets = [],
+  layerSubstrates = {},
+  defaultSubstrateId = null,
+  onSubstrateChange,
   renderer,
   scene,
   camera,
@@ -62,8 +77,14 @@ export default function TextureLayerManager({
   const [showLayers, setShowLayers] = useState(!collapsible);
   const [loading, setLoading] = useState(!externalTextureLayers);
   
+  const [targetLayerId, setTargetLayerId] = useState(null); // Layer that receives pasted / panel-dropped images
+  const [dropLayerId, setDropLayerId] = useState(null); // Layer row currently dragged over
+  const [uploadError, setUploadError] = useState("");
+
   const originalTexturesRef = useRef(new Map());
   const testTexturesRef = useRef([]);
+  const fileInputRef = useRef(null);
+  const uploadLayerIdRef = useRef(null); // Layer the open file dialog is for
   const loaderRef = useRef(textureLoader || new THREE.TextureLoader());
 
   // Sync external textureLayers if provided
@@ -241,10 +262,12 @@ export default function TextureLayerManager({
       return;
     }
 
-    const originalTex = originalTexturesRef.current.get(layerId);
-    if (originalTex) {
-      mat[layer.mapType] = originalTex;
-      mat.needsUpdate = true;
+    // Pre-detected layers carry their original texture; tagged print surfaces may have had none
+    const originalTex = originalTexturesRef.current.get(layerId) || layer.originalTexture;
+    if (originalTex || layer.hasOriginal === false) {
+      // Layers without an original go back to no texture at all
+      const resetTex = originalTex || null;
+      applyArtworkTexture(layer, resetTex);
 
       // Force renderer update if available
       if (renderer && scene && camera) {
@@ -253,13 +276,109 @@ export default function TextureLayerManager({
 
       // Call callback if provided
       if (onLayerChange) {
-        onLayerChange(layerId, null, originalTex);
+        onLayerChange(layerId, null, resetTex);
       }
     } else {
       console.warn(`No original texture found for layer ${layerId}`);
     }
   };
 
+  // Apply a user image (upload, drop or paste) to a layer
+  const applyImageFileToLayer = async (layerId, file, origin) => {
+    const layer = textureLayers.find(l => l.id === layerId);
+    if (!layer || !layer.mesh) {
+      console.warn(`Layer ${layerId} not found or invalid`);
+      return;
+    }
+
+    try {
+      const { texture, source } = await loadImageFileTexture(file, renderer);
+      if (!applyArtworkTexture(layer, texture)) {
+        texture.dispose();
+        console.warn(`Material at index ${layer.materialIndex} not found`);
+        return;
+      }
+      setUploadError("");
+
+      // Force renderer update if available
+      if (renderer && scene && camera) {
+        renderer.render(scene, camera);
+      }
+
+      // Call callback if provided
+      if (onLayerChange) {
+        onLayerChange(layerId, null, texture, { ...source, origin });
+      }
+    } catch (err) {
+      console.warn(`Failed to apply ${file?.name || "image"} to ${layerId}:`, err);
+      setUploadError(err?.message || "Could not read image");
+    }
+  };
+
+  // Latest applyImageFileToLayer (reads the current render's layers) for the paste listener
+  const applyImageFileRef = useRef(applyImageFileToLayer);
+  applyImageFileRef.current = applyImageFileToLayer;
+
+  const activeTargetId = textureLayers.some(l => l.id === targetLayerId) ? targetLayerId : textureLayers[0]?.id;
+
+  // Paste an image from the clipboard onto the target layer
+  useEffect(() => {
+    if (!activeTargetId) return;
+
+    const handlePaste = (e) => {
+      // Leave pastes into text fields alone
+      const el = e.target;
+      if (el && (el.tagName === "INPUT" || el.tagName === "TEXTAREA" || el.isContentEditable)) return;
+
+      const file = Array.from(e.clipboardData?.files || []).find(isImageFile);
+      if (!file) return;
+      e.preventDefault();
+      applyImageFileRef.current(activeTargetId, file, "paste");
+    };
+
+    window.addEventListener("paste", handlePaste);
+    return () => window.removeEventListener("paste", handlePaste);
+  }, [activeTargetId]);
+
+  const openUploadDialog = (layerId) => {
+    uploadLayerIdRef.current = layerId;
+    setTargetLayerId(layerId);
+    fileInputRef.current?.click();
+  };
+
+  const handleFileInputChange = (e) => {
+    const file = e.target.files?.[0];
+    if (file && uploadLayerIdRef.current) applyImageFileToLayer(uploadLayerIdRef.current, file, "file");
+    e.target.value = ""; // Allow picking the same file again
+  };
+
+  const isImageDrag = (e) => Array.from(e.dataTransfer?.types || []).includes("Files");
+
+  const handleDragOver = (e, layerId) => {
+    if (!isImageDrag(e)) return;
+    // Keep the drop away from the viewer's model drop zone
+    e.preventDefault();
+    e.stopPropagation();
+    e.dataTransfer.dropEffect = "copy";
+    if (dropLayerId !== layerId) setDropLayerId(layerId);
+  };
+
+  const handleDrop = (e, layerId) => {
+    if (!isImageDrag(e)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    setDropLayerId(null);
+
+    const file = Array.from(e.dataTransfer.files || []).find(isImageFile);
+    if (!file) {
+      setUploadError("Drop an image file (JPEG, PNG, WebP, ...)");
+      return;
+    }
+    const targetId = layerId || activeTargetId;
+    setTargetLayerId(targetId);
+    applyImageFileToLayer(targetId, file, "drop");
+  };
+
   if (loading) {
     return (
       <div style={{ padding: 10, color: "white", fontSize: 12, ...style }}>
@@ -277,7 +396,21 @@ export default function TextureLayerManager({
   }
 
   return (
-    <div style={{ fontFamily: "monospace", fontSize: 12, ...style }}>
+    <div
+      style={{ fontFamily: "monospace", fontSize: 12, ...style }}
+      onDragOver={(e) => handleDragOver(e, null)}
+      onDragLeave={(e) => {
+        if (!e.currentTarget.contains(e.relatedTarget)) setDropLayerId(null);
+      }}
+      onDrop={(e) => handleDrop(e, null)}
+    >
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="image/*"
+        style={{ display: "none" }}
+        onChange={handleFileInputChange}
+      />
       {collapsible && (
         <button
           onClick={() => setShowLayers(!showLayers)}
@@ -302,15 +435,24 @@ export default function TextureLayerManager({
 
       {showLayers && (
         <div style={{ marginTop: collapsible ? 10 : 0, maxHeight: "400px", overflowY: "auto", paddingRight: 4 }}>
+          <div style={{ fontSize: 10, opacity: 0.7, marginBottom: 8 }}>
+            Upload, drop or paste (Ctrl+V) an image onto the selected layer
+          </div>
+          {uploadError && (
+            <div style={{ fontSize: 10, color: "#ff6b6b", marginBottom: 8 }}>{uploadError}</div>
+          )}
           {textureLayers.map((layer) => (
             <div
               key={layer.id}
+              onClick={() => setTargetLayerId(layer.id)}
+              onDragOver={(e) => handleDragOver(e, layer.id)}
+              onDrop={(e) => handleDrop(e, layer.id)}
               style={{
                 marginBottom: 12,
                 padding: 10,
-                background: "rgba(255,255,255,0.05)",
+                background: dropLayerId === layer.id ? "rgba(33, 150, 243, 0.25)" : "rgba(255,255,255,0.05)",
                 borderRadius: 6,
-                border: "1px solid rgba(255,255,255,0.1)",
+                border: layer.id === activeTargetId ? "1px solid #2196F3" : "1px solid rgba(255,255,255,0.1)",
               }}
             >
               <div style={{ fontWeight: 700, marginBottom: 6, fontSize: 11 }}>
@@ -319,6 +461,43 @@ export default function TextureLayerManager({
               <div style={{ fontSize: 10, opacity: 0.7, marginBottom: 8 }}>
                 Mesh: {layer.meshName || "Unnamed"} • Material: {layer.materialIndex}
               </div>
+              {artworkSources[layer.id] && (
+                <div
+                  title={
+                    [artworkSources[layer.id].type, artworkSources[layer.id].size != null && `${artworkSources[layer.id].size} bytes`]
+                      .filter(Boolean)
+                      .join(" • ") || undefined
+                  }
+                  style={{ fontSize: 10, marginBottom: 8, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}
+                >
+                  Artwork: {artworkSources[layer.id].name} ({artworkSources[layer.id].width}×{artworkSources[layer.id].height})
+                </div>
+              )}
+              {substratePresets.length > 0 && onSubstrateChange && (
+                <label style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 10, marginBottom: 8 }}>
+                  <span style={{ opacity: 0.7 }}>Substrate</span>
+                  <select
+                    value={layerSubstrates[layer.id] || defaultSubstrateId || ""}
+                    onChange={(e) => onSubstrateChange(layer.id, e.target.value)}
+                    style={{
+                      flex: 1,
+                      padding: 4,
+                      borderRadius: 4,
+                      border: "1px solid rgba(255,255,255,0.2)",
+                      background: "#333",
+                      color: "white",
+                      fontFamily: "monospace",
+                      fontSize: 10,
+                    }}
+                  >
+                    {substratePresets.map((preset) => (
+                      <option key={preset.id} value={preset.id}>
+                        {preset.name}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              )}
               <div style={{ display: "flex", gap: 6 }}>
                 {testTexturePaths.map((_, index) => (
                   <button
@@ -339,6 +518,22 @@ export default function TextureLayerManager({
                     Test {index + 1}
                   </button>
                 ))}
+                <button
+                  onClick={() => openUploadDialog(layer.id)}
+                  style={{
+                    flex: 1,
+                    padding: 6,
+                    border: 0,
+                    borderRadius: 4,
+                    background: "#FF9800",
+                    color: "white",
+                    cursor: "pointer",
+                    fontSize: 10,
+                    fontWeight: 600,
+                  }}
+                >
+                  Upload
+                </button>
                 <button
                   onClick={() => resetLayerToOriginal(layer.id)}
                   style={{
@@ -1,5 +1,24 @@
-import { useState, useRef, useEffect } from "react";
-import * as THREE from "three";
+import { Fragment, useState, useRef, useEffect } from "react";
+import { textureToCanvas, applyArtworkTexture, createCanvasTexture } from "./textureUtils.js";
+import {
+  PRINT_ASPECT_PRESETS,
+  getTextureAspectForPrint,
+  describeAspect,
+  getPrintSurfaceUvTriangles,
+  getUvLayoutWarnings,
+} from "./printSurface.js";
+import { PRINT_RESOLUTION, computeEffectiveDpi, getDpiRating } from "./printResolution.js";
+import { ADJUSTMENT_CONTROLS, DEFAULT_ADJUSTMENTS, isNeutralAdjustments, adjustCanvas } from "./imageAdjustments.js";
+import { createCropRecipe, getTransformFromRecipe, parseCropRecipe, downloadCropRecipe, storeCropRecipe, loadStoredCropRecipe } from "./cropRecipe.js";
+import { PRINT_GUIDES, EDGE_FILL_MODES, getPrintGuides, fillPrintEdges, downloadPrintFile } from "./printGuides.js";
+import {
+  TEXTURE_EXPORT,
+  TEXTURE_SIZE_OPTIONS,
+  getMaxTextureSize,
+  getTextureExportSize,
+  getPrintExportSize,
+} from "./textureExport.js";
+import { createLivePreview } from "./livePreview.js";
 
 /**
  * TextureTransformModal Component
@@ -8,21 +27,180 @@ import * as THREE from "three";
  * The selection box is fixed, and the image transforms behind it.
  * Only the portion inside the dashed selection box is applied to the model.
  *
+ * Every print layer is edited separately: pick it in the layer selector and it keeps its own
+ * source image, transform and output texture. Confirm applies each layer edited in this session;
+ * "Apply to all layers" puts the selected layer's crop on every layer instead.
+ *
+ * The crop box takes the aspect of the print: a manual override, the layer's userData.printAspect
+ * tag or the surface measured from its UVs (see printSurface.js), in that order. Layers without
+ * UVs fall back to the image's own aspect.
+ *
+ * The optional UV overlay draws the layer's UV triangles over the crop box (the box is the 0..1
+ * texture square). When the UVs only use part of the texture, "Crop to UV bounds" maps the box
+ * onto the UV bounding box instead, so exactly the crop shows on the print.
+ *
+ * The effective DPI of the crop (see printResolution.js) is shown live for the physical print
+ * size: entered in the modal, or read from userData.printSize or the measured print surface.
+ * Below the configured minimum "Confirm & Apply" warns or refuses to apply.
+ *
+ * Image adjustments (exposure, contrast, saturation, white balance, sharpening; see
+ * imageAdjustments.js) are part of each layer's edit: previewed live, applied to the exported
+ * texture and restored when the modal reopens.
+ *
+ * Edits can be exported as JSON crop recipes in normalized coordinates (see cropRecipe.js) and
+ * imported again to reproduce a crop on the same or another image / layer. With recipeStorageKey
+ * the applied recipes are also kept in localStorage and offered again after a reload.
+ *
+ * Besides dragging, the transform can be typed into the indicator fields and nudged from the
+ * keyboard: arrows pan (Shift = 10x), [ and ] rotate (Shift = 15x), Enter applies and Escape
+ * cancels. Rotations close to 0/90/180/270° snap onto them - dragged, typed or nudged. Fill
+ * (cover), Fit (contain), Stretch and Center place the image in the crop box in one click;
+ * horizontal / vertical flips mirror it in the preview and the exported texture.
+ *
+ * Bleed, trim and safe-area guides (see printGuides.js) are drawn around the dashed crop box in
+ * physical units of the layer's print size; the handles sit on the bleed line. "Download Print
+ * File" exports the face with the trim and bleed zones, filled with the image beyond the crop or
+ * with mirrored / stretched edges for gallery wraps.
+ *
+ * Mouse, pen and touch share pointer events: one finger pans (or drags a handle), two fingers
+ * pinch to scale and twist to rotate. Handles are larger for touch, and the canvas blocks page
+ * scrolling while it is manipulated.
+ *
+ * With the live 3D preview the model shows the edits while they happen: the source image is put
+ * on the layers and placed by its UV transform (see livePreview.js), and the layers get their own
+ * maps back when the modal closes. Only "Confirm & Apply" bakes the texture, at the size chosen
+ * in the modal (see textureExport.js).
+ *
  * @param {Object} props
  * @param {boolean} props.isOpen - Whether the modal is open
  * @param {Function} props.onClose - Callback when modal closes
- * @param {Array} props.textureLayers - Array of texture layer objects with { id, mesh, materialIndex, mapType }
- * @param {THREE.TextureLoader} props.textureLoader - Texture loader instance
+ * @param {Array} props.textureLayers - Array of texture layer objects with { id, mesh, materialIndex, mapType, printAspect, printSurface, printSize }
  * @param {THREE.WebGLRenderer} props.renderer - Renderer instance (for anisotropy)
- * @param {string[]} props.testTexturePaths - Fallback texture paths (default: ["/assets/frames/image1.jpg", "/assets/frames/image2.jpeg"])
+ * @param {string[]} props.fallbackImages - Image URLs to edit when the layers have no texture yet (the first one is used)
+ * @param {Function} props.onLayerChange - Optional callback when a layer gets a new output texture
+ * @param {string} props.recipeStorageKey - Optional model key for keeping applied recipes in localStorage
+ *   (layerId, null, texture, source); source is { name, type, size, lastModified, width, height, origin: "transform" }
  */
+const NO_FALLBACK_IMAGES = [];
+
+// Preview canvas: fixed width, height follows the crop aspect within these limits
+const CANVAS_WIDTH = 500;
+const CANVAS_MIN_HEIGHT = 300;
+const CANVAS_MAX_HEIGHT = 500;
+const DEFAULT_CANVAS_HEIGHT = 333; // Crop aspect unknown until the image loads
+
+// Scale limits (1 = baseline fit) for the handles and the numeric fields
+const MIN_SCALE = 0.1;
+const MAX_SCALE = 5;
+const clampScale = (scale) => Math.max(MIN_SCALE, Math.min(MAX_SCALE, scale));
+
+// Keyboard steps: canvas pixels per arrow press and degrees per [ / ] press; Shift multiplies them
+const NUDGE_STEP = 1;
+const NUDGE_SHIFT_MULTIPLIER = 10;
+const ROTATION_STEP = 1;
+const ROTATION_SHIFT_MULTIPLIER = 15;
+
+// Handle size multipliers for touch: drawn handles and their hit areas
+const COARSE_HANDLE_SCALE = 1.5;
+const COARSE_HIT_SCALE = 2.5;
+
+// Dragged rotations closer than this to a right angle snap to it
+const ROTATION_SNAP_DEGREES = 3;
+const SNAP_ANGLES = [0, 90, 180, 270];
+
+// Print guide line colors (see printGuides.js)
+const PRINT_GUIDE_COLORS = { bleed: "#F44336", trim: "#E040FB", safe: "#4CAF50" };
+
+// Delay before adjustment changes reach the live 3D preview (they re-render its image)
+const LIVE_PREVIEW_ADJUST_DELAY_MS = 150;
+
+// Indicator colors per getDpiRating() result
+const DPI_RATING_COLORS = { good: "#4CAF50", acceptable: "#FFA726", low: "#F44336" };
+
+// One-click placements of the image relative to the dashed crop box
+const FIT_MODES = [
+  { id: "cover", label: "Fill", title: "Scale the image to cover the whole crop box (cover)" },
+  { id: "contain", label: "Fit", title: "Scale the image so all of it shows inside the crop box (contain)" },
+  { id: "stretch", label: "Stretch", title: "Stretch the image to the crop box (distorts it; straightens to the nearest quarter turn)" },
+  { id: "center", label: "Center", title: "Center the image in the crop box, keeping its size" },
+];
+
+// Transform placing the image in the crop box with a FIT_MODES mode, centered. Cover and contain
+// keep the rotation and scale uniformly; stretch scales each axis to the box.
+const getFitTransform = (mode, transform, { imageWidth, imageHeight, cropBox, baseScale }) => {
+  const centered = { ...transform, translateX: cropBox.x + cropBox.width / 2, translateY: cropBox.y + cropBox.height / 2 };
+  const angle = (transform.rotationDeg * Math.PI) / 180;
+  const cos = Math.abs(Math.cos(angle));
+  const sin = Math.abs(Math.sin(angle));
+  const w = imageWidth * baseScale; // Image size on the canvas at scale 1
+  const h = imageHeight * baseScale;
+
+  if (mode === "cover") {
+    // The crop box, seen in the rotated image's frame, must lie inside the image
+    const scale = clampScale(Math.max((cropBox.width * cos + cropBox.height * sin) / w, (cropBox.width * sin + cropBox.height * cos) / h));
+    return { ...centered, scaleX: scale, scaleY: scale };
+  }
+  if (mode === "contain") {
+    // The rotated image's bounding box must lie inside the crop box
+    const scale = clampScale(Math.min(cropBox.width / (w * cos + h * sin), cropBox.height / (w * sin + h * cos)));
+    return { ...centered, scaleX: scale, scaleY: scale };
+  }
+  if (mode === "stretch") {
+    const rotationDeg = Math.round(transform.rotationDeg / 90) * 90;
+    const quarterTurned = Math.abs(rotationDeg / 90) % 2 === 1;
+    return {
+      ...centered,
+      rotationDeg,
+      scaleX: clampScale((quarterTurned ? cropBox.height : cropBox.width) / w),
+      scaleY: clampScale((quarterTurned ? cropBox.width : cropBox.height) / h),
+    };
+  }
+  return centered;
+};
+
+// Draw an edit's image as it appears in `rect` of the preview onto `dest` of a canvas context
+const drawEditRegion = (ctx, edit, rect, dest) => {
+  const img = edit.image;
+  const { transform } = edit;
+  const imgW = img.naturalWidth || img.width;
+  const imgH = img.naturalHeight || img.height;
+  const renderScaleX = edit.baseScale * transform.scaleX;
+  const renderScaleY = edit.baseScale * transform.scaleY;
+
+  ctx.save();
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = 'high';
+
+  // Scale factors from preview-space -> export-space
+  ctx.translate(dest.x, dest.y);
+  ctx.scale(dest.width / rect.width, dest.height / rect.height);
+  ctx.translate(-rect.x, -rect.y);
+
+  // Apply same transforms as preview
+  ctx.translate(transform.translateX, transform.translateY);
+  ctx.rotate((transform.rotationDeg * Math.PI) / 180);
+  ctx.scale(renderScaleX * (transform.flipX ? -1 : 1), renderScaleY * (transform.flipY ? -1 : 1));
+
+  // Draw full-res original image
+  ctx.drawImage(img, -imgW / 2, -imgH / 2);
+  ctx.restore();
+};
+
+const getCanvasSize = (boxAspect) => ({
+  width: CANVAS_WIDTH,
+  height: boxAspect
+    ? Math.round(Math.min(CANVAS_MAX_HEIGHT, Math.max(CANVAS_MIN_HEIGHT, CANVAS_WIDTH / boxAspect)))
+    : DEFAULT_CANVAS_HEIGHT,
+});
+
 export default function TextureTransformModal({
   isOpen,
   onClose,
   textureLayers = [],
-  textureLoader,
   renderer,
-  testTexturePaths = ["/assets/frames/image1.jpg", "/assets/frames/image2.jpeg"],
+  fallbackImages = NO_FALLBACK_IMAGES,
+  onLayerChange,
+  recipeStorageKey,
 }) {
   // Transform state
   const [textureTransform, setTextureTransform] = useState({
@@ -31,59 +209,156 @@ export default function TextureTransformModal({
     scaleX: 1,        // 1 = baseline fit
     scaleY: 1,
     rotationDeg: 0,   // rotation around image center
+    flipX: false,     // mirrored horizontally / vertically (in the image's own frame)
+    flipY: false,
   });
 
   // Refs
   const baseScaleRef = useRef(1); // Initial fit scale
+  const boxAspectRef = useRef(null); // Width / height of the dashed crop box (texture aspect)
   const imageRef = useRef(null); // The source image element
   const canvasRef = useRef(null); // Preview canvas
-  const selectionRectRef = useRef({ x: 0, y: 0, width: 0, height: 0 }); // Fixed selection box
-  const lastAppliedTransformRef = useRef(null); // Store last applied transform to restore on reopen
-  const originalSourceImageRef = useRef(null); // Store the original source image URL/data for restoration
-  const testTexture1Ref = useRef(null);
-  const testTexture2Ref = useRef(null);
-
-  // Mouse interaction state
-  const [isDragging, setIsDragging] = useState(null);
+  const selectionRectRef = useRef({ x: 0, y: 0, width: 0, height: 0 }); // Fixed selection: the dashed crop box (the print face)
+  const sourceNameRef = useRef(""); // Name of the texture being edited (shown in the layer's artwork info)
+  const appliedEditsRef = useRef(new Map()); // Map<layerId, { sourceImage, sourceName, transform, adjustments, baseScale, selectionRect, recipe, output }> - restored on reopen
+  const draftEditsRef = useRef(new Map()); // Map<layerId, { image, sourceName, transform, adjustments, baseScale, selectionRect }> - unconfirmed edits of this session
+  const editedLayerIdsRef = useRef(new Set()); // Layers changed in this session - applied on Confirm
+  const imageLoadTokenRef = useRef(0); // Guards against a slow image load finishing after a layer switch
+  const adjustCanvasRef = useRef(null); // Offscreen canvas the preview image is adjusted on
+  const recipeInputRef = useRef(null); // Hidden file input for importing crop recipes
+  const keyHandlerRef = useRef(null); // Latest keyboard handler (reads the current render's state)
+  const pointersRef = useRef(new Map()); // Map<pointerId, { x, y }> of pointers down on the canvas (canvas coords)
+  const gestureRef = useRef(null); // Two-finger gesture start: { distance, angle, midX, midY, transform }
+  const livePreviewRef = useRef(null); // Edits shown on the model while the modal is open (see livePreview.js)
+
+  // Layer being edited
+  const [selectedLayerId, setSelectedLayerId] = useState(null);
+  const [applyToAll, setApplyToAll] = useState(false);
+  const [hasImage, setHasImage] = useState(false);
+  const [isApplying, setIsApplying] = useState(false);
+  const [aspectOverrides, setAspectOverrides] = useState({}); // { [layerId]: PRINT_ASPECT_PRESETS id }
+  const [uvCropLayers, setUvCropLayers] = useState({}); // { [layerId]: true } - crop box maps to the UV bounding box
+  const [showUvOverlay, setShowUvOverlay] = useState(false);
+  const [showGuides, setShowGuides] = useState(true); // Bleed / trim / safe-area lines
+  const [edgeFill, setEdgeFill] = useState(PRINT_GUIDES.edgeFill); // EDGE_FILL_MODES id for the print file
+  const [textureSize, setTextureSize] = useState(TEXTURE_EXPORT.size); // "auto" or long side in pixels
+  const [printSizes, setPrintSizes] = useState({}); // { [layerId]: { width, height } } - print size entered in cm
+
+  // Image adjustments of the layer being edited
+  const [adjustments, setAdjustments] = useState(DEFAULT_ADJUSTMENTS);
+  const [showOriginal, setShowOriginal] = useState(false); // Before/after: preview without the adjustments
+  const [showAdjustments, setShowAdjustments] = useState(false);
+  const [recipeMessage, setRecipeMessage] = useState(null); // { type: "info"|"error", text } after importing a recipe
+  const [lockAspect, setLockAspect] = useState(true); // Scale X and Y change together
+  const [livePreview, setLivePreview] = useState(true); // Show the edit on the model while editing
+  const [previewAdjustments, setPreviewAdjustments] = useState(DEFAULT_ADJUSTMENTS); // Adjustments on the model, trailing slider drags
+  const uvTrianglesRef = useRef(new Map()); // Map<layerId, Float32Array|null> of UV triangles for the overlay
+
+  const editableLayers = textureLayers.filter((layer) => layer.mapType === "map");
+
+  // Pointer interaction state
+  const [isDragging, setIsDragging] = useState(null); // 'pan', 'corner-*', 'edge-*', 'rotate' or 'gesture' (two fingers)
+  const [coarsePointer, setCoarsePointer] = useState(
+    () => typeof window !== "undefined" && !!window.matchMedia?.("(pointer: coarse)").matches
+  );
   const [dragStart, setDragStart] = useState({ x: 0, y: 0, transform: null });
 
-  // Load test textures for fallback
+  // A different model was loaded - forget the previous model's source images and transforms
   useEffect(() => {
-    if (!textureLoader) return;
-
-    const loader = textureLoader || new THREE.TextureLoader();
-    
-    // Load test texture 1
-    loader.load(
-      testTexturePaths[0],
-      (tex) => {
-        tex.colorSpace = THREE.SRGBColorSpace;
-        testTexture1Ref.current = tex;
-      },
-      undefined,
-      () => {}
-    );
+    appliedEditsRef.current = new Map();
+    uvTrianglesRef.current = new Map();
+    setAspectOverrides({});
+    setUvCropLayers({});
+    setPrintSizes({});
+  }, [textureLayers]);
+
+  // Crop aspect of a layer: { printAspect, textureAspect, boxAspect, uvRegion, source: "manual"|"userData"|"mesh"|"image" }.
+  // printAspect is the physical width / height, textureAspect the width / height of the exported image and
+  // boxAspect the one of the crop box: the whole texture, or only the UV bounding box (uvRegion) when cropping to it.
+  const getLayerAspect = (layerId, overrides = aspectOverrides, uvCrops = uvCropLayers) => {
+    const layer = editableLayers.find((l) => l.id === layerId);
+    const surface = layer?.printSurface || null;
+    const preset = PRINT_ASPECT_PRESETS.find((p) => p.id === overrides[layerId]);
+
+    let aspect = { printAspect: null, textureAspect: null, source: "image" };
+    if (preset) {
+      aspect = { printAspect: preset.aspect, textureAspect: getTextureAspectForPrint(preset.aspect, surface), source: "manual" };
+    } else if (layer?.printAspect) {
+      aspect = { printAspect: layer.printAspect, textureAspect: getTextureAspectForPrint(layer.printAspect, surface), source: "userData" };
+    } else if (surface) {
+      aspect = { printAspect: surface.aspect, textureAspect: surface.textureAspect, source: "mesh" };
+    }
 
-    // Load test texture 2
-    if (testTexturePaths[1]) {
-      loader.load(
-        testTexturePaths[1],
-        (tex) => {
-          tex.colorSpace = THREE.SRGBColorSpace;
-          testTexture2Ref.current = tex;
-        },
-        undefined,
-        () => {}
-      );
+    if (surface && aspect.printAspect && uvCrops[layerId]) {
+      const { minU, maxU, minV, maxV } = surface.uvBounds;
+      return {
+        ...aspect,
+        boxAspect: aspect.printAspect,
+        uvRegion: { minU, minV, spanU: maxU - minU, spanV: maxV - minV },
+      };
+    }
+    return { ...aspect, boxAspect: aspect.textureAspect, uvRegion: null };
+  };
+
+  // Physical print size of a layer in cm: { width, height, source: "manual"|"userData"|"mesh" }, or null when unknown.
+  // The measured surface is in glTF meters; its height follows the print aspect when that is set elsewhere.
+  const getLayerPrintSize = (layerId, sizes = printSizes) => {
+    const layer = editableLayers.find((l) => l.id === layerId);
+    if (sizes[layerId]) return { ...sizes[layerId], source: "manual" };
+    if (layer?.printSize) return { ...layer.printSize, source: "userData" };
+    if (layer?.printSurface) {
+      const { printAspect } = getLayerAspect(layerId);
+      const width = layer.printSurface.worldSize.width * 100;
+      return { width, height: printAspect ? width / printAspect : layer.printSurface.worldSize.height * 100, source: "mesh" };
+    }
+    return null;
+  };
+
+  // Bleed / trim / safe-area guides of a layer around a crop box (null without a print size)
+  const getLayerGuides = (layerId, cropBox) => {
+    const printSize = layerId ? getLayerPrintSize(layerId) : null;
+    return printSize ? getPrintGuides(cropBox, printSize) : null;
+  };
+
+  // Box the handles sit on: the bleed line, or the crop box when the print size is unknown
+  const getHandleBox = () => getLayerGuides(selectedLayerId, selectionRectRef.current)?.bleed || selectionRectRef.current;
+
+  // Effective DPI of an edit on a layer: source pixels under the part of the crop box that reaches the print.
+  // baseScale is relative to the edit image, which is the untouched source (see getLayerImageSource).
+  const getEditDpi = (layerId, edit) => {
+    const img = edit.image;
+    if (!img) return null;
+    const layer = editableLayers.find((l) => l.id === layerId);
+    const bounds = layer?.printSurface?.uvBounds;
+
+    // The whole crop box is printed when it maps onto the UV bounds; otherwise only the UVs' share of it
+    const spanU = edit.uvRegion || !bounds ? 1 : Math.min(1, bounds.maxU - bounds.minU);
+    const spanV = edit.uvRegion || !bounds ? 1 : Math.min(1, bounds.maxV - bounds.minV);
+    const cropBox = edit.selectionRect;
+    const pixels = {
+      pixelsX: (cropBox.width * spanU) / (edit.baseScale * edit.transform.scaleX),
+      pixelsY: (cropBox.height * spanV) / (edit.baseScale * edit.transform.scaleY),
+    };
+    const dpi = computeEffectiveDpi(pixels, getLayerPrintSize(layerId));
+    return dpi && { ...dpi, ...pixels };
+  };
+
+  // UV triangles of a layer, extracted once per model
+  const getLayerUvTriangles = (layerId) => {
+    if (!uvTrianglesRef.current.has(layerId)) {
+      const layer = editableLayers.find((l) => l.id === layerId);
+      uvTrianglesRef.current.set(layerId, layer ? getPrintSurfaceUvTriangles(layer.mesh, layer.materialIndex) : null);
     }
-  }, [textureLoader, testTexturePaths]);
+    return uvTrianglesRef.current.get(layerId);
+  };
 
-  // Initialize texture transform: fit entire image inside DASHED BOX
-  const initializeTextureTransform = (img, canvasWidth, canvasHeight) => {
+  // Initialize texture transform: DASHED BOX gets the crop aspect, the image fills it
+  const initializeTextureTransform = (img, canvasWidth, canvasHeight, boxAspect = null) => {
     const imgW = img.naturalWidth || img.width;
     const imgH = img.naturalHeight || img.height;
-    const imgAspect = imgW / imgH;
+    const imgAspect = boxAspect || imgW / imgH; // Crop box aspect (the image's own without a print aspect)
     const canvasAspect = canvasWidth / canvasHeight;
+    boxAspectRef.current = imgAspect;
 
     // Size factor: make boxes and image smaller (60% of canvas) to provide more space
     const sizeFactor = 0.6;
@@ -114,24 +389,16 @@ export default function TextureTransformModal({
       }
     }
 
-    // Calculate SOLID BOX size: 125% of dashed box (so dashed box is 80% of solid box)
-    const solidW = dashedW / 0.8;
-    const solidH = dashedH / 0.8;
-
-    // Center solid box in canvas
-    const solidX = (canvasWidth - solidW) / 2;
-    const solidY = (canvasHeight - solidH) / 2;
+    // Center the dashed box in the canvas; the bleed / trim guides are drawn around it
+    const dashedX = (canvasWidth - dashedW) / 2;
+    const dashedY = (canvasHeight - dashedH) / 2;
+    selectionRectRef.current = { x: dashedX, y: dashedY, width: dashedW, height: dashedH };
 
-    // Store solid box (selectionRectRef) - this is the outer box
-    selectionRectRef.current = { x: solidX, y: solidY, width: solidW, height: solidH };
-
-    // Compute fit scale: entire image must fit inside DASHED BOX
+    // Compute fit scale: entire image must fit inside DASHED BOX (Fill covers it on request)
     const fitScale = Math.min(dashedW / imgW, dashedH / imgH);
     baseScaleRef.current = fitScale;
 
-    // Center image in DASHED BOX (which is centered in solid box)
-    const dashedX = solidX + solidW * 0.1;  // 10% inset from solid box
-    const dashedY = solidY + solidH * 0.1;
+    // Center image in DASHED BOX
     const imageCenterX = dashedX + dashedW / 2;
     const imageCenterY = dashedY + dashedH / 2;
 
@@ -141,6 +408,8 @@ export default function TextureTransformModal({
       scaleX: 1,
       scaleY: 1,
       rotationDeg: 0,
+      flipX: false,
+      flipY: false,
     });
   };
 
@@ -169,8 +438,17 @@ export default function TextureTransformModal({
       }
     }
 
-    // Draw transformed image
-    ctx.save();
+    // Draw transformed image - on an offscreen canvas first when it gets adjusted, so the
+    // adjustments leave the checkerboard alone
+    const isAdjusted = !showOriginal && !isNeutralAdjustments(adjustments);
+    let imageCanvas = canvas;
+    if (isAdjusted) {
+      imageCanvas = adjustCanvasRef.current || (adjustCanvasRef.current = document.createElement('canvas'));
+      imageCanvas.width = width; // Also clears it
+      imageCanvas.height = height;
+    }
+    const imageCtx = imageCanvas.getContext('2d', isAdjusted ? { willReadFrequently: true } : undefined);
+    imageCtx.save();
 
     const imgW = img.naturalWidth || img.width;
     const imgH = img.naturalHeight || img.height;
@@ -178,39 +456,81 @@ export default function TextureTransformModal({
     const renderScaleY = baseScaleRef.current * textureTransform.scaleY;
 
     // Transform: translate to image center, rotate, scale, then draw centered
-    ctx.translate(textureTransform.translateX, textureTransform.translateY);
-    ctx.rotate((textureTransform.rotationDeg * Math.PI) / 180);
-    ctx.scale(renderScaleX, renderScaleY);
-    ctx.drawImage(img, -imgW / 2, -imgH / 2);
+    imageCtx.translate(textureTransform.translateX, textureTransform.translateY);
+    imageCtx.rotate((textureTransform.rotationDeg * Math.PI) / 180);
+    imageCtx.scale(renderScaleX * (textureTransform.flipX ? -1 : 1), renderScaleY * (textureTransform.flipY ? -1 : 1));
+    imageCtx.drawImage(img, -imgW / 2, -imgH / 2);
 
-    ctx.restore();
+    imageCtx.restore();
 
-    // Draw fixed dashed selection box overlay
-    const sel = selectionRectRef.current;
-    ctx.strokeStyle = '#00CED1';
-    ctx.lineWidth = 2;
-    ctx.setLineDash([]);
-    ctx.strokeRect(sel.x, sel.y, sel.width, sel.height);
+    if (isAdjusted) {
+      adjustCanvas(imageCanvas, adjustments);
+      ctx.drawImage(imageCanvas, 0, 0);
+    }
 
-    // Draw inner dashed rectangle (80% of selection box)
-    const innerX = sel.x + sel.width * 0.1;
-    const innerY = sel.y + sel.height * 0.1;
-    const innerW = sel.width * 0.8;
-    const innerH = sel.height * 0.8;
-    ctx.setLineDash([5, 5]);
-    ctx.lineWidth = 1;
-    ctx.strokeRect(innerX, innerY, innerW, innerH);
-    ctx.setLineDash([]);
+    // Dashed crop box (the print face) and the print guides around it; the handles sit on the
+    // bleed line, or on the crop box when the print size is unknown
+    const { x: innerX, y: innerY, width: innerW, height: innerH } = selectionRectRef.current;
+    const guides = getLayerGuides(selectedLayerId, selectionRectRef.current);
+    const sel = guides?.bleed || selectionRectRef.current;
 
-    // Draw dark overlay outside selection box
+    // Draw dark overlay outside the bleed line (nothing there is printed)
     ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
     ctx.beginPath();
     ctx.rect(0, 0, width, height);
     ctx.rect(sel.x, sel.y, sel.width, sel.height);
     ctx.fill('evenodd');
 
-    // Draw corner handles
-    const handleSize = 12;
+    ctx.strokeStyle = '#00CED1';
+    ctx.setLineDash([5, 5]);
+    ctx.lineWidth = 1;
+    ctx.strokeRect(innerX, innerY, innerW, innerH);
+    ctx.setLineDash([]);
+
+    if (guides && showGuides) {
+      const guideLines = [
+        { rect: guides.bleed, color: PRINT_GUIDE_COLORS.bleed, label: 'Bleed', dash: [], show: PRINT_GUIDES.bleedCm > 0 },
+        { rect: guides.trim, color: PRINT_GUIDE_COLORS.trim, label: 'Trim', dash: [6, 3], show: PRINT_GUIDES.trimCm > 0 },
+        { rect: guides.safe, color: PRINT_GUIDE_COLORS.safe, label: 'Safe', dash: [2, 3], show: PRINT_GUIDES.safeAreaCm > 0 },
+      ];
+      ctx.font = '10px monospace';
+      guideLines
+        .filter((guide) => guide.show && guide.rect.width > 0 && guide.rect.height > 0)
+        .forEach((guide, i) => {
+          ctx.strokeStyle = guide.color;
+          ctx.fillStyle = guide.color;
+          ctx.lineWidth = 1;
+          ctx.setLineDash(guide.dash);
+          ctx.strokeRect(guide.rect.x, guide.rect.y, guide.rect.width, guide.rect.height);
+          // Labels along the left edge, staggered so close lines stay readable
+          ctx.fillText(guide.label, guide.rect.x + 3, guide.rect.y + 11 + i * 11);
+        });
+      ctx.setLineDash([]);
+      ctx.fillStyle = '#00CED1';
+      ctx.fillText('Face', innerX + 3, innerY + innerH - 4);
+    }
+
+    // Draw the layer's UV triangles: the dashed box is the 0..1 texture (or the UV bounds when cropping to them)
+    const uvTriangles = showUvOverlay && selectedLayerId ? getLayerUvTriangles(selectedLayerId) : null;
+    if (uvTriangles) {
+      const region = getLayerAspect(selectedLayerId).uvRegion || { minU: 0, minV: 0, spanU: 1, spanV: 1 };
+      const toX = (u) => innerX + ((u - region.minU) / region.spanU) * innerW;
+      const toY = (v) => innerY + ((v - region.minV) / region.spanV) * innerH;
+      ctx.strokeStyle = 'rgba(255, 235, 59, 0.7)';
+      ctx.lineWidth = 0.5;
+      ctx.beginPath();
+      for (let i = 0; i + 5 < uvTriangles.length; i += 6) {
+        ctx.moveTo(toX(uvTriangles[i]), toY(uvTriangles[i + 1]));
+        ctx.lineTo(toX(uvTriangles[i + 2]), toY(uvTriangles[i + 3]));
+        ctx.lineTo(toX(uvTriangles[i + 4]), toY(uvTriangles[i + 5]));
+        ctx.closePath();
+      }
+      ctx.stroke();
+    }
+
+    // Draw corner handles (larger for touch)
+    const handleScale = coarsePointer ? COARSE_HANDLE_SCALE : 1;
+    const handleSize = 12 * handleScale;
     ctx.fillStyle = '#00CED1';
     ctx.strokeStyle = 'white';
     ctx.lineWidth = 2;
@@ -227,13 +547,14 @@ export default function TextureTransformModal({
       ctx.stroke();
     });
 
-    // Draw edge handles
-    const edgeHandleSize = 8;
+    // Draw edge handles (short bars, so the guide lines stay visible; the whole edge is grabbable)
+    const edgeHandleSize = 8 * handleScale;
+    const edgeHandleLength = Math.min(40 * handleScale, sel.width / 3, sel.height / 3);
     const edges = [
-      { x: sel.x + sel.width / 2, y: sel.y, w: sel.width, h: edgeHandleSize },
-      { x: sel.x + sel.width / 2, y: sel.y + sel.height, w: sel.width, h: edgeHandleSize },
-      { x: sel.x, y: sel.y + sel.height / 2, w: edgeHandleSize, h: sel.height },
-      { x: sel.x + sel.width, y: sel.y + sel.height / 2, w: edgeHandleSize, h: sel.height },
+      { x: sel.x + sel.width / 2, y: sel.y, w: edgeHandleLength, h: edgeHandleSize },
+      { x: sel.x + sel.width / 2, y: sel.y + sel.height, w: edgeHandleLength, h: edgeHandleSize },
+      { x: sel.x, y: sel.y + sel.height / 2, w: edgeHandleSize, h: edgeHandleLength },
+      { x: sel.x + sel.width, y: sel.y + sel.height / 2, w: edgeHandleSize, h: edgeHandleLength },
     ];
     edges.forEach((edge) => {
       ctx.fillRect(edge.x - edge.w / 2, edge.y - edge.h / 2, edge.w, edge.h);
@@ -244,7 +565,7 @@ export default function TextureTransformModal({
     const rotX = sel.x + sel.width / 2;
     const rotY = sel.y - 30;
     ctx.beginPath();
-    ctx.arc(rotX, rotY, 12, 0, Math.PI * 2);
+    ctx.arc(rotX, rotY, 12 * handleScale, 0, Math.PI * 2);
     ctx.fill();
     ctx.stroke();
 
@@ -257,123 +578,206 @@ export default function TextureTransformModal({
     ctx.stroke();
   };
 
-  // Export texture from selection area
-  const exportTextureFromSelection = () => {
-    const img = imageRef.current;
-    if (!img || !img.complete) return null;
+  // The edit on screen, in the shape stored per layer
+  const captureCurrentEdit = () => ({
+    image: imageRef.current,
+    sourceName: sourceNameRef.current,
+    transform: { ...textureTransform },
+    adjustments: { ...adjustments },
+    boxAspect: boxAspectRef.current,
+    outputAspect: getLayerAspect(selectedLayerId).textureAspect,
+    uvRegion: getLayerAspect(selectedLayerId).uvRegion,
+    baseScale: baseScaleRef.current,
+    selectionRect: { ...selectionRectRef.current },
+  });
 
-    const sel = selectionRectRef.current;
+  // Source pixels under an edit's crop box (its width and height)
+  const getCropDetail = (edit) => ({
+    detailX: edit.selectionRect.width / (edit.baseScale * edit.transform.scaleX),
+    detailY: edit.selectionRect.height / (edit.baseScale * edit.transform.scaleY),
+  });
 
-    // Inner dashed box (the actual texture window)
-    const innerX = sel.x + sel.width * 0.1;
-    const innerY = sel.y + sel.height * 0.1;
-    const innerW = sel.width * 0.8;
-    const innerH = sel.height * 0.8;
+  // Pixel size of an edit's texture for the chosen texture size (see textureExport.js)
+  const getEditTextureSize = (edit) => {
+    const { detailX, detailY } = getCropDetail(edit);
+    const region = edit.uvRegion || { spanU: 1, spanV: 1 };
+    return getTextureExportSize(textureSize, {
+      // The crop box covers only the UV region of the texture
+      detailX: detailX / region.spanU,
+      detailY: detailY / region.spanV,
+      aspect: edit.outputAspect || edit.selectionRect.width / edit.selectionRect.height,
+      maxTextureSize: getMaxTextureSize(renderer),
+    });
+  };
+
+  // Export texture from selection area of an edit ({ image, transform, adjustments, baseScale, selectionRect, outputAspect, uvRegion })
+  // at the edit's texture size. The crop box fills the texture, or only the edit's UV region (the image
+  // around the box fills the rest).
+  const exportTextureFromSelection = (edit) => {
+    const img = edit.image;
+    if (!img || !img.complete) return null;
 
-    // Export at high resolution (2048px width)
-    const exportW = 2048;
-    const exportH = Math.round(exportW * (innerH / innerW));
+    const { width: exportW, height: exportH } = getEditTextureSize(edit);
+    const region = edit.uvRegion || { minU: 0, minV: 0, spanU: 1, spanV: 1 };
 
     const exportCanvas = document.createElement('canvas');
     exportCanvas.width = exportW;
     exportCanvas.height = exportH;
-    const ctx = exportCanvas.getContext('2d');
-
-    ctx.imageSmoothingEnabled = true;
-    ctx.imageSmoothingQuality = 'high';
 
-    // Scale factor from preview-space -> export-space
-    const s = exportW / innerW;
-
-    const imgW = img.naturalWidth || img.width;
-    const imgH = img.naturalHeight || img.height;
-
-    const renderScaleX = baseScaleRef.current * textureTransform.scaleX;
-    const renderScaleY = baseScaleRef.current * textureTransform.scaleY;
-
-    ctx.save();
+    // Map inner dashed box to its region of the export canvas
+    drawEditRegion(exportCanvas.getContext('2d'), edit, edit.selectionRect, {
+      x: region.minU * exportW,
+      y: region.minV * exportH,
+      width: exportW * region.spanU,
+      height: exportH * region.spanV,
+    });
 
-    // Map inner dashed box to export canvas space
-    ctx.scale(s, s);
-    ctx.translate(-innerX, -innerY);
+    // Adjust at the export resolution (sharpening scaled from the preview's pixels to the export's)
+    adjustCanvas(exportCanvas, edit.adjustments, (exportW * region.spanU) / edit.selectionRect.width);
+    return exportCanvas;
+  };
 
-    // Apply same transforms as preview
-    ctx.translate(textureTransform.translateX, textureTransform.translateY);
-    ctx.rotate((textureTransform.rotationDeg * Math.PI) / 180);
-    ctx.scale(renderScaleX, renderScaleY);
+  // Print file layout of an edit: the bleed frame around the crop box and the face size at the
+  // source detail ({ width, height, limited }, see getPrintExportSize)
+  const getPrintFileLayout = (edit, layerId) => {
+    const crop = edit.selectionRect;
+    const frame = getLayerGuides(layerId, crop)?.bleed || crop;
+    return {
+      frame,
+      ...getPrintExportSize({
+        ...getCropDetail(edit),
+        aspect: crop.width / crop.height,
+        marginScale: Math.max(frame.width / crop.width, frame.height / crop.height),
+      }),
+    };
+  };
 
-    // Draw full-res original image
-    ctx.drawImage(img, -imgW / 2, -imgH / 2);
+  // Full-resolution print file of an edit: the crop box as the print face at the source detail
+  // plus the trim and bleed zones of the layer's guides, showing the image beyond the crop or
+  // generated edges
+  const exportPrintFile = (edit, layerId, fillMode) => {
+    const img = edit.image;
+    if (!img || !img.complete) return null;
 
-    ctx.restore();
+    const crop = edit.selectionRect;
+    const { frame, width: faceW, height: faceH } = getPrintFileLayout(edit, layerId);
+    const marginX = Math.min(faceW, Math.round(((crop.x - frame.x) * faceW) / crop.width));
+    const marginY = Math.min(faceH, Math.round(((crop.y - frame.y) * faceH) / crop.height));
+
+    const render = (rect, width, height) => {
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      drawEditRegion(canvas.getContext('2d'), edit, rect, { x: 0, y: 0, width, height });
+      adjustCanvas(canvas, edit.adjustments, width / rect.width);
+      return canvas;
+    };
 
-    // Use PNG to avoid JPEG artifacts
-    return exportCanvas.toDataURL('image/png');
+    if (fillMode === "none" || (marginX === 0 && marginY === 0)) {
+      return render(frame, faceW + marginX * 2, faceH + marginY * 2);
+    }
+    return fillPrintEdges(render(crop, faceW, faceH), marginX, marginY, fillMode);
   };
 
-  // Apply exported texture to all texture layers
-  const applyTextureTransformToAllLayers = () => {
-    const dataUrl = exportTextureFromSelection();
-    if (!dataUrl) {
-      console.warn('Failed to export texture');
+  // Put an exported texture on a layer and remember the edit that produced it
+  const applyOutputToLayer = (layer, texture, edit) => {
+    // The baked texture replaces the layer's own map, not the live preview
+    livePreviewRef.current?.restore(layer.id);
+
+    // Clone texture to avoid sharing references
+    const output = texture.clone();
+    output.name = edit.sourceName;
+    output.userData.isUserArtwork = true;
+    output.needsUpdate = true;
+    if (!applyArtworkTexture(layer, output)) {
+      output.dispose();
       return;
     }
 
-    // Store the current transform state before applying
-    lastAppliedTransformRef.current = {
-      ...textureTransform,
-      baseScale: baseScaleRef.current,
-      selectionRect: { ...selectionRectRef.current },
-    };
+    const recipe = createEditRecipe(edit, layer.id);
+    appliedEditsRef.current.set(layer.id, {
+      sourceImage: edit.image.src,
+      sourceName: edit.sourceName,
+      transform: { ...edit.transform },
+      adjustments: { ...edit.adjustments },
+      boxAspect: edit.boxAspect,
+      outputAspect: edit.outputAspect,
+      uvRegion: edit.uvRegion,
+      baseScale: edit.baseScale,
+      selectionRect: { ...edit.selectionRect },
+      recipe,
+      output,
+    });
+    const storageKey = getRecipeStorageKey(layer);
+    if (storageKey) storeCropRecipe(storageKey, recipe);
+
+    if (onLayerChange) {
+      const { width, height } = texture.image;
+      onLayerChange(layer.id, null, output, {
+        name: edit.sourceName,
+        type: null, // Rendered in the browser - no file type, like size and lastModified
+        size: null,
+        lastModified: null,
+        width,
+        height,
+        origin: "transform",
+      });
+    }
+  };
 
-    // Store the original source image if not already stored
-    if (!originalSourceImageRef.current && imageRef.current) {
-      originalSourceImageRef.current = imageRef.current.src;
-    }
-
-    // Load exported texture
-    const loader = textureLoader || new THREE.TextureLoader();
-    loader.load(
-      dataUrl,
-      (texture) => {
-        texture.colorSpace = THREE.SRGBColorSpace;
-        texture.minFilter = THREE.LinearMipmapLinearFilter;
-        texture.magFilter = THREE.LinearFilter;
-        texture.generateMipmaps = true;
-        texture.wrapS = THREE.ClampToEdgeWrapping;
-        texture.wrapT = THREE.ClampToEdgeWrapping;
-        texture.flipY = false;
-        
-        // Enable anisotropy for better quality
-        if (renderer && renderer.capabilities) {
-          texture.anisotropy = renderer.capabilities.getMaxAnisotropy();
+  // Apply the edited layers (or the selected layer's crop to all layers)
+  const applyTextureTransformToLayers = async () => {
+    if (!imageRef.current || !selectedLayerId) return;
+
+    draftEditsRef.current.set(selectedLayerId, captureCurrentEdit());
+    editedLayerIdsRef.current.add(selectedLayerId);
+
+    // [edit, target layers] per exported texture
+    const jobs = applyToAll
+      ? [[draftEditsRef.current.get(selectedLayerId), editableLayers]]
+      : editableLayers
+          .filter((layer) => editedLayerIdsRef.current.has(layer.id) && draftEditsRef.current.has(layer.id))
+          .map((layer) => [draftEditsRef.current.get(layer.id), [layer]]);
+
+    // Layers whose print would come out below the minimum resolution
+    const lowResolution = jobs.flatMap(([edit, layers]) =>
+      layers
+        .map((layer) => ({ layer, dpi: getEditDpi(layer.id, edit)?.dpi }))
+        .filter(({ dpi }) => dpi < PRINT_RESOLUTION.minimumDpi)
+    );
+    if (lowResolution.length > 0) {
+      if (PRINT_RESOLUTION.belowMinimum === "block") {
+        // Show the offending layer - its warning explains why nothing was applied (with "Apply to all
+        // layers" the indicator already shows the lowest layer)
+        if (!applyToAll && !lowResolution.some(({ layer }) => layer.id === selectedLayerId)) {
+          selectLayer(lowResolution[0].layer.id);
         }
-        
-        texture.needsUpdate = true;
-
-        // Apply to all texture layers
-        textureLayers.forEach((layer) => {
-          if (!layer.mesh || !layer.material) return;
-
-          const mats = Array.isArray(layer.mesh.material) ? layer.mesh.material : [layer.mesh.material];
-          const mat = mats[layer.materialIndex];
-          if (!mat) return;
-
-          // Clone texture to avoid sharing references
-          const clonedTex = texture.clone();
-          clonedTex.needsUpdate = true;
-
-          mat[layer.mapType] = clonedTex;
-          mat.needsUpdate = true;
-        });
+        return;
+      }
+      const list = lowResolution.map(({ layer, dpi }) => `${layer.meshName} [${layer.materialIndex}]: ${Math.round(dpi)} DPI`);
+      const message = `Below the ${PRINT_RESOLUTION.minimumDpi} DPI print minimum:\n${list.join("\n")}\n\nApply anyway?`;
+      if (!window.confirm(message)) return;
+    }
 
-        onClose();
-      },
-      undefined,
-      (error) => {
-        console.error('Failed to load exported texture:', error);
+    setIsApplying(true);
+    try {
+      for (const [edit, layers] of jobs) {
+        const canvas = exportTextureFromSelection(edit);
+        if (!canvas) {
+          console.warn('Failed to export texture');
+          continue;
+        }
+        const texture = await createCanvasTexture(canvas, renderer);
+        canvas.width = canvas.height = 0; // The bitmap holds the pixels now
+        layers.forEach((layer) => applyOutputToLayer(layer, texture, edit));
+        texture.dispose(); // Only the per-layer clones stay in use
       }
-    );
+      onClose();
+    } catch (error) {
+      console.error('Failed to create the exported texture:', error);
+    } finally {
+      setIsApplying(false);
+    }
   };
 
   // Reset transform to initial fit state
@@ -382,45 +786,143 @@ export default function TextureTransformModal({
     const canvas = canvasRef.current;
     if (!img || !canvas) return;
 
-    // Reset to default initialization
-    initializeTextureTransform(img, canvas.width, canvas.height);
-
-    // Clear the last applied transform so it uses default on next open
-    lastAppliedTransformRef.current = null;
+    // Reset to default initialization (applied on Confirm like any other edit)
+    initializeTextureTransform(img, canvas.width, canvas.height, getLayerAspect(selectedLayerId).boxAspect);
+    if (selectedLayerId) editedLayerIdsRef.current.add(selectedLayerId);
   };
 
-  // Handle mouse interactions
-  const handleMouseDown = (e, interactionType) => {
-    e.preventDefault();
+  // Pointer position in canvas pixel coordinates
+  const toCanvasPoint = (e) => {
     const canvas = canvasRef.current;
-    const rect = canvas?.getBoundingClientRect();
-    if (!rect || !canvas) return;
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: (e.clientX - rect.left) * (canvas.width / rect.width),
+      y: (e.clientY - rect.top) * (canvas.height / rect.height),
+    };
+  };
+
+  // Handle under a canvas point: corner-*, edge-*, rotate, or pan anywhere else.
+  // Hit areas grow for fingers (coarse pointers).
+  const hitTest = (x, y, coarse) => {
+    const sel = getHandleBox();
+    const hit = coarse ? COARSE_HIT_SCALE : 1;
+    const handleSize = 12 * hit;
+    const edgeHandleSize = 8 * hit;
 
-    // Convert display coordinates to canvas pixel coordinates
-    const scaleX = canvas.width / rect.width;
-    const scaleY = canvas.height / rect.height;
-    const x = (e.clientX - rect.left) * scaleX;
-    const y = (e.clientY - rect.top) * scaleY;
+    // Check corner handles
+    const corners = [
+      { x: sel.x, y: sel.y, type: 'corner-tl' },
+      { x: sel.x + sel.width, y: sel.y, type: 'corner-tr' },
+      { x: sel.x, y: sel.y + sel.height, type: 'corner-bl' },
+      { x: sel.x + sel.width, y: sel.y + sel.height, type: 'corner-br' },
+    ];
+    const corner = corners.find((c) => Math.abs(x - c.x) < handleSize && Math.abs(y - c.y) < handleSize);
+    if (corner) return corner.type;
+
+    // Check edge handles
+    const withinX = Math.abs(x - (sel.x + sel.width / 2)) < sel.width / 2;
+    const withinY = Math.abs(y - (sel.y + sel.height / 2)) < sel.height / 2;
+    if (withinX && Math.abs(y - sel.y) < edgeHandleSize) return 'edge-top';
+    if (withinX && Math.abs(y - (sel.y + sel.height)) < edgeHandleSize) return 'edge-bottom';
+    if (withinY && Math.abs(x - sel.x) < edgeHandleSize) return 'edge-left';
+    if (withinY && Math.abs(x - (sel.x + sel.width)) < edgeHandleSize) return 'edge-right';
+
+    // Check rotation handle
+    const rotX = sel.x + sel.width / 2;
+    const rotY = sel.y - 30;
+    if (Math.abs(x - rotX) < 15 * hit && Math.abs(y - rotY) < 15 * hit) return 'rotate';
 
+    // Default: pan
+    return 'pan';
+  };
+
+  // Start a one-pointer interaction (pan or a handle) at a canvas point
+  const startDrag = (x, y, interactionType, transform = textureTransform) => {
+    if (selectedLayerId) editedLayerIdsRef.current.add(selectedLayerId);
     setIsDragging(interactionType);
-    setDragStart({
-      x,
-      y,
-      transform: { ...textureTransform },
-    });
+    setDragStart({ x, y, transform: { ...transform } });
+  };
+
+  // Start a two-finger gesture from the two active pointers
+  const startGesture = (transform = textureTransform) => {
+    const [a, b] = [...pointersRef.current.values()];
+    gestureRef.current = {
+      distance: Math.hypot(b.x - a.x, b.y - a.y),
+      angle: Math.atan2(b.y - a.y, b.x - a.x),
+      midX: (a.x + b.x) / 2,
+      midY: (a.y + b.y) / 2,
+      transform: { ...transform },
+    };
+    if (selectedLayerId) editedLayerIdsRef.current.add(selectedLayerId);
+    setIsDragging('gesture');
   };
 
-  const handleMouseMove = (e) => {
-    if (!isDragging || !canvasRef.current) return;
+  const handlePointerDown = (e) => {
+    if (!hasImage || !canvasRef.current) return;
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+    e.preventDefault();
+    canvasRef.current.setPointerCapture(e.pointerId);
 
-    const canvas = canvasRef.current;
-    const rect = canvas.getBoundingClientRect();
+    const point = toCanvasPoint(e);
+    pointersRef.current.set(e.pointerId, point);
+    const coarse = e.pointerType === 'touch';
+    if (coarse !== coarsePointer) setCoarsePointer(coarse);
+
+    if (pointersRef.current.size === 2) {
+      startGesture();
+    } else if (pointersRef.current.size === 1) {
+      startDrag(point.x, point.y, hitTest(point.x, point.y, coarse));
+    }
+  };
+
+  const handlePointerMove = (e) => {
+    if (!pointersRef.current.has(e.pointerId)) return;
+    const point = toCanvasPoint(e);
+    pointersRef.current.set(e.pointerId, point);
+
+    if (isDragging === 'gesture') {
+      const gesture = gestureRef.current;
+      const [a, b] = [...pointersRef.current.values()];
+      if (!gesture || !b) return;
+
+      // Pinch scales uniformly, twist rotates, and the image point under the fingers follows them
+      const factor = gesture.distance > 0.01 ? Math.hypot(b.x - a.x, b.y - a.y) / gesture.distance : 1;
+      const scaleX = clampScale(gesture.transform.scaleX * factor);
+      const appliedFactor = scaleX / gesture.transform.scaleX;
+      const deltaAngle = Math.atan2(b.y - a.y, b.x - a.x) - gesture.angle;
+      const vx = gesture.midX - gesture.transform.translateX;
+      const vy = gesture.midY - gesture.transform.translateY;
+      const cos = Math.cos(deltaAngle) * appliedFactor;
+      const sin = Math.sin(deltaAngle) * appliedFactor;
+
+      setTextureTransform({
+        ...gesture.transform,
+        translateX: (a.x + b.x) / 2 - (vx * cos - vy * sin),
+        translateY: (a.y + b.y) / 2 - (vx * sin + vy * cos),
+        scaleX,
+        scaleY: clampScale(gesture.transform.scaleY * appliedFactor),
+        rotationDeg: gesture.transform.rotationDeg + (deltaAngle * 180) / Math.PI,
+      });
+      return;
+    }
+    if (isDragging) dragTo(point.x, point.y);
+  };
+
+  const handlePointerUp = (e) => {
+    if (!pointersRef.current.delete(e.pointerId)) return;
+    if (pointersRef.current.size === 1 && isDragging === 'gesture') {
+      // One finger left: keep panning with it from the gesture's result
+      const [point] = pointersRef.current.values();
+      gestureRef.current = null;
+      startDrag(point.x, point.y, 'pan');
+    } else if (pointersRef.current.size === 0) {
+      gestureRef.current = null;
+      setIsDragging(null);
+    }
+  };
 
-    // Convert display coordinates to canvas pixel coordinates
-    const scaleX = canvas.width / rect.width;
-    const scaleY = canvas.height / rect.height;
-    const x = (e.clientX - rect.left) * scaleX;
-    const y = (e.clientY - rect.top) * scaleY;
+  // Update the transform for the one-pointer interaction at a canvas point
+  const dragTo = (x, y) => {
     const deltaX = x - dragStart.x;
     const deltaY = y - dragStart.y;
 
@@ -445,8 +947,8 @@ export default function TextureTransformModal({
 
       if (startDist > 0.01) {
         const scaleFactor = currentDist / startDist;
-        newTransform.scaleX = Math.max(0.1, Math.min(5, dragStart.transform.scaleX * scaleFactor));
-        newTransform.scaleY = Math.max(0.1, Math.min(5, dragStart.transform.scaleY * scaleFactor));
+        newTransform.scaleX = clampScale(dragStart.transform.scaleX * scaleFactor);
+        newTransform.scaleY = clampScale(dragStart.transform.scaleY * scaleFactor);
       }
     } else if (isDragging.startsWith('edge-')) {
       // Edge drag: scale one axis
@@ -459,14 +961,16 @@ export default function TextureTransformModal({
         const currentDistY = Math.abs(y - centerY);
         if (startDistY > 0.01) {
           const scaleFactor = currentDistY / startDistY;
-          newTransform.scaleY = Math.max(0.1, Math.min(5, dragStart.transform.scaleY * scaleFactor));
+          newTransform.scaleY = clampScale(dragStart.transform.scaleY * scaleFactor);
+          if (lockAspect) newTransform.scaleX = clampScale(dragStart.transform.scaleX * scaleFactor);
         }
       } else if (isDragging === 'edge-left' || isDragging === 'edge-right') {
         const startDistX = Math.abs(dragStart.x - centerX);
         const currentDistX = Math.abs(x - centerX);
-        if (currentDistX > 0.01) {
+        if (startDistX > 0.01) {
           const scaleFactor = currentDistX / startDistX;
-          newTransform.scaleX = Math.max(0.1, Math.min(5, dragStart.transform.scaleX * scaleFactor));
+          newTransform.scaleX = clampScale(dragStart.transform.scaleX * scaleFactor);
+          if (lockAspect) newTransform.scaleY = clampScale(dragStart.transform.scaleY * scaleFactor);
         }
       }
     } else if (isDragging === 'rotate') {
@@ -479,127 +983,503 @@ export default function TextureTransformModal({
       const currentAngle = Math.atan2(y - centerY, x - centerX);
       const deltaAngle = ((currentAngle - startAngle) * 180) / Math.PI;
 
-      newTransform.rotationDeg = dragStart.transform.rotationDeg + deltaAngle;
+      newTransform.rotationDeg = snapRotation(dragStart.transform.rotationDeg + deltaAngle);
     }
 
     setTextureTransform(newTransform);
   };
 
-  const handleMouseUp = () => {
-    setIsDragging(null);
+  // Snap a rotation that is close to 0/90/180/270° onto it. Steps from a previous rotation (typed
+  // values, keyboard nudges) only snap towards an angle, so small steps can still leave one.
+  const snapRotation = (rotationDeg, from) => {
+    const turn = Math.floor(rotationDeg / 360) * 360;
+    const snapped = [...SNAP_ANGLES, 360]
+      .map((angle) => turn + angle)
+      .find(
+        (angle) =>
+          Math.abs(rotationDeg - angle) < ROTATION_SNAP_DEGREES &&
+          (from === undefined || Math.abs(rotationDeg - angle) < Math.abs(from - angle))
+      );
+    return snapped ?? rotationDeg;
+  };
+
+  // Change the transform from a numeric field or the keyboard
+  const updateTransform = (changes) => {
+    if (!imageRef.current) return;
+    setTextureTransform((prev) => ({ ...prev, ...(typeof changes === "function" ? changes(prev) : changes) }));
+    if (selectedLayerId) editedLayerIdsRef.current.add(selectedLayerId);
   };
 
-  // Global mouse event listeners
+  // Scale from a numeric field; with the aspect locked the other axis keeps its ratio
+  const changeScale = (axis, value) => {
+    const scale = clampScale(value);
+    const other = axis === "scaleX" ? "scaleY" : "scaleX";
+    updateTransform(
+      lockAspect
+        ? { [axis]: scale, [other]: clampScale((textureTransform[other] * scale) / textureTransform[axis]) }
+        : { [axis]: scale }
+    );
+  };
+
+  // Offset: image center relative to the crop box center, in % of the crop box size
+  const getOffset = () => {
+    const box = selectionRectRef.current;
+    return {
+      x: box.width > 0 ? ((textureTransform.translateX - (box.x + box.width / 2)) / box.width) * 100 : 0,
+      y: box.height > 0 ? ((textureTransform.translateY - (box.y + box.height / 2)) / box.height) * 100 : 0,
+    };
+  };
+
+  const changeOffset = (axis, percent) => {
+    const box = selectionRectRef.current;
+    if (axis === "x") updateTransform({ translateX: box.x + box.width / 2 + (percent / 100) * box.width });
+    else updateTransform({ translateY: box.y + box.height / 2 + (percent / 100) * box.height });
+  };
+
+  // Fill / Fit / Stretch / Center the image in the crop box (see FIT_MODES)
+  const applyFitMode = (mode) => {
+    const img = imageRef.current;
+    if (!img) return;
+    updateTransform((prev) =>
+      getFitTransform(mode, prev, {
+        imageWidth: img.naturalWidth || img.width,
+        imageHeight: img.naturalHeight || img.height,
+        cropBox: selectionRectRef.current,
+        baseScale: baseScaleRef.current,
+      })
+    );
+  };
+
+  // Mirror the image horizontally ("flipX") or vertically ("flipY")
+  const toggleFlip = (axis) => updateTransform((prev) => ({ [axis]: !prev[axis] }));
+
+  // Keyboard shortcuts while the modal is open
   useEffect(() => {
-    if (isDragging) {
-      window.addEventListener('mousemove', handleMouseMove);
-      window.addEventListener('mouseup', handleMouseUp);
-      return () => {
-        window.removeEventListener('mousemove', handleMouseMove);
-        window.removeEventListener('mouseup', handleMouseUp);
-      };
-    }
-  }, [isDragging, dragStart, textureTransform]);
+    if (!isOpen) return;
+    const onKeyDown = (e) => keyHandlerRef.current && keyHandlerRef.current(e);
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [isOpen]);
 
   // Re-render canvas when transform changes
   useEffect(() => {
     if (isOpen && imageRef.current) {
       renderTextureTransform();
     }
-  }, [textureTransform, isOpen]);
+  }, [textureTransform, isOpen, showUvOverlay, uvCropLayers, adjustments, showOriginal, coarsePointer, showGuides, printSizes]);
 
-  // Initialize when modal opens
+  // Adjustments re-render the preview image on the model - follow slider drags once they pause
   useEffect(() => {
-    if (isOpen && textureLayers.length > 0) {
-      // Find a texture to use
-      let textureToUse = null;
-      const mapLayer = textureLayers.find(layer => layer.mapType === 'map');
-      if (mapLayer && mapLayer.mesh) {
-        const mats = Array.isArray(mapLayer.mesh.material) ? mapLayer.mesh.material : [mapLayer.mesh.material];
-        const mat = mats[mapLayer.materialIndex];
-        if (mat && mat.map) {
-          textureToUse = mat.map;
-        }
-      }
+    const timer = setTimeout(() => setPreviewAdjustments(adjustments), LIVE_PREVIEW_ADJUST_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [adjustments]);
 
-      if (!textureToUse) {
-        textureToUse = testTexture1Ref.current || testTexture2Ref.current;
+  // Live 3D preview: the edit on screen on the layers it goes to, plus this session's edits of the
+  // other layers. Only a UV transform changes while dragging; Confirm & Apply bakes the texture.
+  useEffect(() => {
+    if (!isOpen || !livePreview || !hasImage || !imageRef.current || !selectedLayerId) {
+      livePreviewRef.current?.restoreAll();
+      return;
+    }
+    const preview = livePreviewRef.current || (livePreviewRef.current = createLivePreview({ renderer }));
+    const edit = { ...captureCurrentEdit(), adjustments: showOriginal ? DEFAULT_ADJUSTMENTS : previewAdjustments };
+    const items = applyToAll
+      ? editableLayers.map((layer) => [layer, edit])
+      : editableLayers
+          .map((layer) => [
+            layer,
+            layer.id === selectedLayerId
+              ? edit
+              : editedLayerIdsRef.current.has(layer.id) && draftEditsRef.current.get(layer.id),
+          ])
+          .filter(([, layerEdit]) => layerEdit);
+    preview.update(items);
+  }, [isOpen, livePreview, hasImage, textureTransform, previewAdjustments, showOriginal, selectedLayerId, applyToAll, aspectOverrides, uvCropLayers, textureLayers]);
+
+  // Give the layers their maps back if the modal goes away while previewing
+  useEffect(() => () => livePreviewRef.current?.restoreAll(), []);
+
+  // The layer's own map - under the live preview, the one it had before
+  const getLayerMap = (layer) => {
+    if (!layer?.mesh) return null;
+    const original = livePreviewRef.current?.getOriginalMap(layer.id);
+    if (original !== undefined) return original;
+    const mats = Array.isArray(layer.mesh.material) ? layer.mesh.material : [layer.mesh.material];
+    return mats[layer.materialIndex]?.[layer.mapType] || null;
+  };
+
+  // Image to edit for a layer: its current texture, or the first fallback image without one
+  const getLayerImageSource = (layer) => {
+    const fallbackImage = fallbackImages[0] || null;
+    const textureToUse = getLayerMap(layer);
+
+    if (!textureToUse || !textureToUse.image) {
+      return { src: fallbackImage, name: fallbackImage ? fallbackImage.split("/").pop() : "" };
+    }
+
+    const name = textureToUse.name || layer.meshName;
+    // Extract image from texture
+    if (textureToUse.image instanceof HTMLImageElement) {
+      if (textureToUse.image.complete && textureToUse.image.naturalWidth > 0) {
+        return { src: textureToUse.image.src, name };
       }
+      // Still loading - use the fallback for now
+      return { src: fallbackImage, name };
+    }
+    if (textureToUse.image instanceof HTMLCanvasElement) {
+      return { src: textureToUse.image.toDataURL(), name };
+    }
+    // ImageBitmap (GLTFLoader default, uploads and gallery artwork) or GPU-only KTX2/Basis texture -
+    // copied into a canvas at its natural size: the print file and DPI need every source pixel
+    const canvas = textureToCanvas(textureToUse, renderer, Infinity);
+    return { src: canvas ? canvas.toDataURL() : fallbackImage, name };
+  };
 
-      // Determine which image to load
-      let imageSrc = null;
-
-      // If we have a stored original source image, use that
-      if (lastAppliedTransformRef.current && originalSourceImageRef.current) {
-        imageSrc = originalSourceImageRef.current;
-      } else if (textureToUse && textureToUse.image) {
-        // Extract image from texture
-        if (textureToUse.image instanceof HTMLImageElement) {
-          if (textureToUse.image.complete && textureToUse.image.naturalWidth > 0) {
-            imageSrc = textureToUse.image.src;
-          } else {
-            // Wait for image to load
-            textureToUse.image.onload = () => {
-              if (isOpen) {
-                const event = new Event('texture-loaded');
-                window.dispatchEvent(event);
-              }
-            };
-            // Use fallback for now
-            imageSrc = testTexturePaths[0];
-          }
-        } else if (textureToUse.image instanceof HTMLCanvasElement) {
-          imageSrc = textureToUse.image.toDataURL();
-        } else {
-          imageSrc = testTexturePaths[0];
-        }
+  // Show a layer's edit: this session's draft, the last applied edit, or a fresh fit of its texture
+  const showLayerEdit = (layerId) => {
+    const token = ++imageLoadTokenRef.current;
+    setRecipeMessage(null);
+    const layer = editableLayers.find((l) => l.id === layerId);
+    const { boxAspect } = getLayerAspect(layerId);
+
+    const draft = draftEditsRef.current.get(layerId);
+    if (draft) {
+      imageRef.current = draft.image;
+      sourceNameRef.current = draft.sourceName;
+      baseScaleRef.current = draft.baseScale;
+      boxAspectRef.current = draft.boxAspect;
+      selectionRectRef.current = { ...draft.selectionRect };
+      setHasImage(true);
+      setTextureTransform({ ...draft.transform });
+      setAdjustments(draft.adjustments);
+      return;
+    }
+
+    // The applied edit only counts while its output is on the layer. It is kept when the output was
+    // replaced or undone, so redoing the transform in the viewer's history restores the edit too.
+    let applied = appliedEditsRef.current.get(layerId);
+    if (applied && layer && getLayerMap(layer) !== applied.output) applied = null;
+
+    const source = applied ? { src: applied.sourceImage, name: applied.sourceName } : getLayerImageSource(layer);
+
+    // Nothing to edit yet: no layer texture and an empty gallery
+    if (!source.src) {
+      imageRef.current = null;
+      setHasImage(false);
+      setAdjustments(DEFAULT_ADJUSTMENTS);
+      const canvas = canvasRef.current;
+      if (canvas) canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+      return;
+    }
+
+    const img = new Image();
+    img.crossOrigin = 'anonymous';
+    img.onload = () => {
+      if (token !== imageLoadTokenRef.current) return;
+      imageRef.current = img;
+      sourceNameRef.current = source.name;
+      setHasImage(true);
+      setAdjustments(applied?.adjustments || DEFAULT_ADJUSTMENTS);
+      // Size from the crop aspect - the canvas element may still have the previous layer's size
+      const size = getCanvasSize(boxAspect || (img.naturalWidth || img.width) / (img.naturalHeight || img.height));
+      if (applied && (!boxAspect || applied.boxAspect === boxAspect)) {
+        // Restore the last applied transform state
+        baseScaleRef.current = applied.baseScale;
+        boxAspectRef.current = applied.boxAspect;
+        selectionRectRef.current = { ...applied.selectionRect };
+        setTextureTransform({ ...applied.transform });
       } else {
-        imageSrc = testTexturePaths[0];
+        // First time editing this layer - use default initialization. When its print aspect changed
+        // since the last apply, put the last crop onto the new crop box instead.
+        initializeTextureTransform(img, size.width, size.height, boxAspect);
+        if (applied) {
+          setTextureTransform(getRecipeTransform(applied.recipe, img));
+        } else if (layer && !appliedEditsRef.current.has(layerId)) {
+          // Nothing applied in this session: the crop applied to the same image before a reload
+          const storageKey = getRecipeStorageKey(layer);
+          const stored = storageKey && loadStoredCropRecipe(storageKey);
+          if (stored && stored.source.name === source.name) applyCropRecipe(stored, layerId, "Restored the crop applied before reload");
+        }
       }
+    };
+    img.src = source.src;
+  };
 
-      // Store the original source image for future restorations
-      if (!originalSourceImageRef.current) {
-        originalSourceImageRef.current = imageSrc;
-      }
+  // Change one image adjustment of the selected layer
+  const changeAdjustment = (key, value) => {
+    setAdjustments({ ...adjustments, [key]: value });
+    if (selectedLayerId) editedLayerIdsRef.current.add(selectedLayerId);
+  };
 
-      const img = new Image();
-      img.crossOrigin = 'anonymous';
-      img.onload = () => {
-        imageRef.current = img;
-        const canvas = canvasRef.current;
-        if (canvas) {
-          // Check if we have a previously applied transform
-          if (lastAppliedTransformRef.current) {
-            // Restore the last applied transform state
-            const lastTransform = lastAppliedTransformRef.current;
-            baseScaleRef.current = lastTransform.baseScale;
-
-            if (lastTransform.selectionRect) {
-              selectionRectRef.current = lastTransform.selectionRect;
-            } else {
-              initializeTextureTransform(img, canvas.width, canvas.height);
-            }
+  const resetAdjustments = () => {
+    if (isNeutralAdjustments(adjustments)) return;
+    setAdjustments(DEFAULT_ADJUSTMENTS);
+    if (selectedLayerId) editedLayerIdsRef.current.add(selectedLayerId);
+  };
 
-            setTextureTransform({
-              translateX: lastTransform.translateX,
-              translateY: lastTransform.translateY,
-              scaleX: lastTransform.scaleX,
-              scaleY: lastTransform.scaleY,
-              rotationDeg: lastTransform.rotationDeg,
-            });
-          } else {
-            // First time opening - use default initialization
-            initializeTextureTransform(img, canvas.width, canvas.height);
-          }
-          renderTextureTransform();
-        }
-      };
-      img.src = imageSrc;
+  // Crop recipe of an edit on a layer (normalized, independent of the preview canvas)
+  const createEditRecipe = (edit, layerId) => {
+    const img = edit.image;
+    return createCropRecipe(edit, {
+      cropBox: edit.selectionRect,
+      source: { name: edit.sourceName, width: img.naturalWidth || img.width, height: img.naturalHeight || img.height },
+      layout: { aspectPreset: aspectOverrides[layerId], cropToUvBounds: !!edit.uvRegion, outputAspect: edit.outputAspect },
+    });
+  };
+
+  // localStorage key of a layer's applied recipe (the layer ids change with every load)
+  const getRecipeStorageKey = (layer) =>
+    recipeStorageKey ? `${recipeStorageKey}:${layer.meshName}[${layer.materialIndex}]` : null;
+
+  // Transform reproducing a recipe on an image, for the crop box and fit scale currently set up
+  const getRecipeTransform = (recipe, img) =>
+    getTransformFromRecipe(recipe, {
+      imageWidth: img.naturalWidth || img.width,
+      imageHeight: img.naturalHeight || img.height,
+      cropBox: selectionRectRef.current,
+      baseScale: baseScaleRef.current,
+    });
+
+  // Download the selected layer's print file with the chosen edge fill
+  const downloadSelectedPrintFile = () => {
+    if (!imageRef.current || !selectedLayerId) return;
+    const edit = captureCurrentEdit();
+    let canvas = null;
+    try {
+      canvas = exportPrintFile(edit, selectedLayerId, edgeFill);
+    } catch (err) {
+      // The browser could not allocate or read the canvas - lower printMaxPixels in textureExport.json
+      console.warn("Print file export failed:", err);
+    }
+    if (!canvas) return;
+    downloadPrintFile(canvas, edit.sourceName)
+      .catch((err) => console.warn("Print file export failed:", err))
+      .finally(() => {
+        canvas.width = canvas.height = 0; // Free the pixels right away
+      });
+  };
+
+  const exportCropRecipe = () => {
+    if (!imageRef.current || !selectedLayerId) return;
+    downloadCropRecipe(createEditRecipe(captureCurrentEdit(), selectedLayerId));
+  };
+
+  // Put a recipe's crop, layout and adjustments on a layer's image (the one shown)
+  const applyCropRecipe = (recipe, layerId = selectedLayerId, label = "Recipe applied") => {
+    const img = imageRef.current;
+    const layer = editableLayers.find((l) => l.id === layerId);
+    if (!img || !layer) return;
+
+    const overrides = { ...aspectOverrides };
+    if (PRINT_ASPECT_PRESETS.some((p) => p.id === recipe.layout.aspectPreset)) overrides[layer.id] = recipe.layout.aspectPreset;
+    else delete overrides[layer.id];
+    const uvCrops = { ...uvCropLayers };
+    if (recipe.layout.cropToUvBounds && layer.printSurface) uvCrops[layer.id] = true;
+    else delete uvCrops[layer.id];
+    setAspectOverrides(overrides);
+    setUvCropLayers(uvCrops);
+
+    const { boxAspect } = getLayerAspect(layer.id, overrides, uvCrops);
+    const imgW = img.naturalWidth || img.width;
+    const imgH = img.naturalHeight || img.height;
+    const size = getCanvasSize(boxAspect || imgW / imgH);
+    initializeTextureTransform(img, size.width, size.height, boxAspect);
+    setTextureTransform(getRecipeTransform(recipe, img));
+    setAdjustments(recipe.adjustments);
+    editedLayerIdsRef.current.add(layer.id);
+
+    const notes = [];
+    if (recipe.source.width && (recipe.source.width !== imgW || recipe.source.height !== imgH)) {
+      notes.push(`made for ${recipe.source.name || "another image"} (${recipe.source.width} × ${recipe.source.height}), placed by relative position`);
+    }
+    if (recipe.crop.aspect && Math.abs(boxAspectRef.current - recipe.crop.aspect) / recipe.crop.aspect > 0.01) {
+      notes.push(`crop box is ${describeAspect(boxAspectRef.current)} instead of ${describeAspect(recipe.crop.aspect)} - the height follows it`);
+    }
+    setRecipeMessage({ type: "info", text: notes.length > 0 ? `${label}: ${notes.join("; ")}` : label });
+  };
+
+  const importCropRecipe = async (file) => {
+    if (!file) return;
+    try {
+      applyCropRecipe(parseCropRecipe(await file.text()));
+    } catch (error) {
+      console.error("Failed to import crop recipe:", error);
+      setRecipeMessage({ type: "error", text: `Could not import ${file.name}: ${error.message}` });
+    }
+  };
+
+  // Refit the image after the selected layer's crop box changed shape
+  const refitSelectedLayer = (overrides, uvCrops) => {
+    const img = imageRef.current;
+    if (!img) return;
+    const { boxAspect } = getLayerAspect(selectedLayerId, overrides, uvCrops);
+    const size = getCanvasSize(boxAspect || (img.naturalWidth || img.width) / (img.naturalHeight || img.height));
+    initializeTextureTransform(img, size.width, size.height, boxAspect);
+    editedLayerIdsRef.current.add(selectedLayerId);
+  };
+
+  // Override the crop aspect of the selected layer ("" = automatic) and refit the image to it
+  const changeAspectOverride = (presetId) => {
+    if (!selectedLayerId) return;
+    const next = { ...aspectOverrides };
+    if (presetId) next[selectedLayerId] = presetId;
+    else delete next[selectedLayerId];
+    setAspectOverrides(next);
+    refitSelectedLayer(next, uvCropLayers);
+  };
+
+  // Map the crop box onto the UV bounding box of the selected layer (or back onto the whole texture)
+  const toggleUvCrop = () => {
+    if (!selectedLayerId) return;
+    const next = { ...uvCropLayers };
+    if (next[selectedLayerId]) delete next[selectedLayerId];
+    else next[selectedLayerId] = true;
+    setUvCropLayers(next);
+    refitSelectedLayer(aspectOverrides, next);
+  };
+
+  // Switch the layer being edited, keeping the current layer's edit as a draft
+  const selectLayer = (layerId) => {
+    if (layerId === selectedLayerId) return;
+    if (selectedLayerId && imageRef.current) {
+      draftEditsRef.current.set(selectedLayerId, captureCurrentEdit());
+    }
+    setSelectedLayerId(layerId);
+    showLayerEdit(layerId);
+  };
+
+  // Initialize when modal opens - every session starts from the applied edits
+  useEffect(() => {
+    if (!isOpen) return;
+    draftEditsRef.current = new Map();
+    editedLayerIdsRef.current = new Set();
+    pointersRef.current = new Map(); // Pointers of a gesture interrupted by closing the modal
+    gestureRef.current = null;
+    setIsDragging(null);
+
+    const layerId = editableLayers.some((l) => l.id === selectedLayerId) ? selectedLayerId : editableLayers[0]?.id;
+    setSelectedLayerId(layerId || null);
+    if (layerId) {
+      showLayerEdit(layerId);
+    } else {
+      imageRef.current = null;
+      setHasImage(false);
     }
-  }, [isOpen, textureLayers, testTexturePaths]);
+  }, [isOpen, textureLayers, fallbackImages]);
 
   if (!isOpen) return null;
 
+  const layerAspect = getLayerAspect(selectedLayerId);
+  const canvasSize = getCanvasSize(boxAspectRef.current || layerAspect.boxAspect);
+  const selectedSurface = editableLayers.find((l) => l.id === selectedLayerId)?.printSurface;
+  const uvWarnings = getUvLayoutWarnings(selectedSurface);
+  const canCropToUv =
+    !!layerAspect.printAspect && uvWarnings.some((w) => w.code === "uv-outside" || w.code === "uv-partial");
+  const aspectSourceLabel = {
+    manual: "manual override",
+    userData: "userData.printAspect",
+    mesh: "measured from the print mesh",
+    image: "image aspect - no UVs to measure",
+  }[layerAspect.source];
+  const printSize = getLayerPrintSize(selectedLayerId);
+  const printSizeSourceLabel = {
+    manual: "entered",
+    userData: "userData.printSize",
+    mesh: "from the print surface",
+  }[printSize?.source];
+  // Live DPI of the crop on screen; with "Apply to all layers" the lowest one among the layers it goes on
+  const currentEdit = {
+    image: imageRef.current,
+    transform: textureTransform,
+    baseScale: baseScaleRef.current,
+    selectionRect: selectionRectRef.current,
+    outputAspect: layerAspect.textureAspect,
+    uvRegion: layerAspect.uvRegion,
+  };
+  const selectedDpi = !hasImage
+    ? null
+    : (applyToAll ? editableLayers.map((l) => l.id) : [selectedLayerId])
+        .map((layerId) => {
+          const dpi = getEditDpi(layerId, currentEdit);
+          return dpi && { ...dpi, printSize: getLayerPrintSize(layerId) };
+        })
+        .filter(Boolean)
+        .reduce((lowest, dpi) => (!lowest || dpi.dpi < lowest.dpi ? dpi : lowest), null);
+  const dpiRating = selectedDpi ? getDpiRating(selectedDpi.dpi) : null;
+  const isBlockedByDpi = dpiRating === "low" && PRINT_RESOLUTION.belowMinimum === "block";
+  // Pixel size of the texture Confirm & Apply puts on the selected layer
+  const maxTextureSize = getMaxTextureSize(renderer);
+  const outputSize = hasImage && currentEdit.image ? getEditTextureSize(currentEdit) : null;
+  // Face of the selected layer's print file, and its DPI when printMaxPixels or the canvas limit scaled it down
+  const printFile = hasImage && currentEdit.image ? getPrintFileLayout(currentEdit, selectedLayerId) : null;
+  const limitedPrintDpi = printFile?.limited
+    ? computeEffectiveDpi({ pixelsX: printFile.width, pixelsY: printFile.height }, printSize)
+    : null;
+
+  // Editable transform fields (scale 1 = baseline fit; offset in % of the crop box)
+  const offset = getOffset();
+  const numericFields = [
+    { id: "scaleX", label: "Scale X", value: textureTransform.scaleX, digits: 2, step: 0.01, onCommit: (v) => changeScale("scaleX", v) },
+    { id: "scaleY", label: "Scale Y", value: textureTransform.scaleY, digits: 2, step: 0.01, onCommit: (v) => changeScale("scaleY", v) },
+    { id: "rotation", label: "Rotation °", value: textureTransform.rotationDeg, digits: 1, step: 0.1, onCommit: (v) => updateTransform((prev) => ({ rotationDeg: snapRotation(v, prev.rotationDeg) })) },
+    { id: "offsetX", label: "Offset X %", value: offset.x, digits: 1, step: 0.1, onCommit: (v) => changeOffset("x", v) },
+    { id: "offsetY", label: "Offset Y %", value: offset.y, digits: 1, step: 0.1, onCommit: (v) => changeOffset("y", v) },
+  ];
+
+  // Keyboard: nudge, rotate, apply, cancel. Typing into form fields keeps its own keys.
+  keyHandlerRef.current = (e) => {
+    if (e.key === "Escape") {
+      e.preventDefault();
+      onClose();
+      return;
+    }
+    const tag = e.target?.tagName;
+    if (tag === "INPUT" || tag === "SELECT" || tag === "TEXTAREA" || e.target?.isContentEditable) return;
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+    if (e.key === "Enter") {
+      if (tag === "BUTTON") return; // The focused button handles it
+      e.preventDefault();
+      if (hasImage && !isApplying && !isBlockedByDpi) applyTextureTransformToLayers();
+      return;
+    }
+    if (!hasImage || isDragging) return;
+
+    const nudge = NUDGE_STEP * (e.shiftKey ? NUDGE_SHIFT_MULTIPLIER : 1);
+    const moves = { ArrowLeft: [-nudge, 0], ArrowRight: [nudge, 0], ArrowUp: [0, -nudge], ArrowDown: [0, nudge] };
+    if (moves[e.key]) {
+      e.preventDefault();
+      const [dx, dy] = moves[e.key];
+      updateTransform((prev) => ({ translateX: prev.translateX + dx, translateY: prev.translateY + dy }));
+      return;
+    }
+
+    // By key position: Shift turns [ ] into { } on many layouts
+    const rotation = ROTATION_STEP * (e.shiftKey ? ROTATION_SHIFT_MULTIPLIER : 1);
+    if (e.code === "BracketLeft" || e.code === "BracketRight") {
+      e.preventDefault();
+      const delta = e.code === "BracketLeft" ? -rotation : rotation;
+      updateTransform((prev) => ({ rotationDeg: snapRotation(prev.rotationDeg + delta, prev.rotationDeg) }));
+    }
+  };
+
+  // Enter one side of the print size in cm; the other follows the crop's print aspect
+  const commitPrintSize = (axis, value) => {
+    const size = parseFloat(value);
+    if (!selectedLayerId || !(size > 0) || (printSize && Math.abs(size - printSize[axis]) < 0.05)) return;
+    const aspect = layerAspect.printAspect || boxAspectRef.current;
+    const next = axis === "width" ? { width: size, height: size / aspect } : { width: size * aspect, height: size };
+    if (!(next.width > 0) || !(next.height > 0)) return;
+    setPrintSizes({ ...printSizes, [selectedLayerId]: next });
+  };
+
+  // Back to the print size from the model
+  const clearPrintSize = () => {
+    const next = { ...printSizes };
+    delete next[selectedLayerId];
+    setPrintSizes(next);
+  };
+
   return (
     <div
       style={{
@@ -608,10 +1488,12 @@ export default function TextureTransformModal({
         left: 0,
         right: 0,
         bottom: 0,
-        background: "rgba(0, 0, 0, 0.75)",
+        // With the live preview the modal moves aside so the model stays visible
+        background: livePreview ? "rgba(0, 0, 0, 0.25)" : "rgba(0, 0, 0, 0.75)",
         display: "flex",
         alignItems: "center",
-        justifyContent: "center",
+        justifyContent: livePreview ? "flex-end" : "center",
+        padding: livePreview ? "0 16px" : 0,
         zIndex: 1000,
       }}
       onClick={(e) => {
@@ -635,15 +1517,255 @@ export default function TextureTransformModal({
         onClick={(e) => e.stopPropagation()}
       >
         <h2 style={{ marginTop: 0, marginBottom: 8, fontSize: 18, fontWeight: 700 }}>
-          Transform Texture for Landscape (3:2)
+          Transform Texture for {layerAspect.printAspect ? describeAspect(layerAspect.printAspect) : "Image Aspect"}
         </h2>
         <p style={{ marginBottom: 12, fontSize: 12, opacity: 0.8, lineHeight: 1.5 }}>
-          Drag the image to pan, use corner/edge handles to scale, and the rotation handle to rotate. Only the area inside the dashed box will be applied to the model.
+          Drag the image to pan, use corner/edge handles to scale, and the rotation handle to rotate - or type exact values below. Arrow keys nudge (Shift ×10), [ and ] rotate (Shift ×15), Enter applies, Esc cancels. Only the area inside the dashed box will be applied to the model; its shape follows the print.
         </p>
+        <label style={{ display: "flex", alignItems: "center", gap: 6, marginBottom: 12, fontSize: 12, cursor: "pointer" }}>
+          <input type="checkbox" checked={livePreview} onChange={(e) => setLivePreview(e.target.checked)} />
+          Live 3D preview
+          <span style={{ opacity: 0.6 }}>- the model follows your edits; the full-quality texture is made on Confirm & Apply</span>
+        </label>
+
+        {/* Layer Selector */}
+        {editableLayers.length > 1 && (
+          <div style={{
+            marginBottom: 12,
+            display: "flex",
+            alignItems: "center",
+            gap: 12,
+            fontSize: 12,
+          }}>
+            <label style={{ flex: 1, display: "flex", alignItems: "center", gap: 8 }}>
+              <span style={{ opacity: 0.7 }}>Layer</span>
+              <select
+                value={selectedLayerId || ""}
+                onChange={(e) => selectLayer(e.target.value)}
+                style={{
+                  flex: 1,
+                  padding: 6,
+                  borderRadius: 4,
+                  border: "1px solid rgba(255,255,255,0.2)",
+                  background: "#333",
+                  color: "white",
+                  fontSize: 12,
+                }}
+              >
+                {editableLayers.map((layer) => (
+                  <option key={layer.id} value={layer.id}>
+                    {layer.meshName} [{layer.materialIndex}]
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label style={{ display: "flex", alignItems: "center", gap: 6, cursor: "pointer" }}>
+              <input type="checkbox" checked={applyToAll} onChange={(e) => setApplyToAll(e.target.checked)} />
+              Apply to all layers
+            </label>
+          </div>
+        )}
+
+        {/* Crop Aspect */}
+        <div style={{ marginBottom: 12, fontSize: 12 }}>
+          <label style={{ display: "flex", alignItems: "center", gap: 8 }}>
+            <span style={{ opacity: 0.7 }}>Aspect</span>
+            <select
+              value={aspectOverrides[selectedLayerId] || ""}
+              onChange={(e) => changeAspectOverride(e.target.value)}
+              disabled={!selectedLayerId}
+              style={{
+                flex: 1,
+                padding: 6,
+                borderRadius: 4,
+                border: "1px solid rgba(255,255,255,0.2)",
+                background: "#333",
+                color: "white",
+                fontSize: 12,
+              }}
+            >
+              <option value="">Auto (from print layer)</option>
+              {PRINT_ASPECT_PRESETS.map((preset) => (
+                <option key={preset.id} value={preset.id}>
+                  {preset.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <div style={{ marginTop: 4, fontSize: 11, opacity: 0.6 }}>
+            {aspectSourceLabel}
+            {selectedSurface &&
+              ` • print surface ${selectedSurface.worldSize.width.toFixed(3)} × ${selectedSurface.worldSize.height.toFixed(3)} m`}
+          </div>
+        </div>
+
+        {/* Print Size */}
+        <div style={{ marginBottom: 12, fontSize: 12 }}>
+          <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+            <span style={{ opacity: 0.7 }}>Print size</span>
+            {["width", "height"].map((axis, i) => (
+              <span key={axis} style={{ display: "flex", alignItems: "center", gap: 8 }}>
+                {i > 0 && <span style={{ opacity: 0.7 }}>×</span>}
+                <input
+                  key={`${selectedLayerId}-${axis}-${printSize ? printSize[axis].toFixed(1) : ""}`}
+                  type="number"
+                  min="0.1"
+                  step="0.1"
+                  defaultValue={printSize ? printSize[axis].toFixed(1) : ""}
+                  placeholder={axis === "width" ? "Width" : "Height"}
+                  disabled={!selectedLayerId}
+                  onBlur={(e) => commitPrintSize(axis, e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === "Enter") e.currentTarget.blur();
+                  }}
+                  style={{
+                    width: 70,
+                    padding: 6,
+                    borderRadius: 4,
+                    border: "1px solid rgba(255,255,255,0.2)",
+                    background: "#333",
+                    color: "white",
+                    fontSize: 12,
+                  }}
+                />
+              </span>
+            ))}
+            <span style={{ opacity: 0.7 }}>cm</span>
+            {printSize?.source === "manual" && (
+              <button
+                onClick={clearPrintSize}
+                style={{
+                  padding: "6px 10px",
+                  border: 0,
+                  borderRadius: 4,
+                  background: "#666",
+                  color: "white",
+                  cursor: "pointer",
+                  fontSize: 11,
+                  fontWeight: 600,
+                }}
+              >
+                Auto
+              </button>
+            )}
+          </div>
+          <div style={{ marginTop: 4, fontSize: 11, opacity: 0.6 }}>
+            {printSize
+              ? `${printSizeSourceLabel} • ${(printSize.width / 2.54).toFixed(1)} × ${(printSize.height / 2.54).toFixed(1)} in`
+              : "Enter the print size to check the resolution"}
+          </div>
+        </div>
+
+        {/* Print Guides */}
+        <div style={{ marginBottom: 12, fontSize: 12 }}>
+          <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+            <label style={{ display: "flex", alignItems: "center", gap: 6, cursor: "pointer" }}>
+              <input type="checkbox" checked={showGuides} onChange={(e) => setShowGuides(e.target.checked)} />
+              Show guides
+            </label>
+            <span style={{ marginLeft: "auto", opacity: 0.7 }}>Edges</span>
+            <select
+              value={edgeFill}
+              onChange={(e) => setEdgeFill(e.target.value)}
+              title="What the print file shows in the trim and bleed zones"
+              style={{
+                padding: 6,
+                borderRadius: 4,
+                border: "1px solid rgba(255,255,255,0.2)",
+                background: "#333",
+                color: "white",
+                fontSize: 12,
+              }}
+            >
+              {EDGE_FILL_MODES.map((mode) => (
+                <option key={mode.id} value={mode.id}>
+                  {mode.label}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={downloadSelectedPrintFile}
+              disabled={!hasImage}
+              style={{
+                padding: "6px 10px",
+                border: 0,
+                borderRadius: 4,
+                background: "#666",
+                color: "white",
+                cursor: hasImage ? "pointer" : "not-allowed",
+                fontSize: 11,
+                fontWeight: 600,
+              }}
+            >
+              Download Print File
+            </button>
+          </div>
+          <div style={{ marginTop: 4, fontSize: 11, opacity: 0.6 }}>
+            {printSize
+              ? `Bleed ${PRINT_GUIDES.bleed} ${PRINT_GUIDES.unit} • Trim ${PRINT_GUIDES.trim} ${PRINT_GUIDES.unit} • Safe area ${PRINT_GUIDES.safeArea} ${PRINT_GUIDES.unit} from the dashed print face`
+              : "Enter the print size to draw the bleed, trim and safe-area guides"}
+          </div>
+          {printFile?.limited && (
+            <div style={{ marginTop: 4, fontSize: 11, color: DPI_RATING_COLORS.acceptable }}>
+              Print face limited to {printFile.width} × {printFile.height} px
+              {limitedPrintDpi && ` (${Math.round(limitedPrintDpi.dpi)} DPI)`} - the crop has more source detail
+              than the {Math.round(TEXTURE_EXPORT.printMaxPixels / 1e6)} MP print file limit
+            </div>
+          )}
+        </div>
+
+        {/* UV Layout */}
+        {selectedSurface && (
+          <div style={{ marginBottom: 12, fontSize: 12 }}>
+            <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 8 }}>
+              <label style={{ display: "flex", alignItems: "center", gap: 6, cursor: "pointer" }}>
+                <input type="checkbox" checked={showUvOverlay} onChange={(e) => setShowUvOverlay(e.target.checked)} />
+                Show UV layout
+              </label>
+              {(canCropToUv || layerAspect.uvRegion) && (
+                <button
+                  onClick={toggleUvCrop}
+                  style={{
+                    padding: "6px 10px",
+                    border: 0,
+                    borderRadius: 4,
+                    background: layerAspect.uvRegion ? "#666" : "#FF9800",
+                    color: "white",
+                    cursor: "pointer",
+                    fontSize: 11,
+                    fontWeight: 600,
+                  }}
+                >
+                  {layerAspect.uvRegion ? "Use whole texture" : "Crop to UV bounds"}
+                </button>
+              )}
+            </div>
+            {uvWarnings.map((warning) => (
+              <div
+                key={warning.code}
+                style={{
+                  marginTop: 6,
+                  padding: 6,
+                  borderRadius: 4,
+                  border: "1px solid #FFA726",
+                  background: "rgba(255, 167, 38, 0.15)",
+                  fontSize: 11,
+                }}
+              >
+                ⚠ {warning.message}
+              </div>
+            ))}
+            {layerAspect.uvRegion && (
+              <div style={{ marginTop: 6, fontSize: 11, opacity: 0.6 }}>
+                The dashed box is mapped onto the UV bounding box - the image around it fills the unused texture.
+              </div>
+            )}
+          </div>
+        )}
 
         {/* Transform Indicators */}
         <div style={{
-          marginBottom: 20,
+          marginBottom: 8,
           padding: 12,
           background: "rgba(255,255,255,0.05)",
           borderRadius: 6,
@@ -652,34 +1774,177 @@ export default function TextureTransformModal({
           alignItems: "center",
           fontSize: 13,
         }}>
-          <div style={{ flex: 1, textAlign: "center" }}>
-            <div style={{ opacity: 0.7, fontSize: 11, marginBottom: 4 }}>Scale X</div>
-            <div style={{ fontWeight: 700, color: "#00CED1" }}>
-              {textureTransform.scaleX.toFixed(2)}x
-            </div>
-          </div>
-          <div style={{ width: 1, height: 30, background: "rgba(255,255,255,0.2)" }} />
-          <div style={{ flex: 1, textAlign: "center" }}>
-            <div style={{ opacity: 0.7, fontSize: 11, marginBottom: 4 }}>Scale Y</div>
-            <div style={{ fontWeight: 700, color: "#00CED1" }}>
-              {textureTransform.scaleY.toFixed(2)}x
-            </div>
-          </div>
-          <div style={{ width: 1, height: 30, background: "rgba(255,255,255,0.2)" }} />
-          <div style={{ flex: 1, textAlign: "center" }}>
-            <div style={{ opacity: 0.7, fontSize: 11, marginBottom: 4 }}>Rotation</div>
-            <div style={{ fontWeight: 700, color: "#00CED1" }}>
-              {textureTransform.rotationDeg.toFixed(1)}°
+          {numericFields.map((field) => (
+            <Fragment key={field.id}>
+              <div style={{ flex: 1, textAlign: "center" }}>
+                <div style={{ opacity: 0.7, fontSize: 11, marginBottom: 4 }}>{field.label}</div>
+                <input
+                  key={`${selectedLayerId}-${field.id}-${field.value.toFixed(field.digits)}`}
+                  type="number"
+                  step={field.step}
+                  defaultValue={field.value.toFixed(field.digits)}
+                  disabled={!hasImage}
+                  onBlur={(e) => {
+                    const value = parseFloat(e.target.value);
+                    if (Number.isFinite(value) && value.toFixed(field.digits) !== field.value.toFixed(field.digits)) {
+                      field.onCommit(value);
+                    }
+                  }}
+                  onKeyDown={(e) => {
+                    if (e.key === "Enter") e.currentTarget.blur();
+                  }}
+                  style={{
+                    width: "100%",
+                    maxWidth: 72,
+                    boxSizing: "border-box",
+                    padding: 4,
+                    borderRadius: 4,
+                    border: "1px solid rgba(255,255,255,0.2)",
+                    background: "#333",
+                    color: "#00CED1",
+                    fontWeight: 700,
+                    fontSize: 12,
+                    textAlign: "center",
+                  }}
+                />
+              </div>
+              <div style={{ width: 1, height: 30, background: "rgba(255,255,255,0.2)" }} />
+            </Fragment>
+          ))}
+          <div
+            style={{ flex: 1, textAlign: "center" }}
+            title={
+              selectedDpi
+                ? `${Math.round(selectedDpi.dpiX)} × ${Math.round(selectedDpi.dpiY)} DPI - ${Math.round(selectedDpi.pixelsX)} × ${Math.round(selectedDpi.pixelsY)} source px on ${selectedDpi.printSize.width.toFixed(1)} × ${selectedDpi.printSize.height.toFixed(1)} cm`
+                : "Needs an image and a print size"
+            }
+          >
+            <div style={{ opacity: 0.7, fontSize: 11, marginBottom: 4 }}>Print DPI</div>
+            <div style={{ fontWeight: 700, color: dpiRating ? DPI_RATING_COLORS[dpiRating] : "#00CED1" }}>
+              {selectedDpi ? Math.round(selectedDpi.dpi) : "—"}
             </div>
           </div>
         </div>
 
+        {/* Fit modes + flips */}
+        <div
+          style={{
+            marginBottom: 8,
+            display: "flex",
+            alignItems: "center",
+            gap: 8,
+            fontSize: 11,
+          }}
+        >
+          <span style={{ opacity: 0.7 }}>Place</span>
+          {FIT_MODES.map((mode) => (
+            <button
+              key={mode.id}
+              onClick={() => applyFitMode(mode.id)}
+              disabled={!hasImage}
+              title={mode.title}
+              style={{
+                padding: "4px 8px",
+                border: 0,
+                borderRadius: 4,
+                background: "#666",
+                color: "white",
+                cursor: hasImage ? "pointer" : "not-allowed",
+                fontSize: 11,
+                fontWeight: 600,
+              }}
+            >
+              {mode.label}
+            </button>
+          ))}
+          <span style={{ marginLeft: "auto", opacity: 0.7 }}>Flip</span>
+          {[
+            { axis: "flipX", label: "↔ H", title: "Mirror horizontally" },
+            { axis: "flipY", label: "↕ V", title: "Mirror vertically" },
+          ].map((flip) => (
+            <button
+              key={flip.axis}
+              onClick={() => toggleFlip(flip.axis)}
+              disabled={!hasImage}
+              title={flip.title}
+              style={{
+                padding: "4px 8px",
+                border: 0,
+                borderRadius: 4,
+                background: hasImage && textureTransform[flip.axis] ? "#00CED1" : "#666",
+                color: "white",
+                cursor: hasImage ? "pointer" : "not-allowed",
+                fontSize: 11,
+                fontWeight: 600,
+              }}
+            >
+              {flip.label}
+            </button>
+          ))}
+        </div>
+
+        {/* Transform Options */}
+        <div
+          style={{
+            marginBottom: 20,
+            display: "flex",
+            alignItems: "center",
+            gap: 8,
+            fontSize: 11,
+          }}
+        >
+          <label style={{ display: "flex", alignItems: "center", gap: 6, cursor: "pointer" }}>
+            <input type="checkbox" checked={lockAspect} onChange={(e) => setLockAspect(e.target.checked)} />
+            Lock aspect
+          </label>
+          <span style={{ marginLeft: "auto", opacity: 0.7 }}>Rotate to</span>
+          {SNAP_ANGLES.map((angle) => (
+            <button
+              key={angle}
+              onClick={() => updateTransform({ rotationDeg: angle })}
+              disabled={!hasImage}
+              style={{
+                padding: "4px 8px",
+                border: 0,
+                borderRadius: 4,
+                background: hasImage && Math.abs(textureTransform.rotationDeg - angle) < 0.05 ? "#00CED1" : "#666",
+                color: "white",
+                cursor: hasImage ? "pointer" : "not-allowed",
+                fontSize: 11,
+                fontWeight: 600,
+              }}
+            >
+              {angle}°
+            </button>
+          ))}
+        </div>
+
+        {/* Resolution Warning */}
+        {dpiRating === "low" && (
+          <div
+            style={{
+              marginTop: -8,
+              marginBottom: 20,
+              padding: 8,
+              borderRadius: 4,
+              border: `1px solid ${isBlockedByDpi ? "#F44336" : "#FFA726"}`,
+              background: isBlockedByDpi ? "rgba(244, 67, 54, 0.15)" : "rgba(255, 167, 38, 0.15)",
+              fontSize: 11,
+              lineHeight: 1.5,
+            }}
+          >
+            ⚠ {Math.round(selectedDpi.dpi)} DPI is below the {PRINT_RESOLUTION.minimumDpi} DPI minimum for a{" "}
+            {selectedDpi.printSize.width.toFixed(1)} × {selectedDpi.printSize.height.toFixed(1)} cm print - zoom out, use a larger image or a
+            smaller print size.{isBlockedByDpi && " Applying is disabled until then."}
+          </div>
+        )}
+
         {/* Canvas Container */}
         <div
           style={{
             position: "relative",
             width: "100%",
-            aspectRatio: "3/2",
+            aspectRatio: `${canvasSize.width}/${canvasSize.height}`,
             marginBottom: 20,
             border: "2px solid rgba(255,255,255,0.2)",
             borderRadius: 8,
@@ -688,72 +1953,214 @@ export default function TextureTransformModal({
         >
           <canvas
             ref={canvasRef}
-            width={500}
-            height={333}
+            width={canvasSize.width}
+            height={canvasSize.height}
             style={{
               width: "100%",
               height: "100%",
               display: "block",
-              cursor: isDragging === 'pan' ? 'grabbing' : isDragging?.startsWith('corner') ? 'nwse-resize' : isDragging?.startsWith('edge') ? (isDragging.includes('top') || isDragging.includes('bottom') ? 'ns-resize' : 'ew-resize') : isDragging === 'rotate' ? 'grab' : 'default',
+              touchAction: "none", // No page scroll / browser zoom while manipulating
+              cursor: isDragging === 'pan' || isDragging === 'gesture' ? 'grabbing' : isDragging?.startsWith('corner') ? 'nwse-resize' : isDragging?.startsWith('edge') ? (isDragging.includes('top') || isDragging.includes('bottom') ? 'ns-resize' : 'ew-resize') : isDragging === 'rotate' ? 'grab' : 'default',
             }}
-            onMouseDown={(e) => {
-              const canvas = canvasRef.current;
-              const rect = canvas?.getBoundingClientRect();
-              if (!rect || !canvas) return;
-
-              // Convert display coordinates to canvas pixel coordinates
-              const scaleX = canvas.width / rect.width;
-              const scaleY = canvas.height / rect.height;
-              const x = (e.clientX - rect.left) * scaleX;
-              const y = (e.clientY - rect.top) * scaleY;
-
-              // Check if clicking on handles
-              const sel = selectionRectRef.current;
-              const handleSize = 12;
-              const edgeHandleSize = 8;
-
-              // Check corner handles
-              const corners = [
-                { x: sel.x, y: sel.y, type: 'corner-tl' },
-                { x: sel.x + sel.width, y: sel.y, type: 'corner-tr' },
-                { x: sel.x, y: sel.y + sel.height, type: 'corner-bl' },
-                { x: sel.x + sel.width, y: sel.y + sel.height, type: 'corner-br' },
-              ];
-
-              for (const corner of corners) {
-                if (Math.abs(x - corner.x) < handleSize && Math.abs(y - corner.y) < handleSize) {
-                  handleMouseDown(e, corner.type);
-                  return;
-                }
-              }
-
-              // Check edge handles
-              const edges = [
-                { x: sel.x + sel.width / 2, y: sel.y, type: 'edge-top', check: (x, y) => Math.abs(x - (sel.x + sel.width / 2)) < sel.width / 2 && Math.abs(y - sel.y) < edgeHandleSize },
-                { x: sel.x + sel.width / 2, y: sel.y + sel.height, type: 'edge-bottom', check: (x, y) => Math.abs(x - (sel.x + sel.width / 2)) < sel.width / 2 && Math.abs(y - (sel.y + sel.height)) < edgeHandleSize },
-                { x: sel.x, y: sel.y + sel.height / 2, type: 'edge-left', check: (x, y) => Math.abs(x - sel.x) < edgeHandleSize && Math.abs(y - (sel.y + sel.height / 2)) < sel.height / 2 },
-                { x: sel.x + sel.width, y: sel.y + sel.height / 2, type: 'edge-right', check: (x, y) => Math.abs(x - (sel.x + sel.width)) < edgeHandleSize && Math.abs(y - (sel.y + sel.height / 2)) < sel.height / 2 },
-              ];
-
-              for (const edge of edges) {
-                if (edge.check(x, y)) {
-                  handleMouseDown(e, edge.type);
-                  return;
-                }
-              }
-
-              // Check rotation handle
-              const rotX = sel.x + sel.width / 2;
-              const rotY = sel.y - 30;
-              if (Math.abs(x - rotX) < 15 && Math.abs(y - rotY) < 15) {
-                handleMouseDown(e, 'rotate');
-                return;
-              }
-
-              // Default: pan
-              handleMouseDown(e, 'pan');
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={handlePointerUp}
+          />
+          {!hasImage && (
+            <div style={{
+              position: "absolute",
+              inset: 0,
+              display: "flex",
+              alignItems: "center",
+              justifyContent: "center",
+              fontSize: 12,
+              opacity: 0.7,
+              pointerEvents: "none",
+            }}>
+              No artwork on this layer yet - apply one from the Artwork Gallery first.
+            </div>
+          )}
+        </div>
+
+        {/* Image Adjustments */}
+        <div style={{ marginBottom: 20, fontSize: 12 }}>
+          <button
+            onClick={() => setShowAdjustments(!showAdjustments)}
+            style={{
+              width: "100%",
+              padding: 10,
+              border: 0,
+              borderRadius: 6,
+              background: showAdjustments ? "#555" : "#444",
+              color: "white",
+              cursor: "pointer",
+              fontWeight: 700,
+              display: "flex",
+              justifyContent: "space-between",
+              alignItems: "center",
+            }}
+          >
+            <span>Adjustments{!isNeutralAdjustments(adjustments) && " (edited)"}</span>
+            <span>{showAdjustments ? "−" : "+"}</span>
+          </button>
+
+          {showAdjustments && (
+            <div style={{ marginTop: 10 }}>
+              {ADJUSTMENT_CONTROLS.map((control) => (
+                <label
+                  key={control.key}
+                  style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 6 }}
+                  onDoubleClick={() => changeAdjustment(control.key, 0)}
+                  title="Double-click to reset"
+                >
+                  <span style={{ width: 80, opacity: 0.7 }}>{control.label}</span>
+                  <input
+                    type="range"
+                    min={control.min}
+                    max={control.max}
+                    step={control.step}
+                    value={adjustments[control.key]}
+                    disabled={!hasImage}
+                    onChange={(e) => changeAdjustment(control.key, parseFloat(e.target.value))}
+                    style={{ flex: 1 }}
+                  />
+                  <span style={{ width: 56, textAlign: "right", fontFamily: "monospace" }}>
+                    {adjustments[control.key] > 0 && control.min < 0 ? "+" : ""}
+                    {control.step < 1 ? adjustments[control.key].toFixed(2) : adjustments[control.key]}
+                    {control.unit && ` ${control.unit}`}
+                  </span>
+                </label>
+              ))}
+              <div style={{ display: "flex", gap: 8, marginTop: 8 }}>
+                <button
+                  onClick={() => setShowOriginal(!showOriginal)}
+                  disabled={!hasImage}
+                  style={{
+                    flex: 1,
+                    padding: 8,
+                    border: 0,
+                    borderRadius: 4,
+                    background: showOriginal ? "#FF9800" : "#666",
+                    color: "white",
+                    cursor: "pointer",
+                    fontSize: 11,
+                    fontWeight: 600,
+                  }}
+                >
+                  {showOriginal ? "Showing before - click for after" : "Showing after - click for before"}
+                </button>
+                <button
+                  onClick={resetAdjustments}
+                  disabled={!hasImage}
+                  style={{
+                    flex: 1,
+                    padding: 8,
+                    border: 0,
+                    borderRadius: 4,
+                    background: "#666",
+                    color: "white",
+                    cursor: "pointer",
+                    fontSize: 11,
+                    fontWeight: 600,
+                  }}
+                >
+                  Reset Adjustments
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+
+        {/* Output */}
+        <div style={{ marginBottom: 12, fontSize: 12 }}>
+          <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+            <span style={{ opacity: 0.7 }}>Texture size</span>
+            <select
+              value={textureSize}
+              onChange={(e) => setTextureSize(e.target.value === "auto" ? "auto" : Number(e.target.value))}
+              title="Long side of the texture put on the model"
+              style={{
+                padding: 6,
+                borderRadius: 4,
+                border: "1px solid rgba(255,255,255,0.2)",
+                background: "#333",
+                color: "white",
+                fontSize: 12,
+              }}
+            >
+              <option value="auto">Auto (source detail)</option>
+              {TEXTURE_SIZE_OPTIONS.map((size) => (
+                <option key={size} value={size} disabled={size > maxTextureSize}>
+                  {size} px{size > maxTextureSize ? " (above GPU limit)" : ""}
+                </option>
+              ))}
+            </select>
+            {outputSize && (
+              <span style={{ marginLeft: "auto", opacity: 0.7 }}>
+                {outputSize.width} × {outputSize.height} px
+              </span>
+            )}
+          </div>
+          <div style={{ marginTop: 4, fontSize: 11, opacity: 0.6 }}>
+            GPU limit {maxTextureSize} px • The print file is exported at the full source resolution
+          </div>
+        </div>
+
+        {/* Crop Recipe */}
+        <div style={{ marginBottom: 20, fontSize: 12 }}>
+          <input
+            ref={recipeInputRef}
+            type="file"
+            accept="application/json,.json"
+            style={{ display: "none" }}
+            onChange={(e) => {
+              importCropRecipe(e.target.files?.[0]);
+              e.target.value = ""; // Allow importing the same file again
             }}
           />
+          <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+            <span style={{ opacity: 0.7 }}>Crop recipe</span>
+            <button
+              onClick={exportCropRecipe}
+              disabled={!hasImage}
+              style={{
+                flex: 1,
+                padding: 8,
+                border: 0,
+                borderRadius: 4,
+                background: "#666",
+                color: "white",
+                cursor: hasImage ? "pointer" : "not-allowed",
+                fontSize: 11,
+                fontWeight: 600,
+              }}
+            >
+              Export Recipe
+            </button>
+            <button
+              onClick={() => recipeInputRef.current?.click()}
+              disabled={!hasImage}
+              style={{
+                flex: 1,
+                padding: 8,
+                border: 0,
+                borderRadius: 4,
+                background: "#666",
+                color: "white",
+                cursor: hasImage ? "pointer" : "not-allowed",
+                fontSize: 11,
+                fontWeight: 600,
+              }}
+            >
+              Import Recipe…
+            </button>
+          </div>
+          {recipeMessage && (
+            <div style={{ marginTop: 6, fontSize: 11, color: recipeMessage.type === "error" ? "#F44336" : "inherit", opacity: recipeMessage.type === "error" ? 1 : 0.7 }}>
+              {recipeMessage.text}
+            </div>
+          )}
         </div>
 
         {/* Action Buttons */}
@@ -791,7 +2198,8 @@ export default function TextureTransformModal({
             Cancel
           </button>
           <button
-            onClick={applyTextureTransformToAllLayers}
+            onClick={applyTextureTransformToLayers}
+            disabled={!hasImage || isApplying || isBlockedByDpi}
             style={{
               flex: 1,
               padding: 12,
@@ -799,12 +2207,13 @@ export default function TextureTransformModal({
               borderRadius: 6,
               background: "#4CAF50",
               color: "white",
-              cursor: "pointer",
+              cursor: !hasImage || isApplying || isBlockedByDpi ? "not-allowed" : "pointer",
+              opacity: !hasImage || isApplying || isBlockedByDpi ? 0.6 : 1,
               fontWeight: 600,
               fontSize: 13,
             }}
           >
-            Confirm & Apply
+            {isApplying ? "Applying…" : "Confirm & Apply"}
           </button>
         </div>
       </div>
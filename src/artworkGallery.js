@@ -0,0 +1,92 @@
+/**
+ * Artwork gallery manifest loading.
+ *
+ * The manifest lives at `public/assets/frames/artworks.json` and lists the images offered
+ * in the Artwork Gallery (any number of them):
+ *
+ * ```json
+ * {
+ *   "artworks": [
+ *     {
+ *       "id": "image1",
+ *       "name": "Image 1",
+ *       "path": "/assets/frames/image1.jpg",
+ *       "thumbnail": "/assets/frames/thumbnails/image1.jpg"
+ *     }
+ *   ]
+ * }
+ * ```
+ *
+ * Only `path` is required. Without a `thumbnail` the strip shows the full image scaled down.
+ * Images the user uploads are added to the same list at runtime (see createUploadedArtwork).
+ */
+
+export const ARTWORK_MANIFEST_PATH = "/assets/frames/artworks.json";
+
+let nextUploadId = 0;
+
+// Validate one manifest entry; returns null for entries that cannot be loaded
+function normalizeArtworkEntry(entry, index) {
+  if (!entry || typeof entry.path !== "string" || !entry.path) {
+    console.warn(`Artwork manifest entry ${index} has no "path" - skipping`);
+    return null;
+  }
+
+  const fileName = entry.path.split("/").pop();
+
+  return {
+    id: entry.id || fileName,
+    name: entry.name || fileName,
+    path: entry.path,
+    thumbnail: entry.thumbnail || entry.path,
+    origin: "manifest",
+    file: null,
+  };
+}
+
+/**
+ * Fetch and normalize the artwork manifest.
+ *
+ * @param {string} url - Manifest URL (default: ARTWORK_MANIFEST_PATH)
+ * @returns {Promise<Array>} Normalized artworks { id, name, path, thumbnail, origin: "manifest", file: null }
+ */
+export async function fetchArtworkManifest(url = ARTWORK_MANIFEST_PATH) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load artwork manifest: ${url} (${response.status})`);
+  }
+
+  const manifest = await response.json();
+  const entries = Array.isArray(manifest?.artworks) ? manifest.artworks : [];
+  return entries.map(normalizeArtworkEntry).filter(Boolean);
+}
+
+/**
+ * Gallery entry for an image file the user uploaded. The object URL serves as both path and
+ * thumbnail; revoke it with releaseArtwork() when the entry is removed.
+ *
+ * @param {File} file - Image file
+ * @returns {Object} Artwork { id, name, path, thumbnail, origin: "upload", file }
+ */
+export function createUploadedArtwork(file) {
+  const url = URL.createObjectURL(file);
+  return {
+    id: `upload-${nextUploadId++}`,
+    name: file.name || "pasted-image",
+    path: url,
+    thumbnail: url,
+    origin: "upload",
+    file,
+  };
+}
+
+/**
+ * Free what a gallery entry holds outside the texture cache (the object URL of uploads).
+ *
+ * @param {Object} artwork - Gallery entry
+ */
+export function releaseArtwork(artwork) {
+  if (artwork?.origin === "upload") {
+    URL.revokeObjectURL(artwork.path);
+  }
+}
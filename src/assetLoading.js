@@ -0,0 +1,76 @@
+/**
+ * Asset download helpers with byte progress and cancellation.
+ *
+ * three.js loaders (r160) report progress only for some transports and cannot be aborted,
+ * so the viewer downloads model/HDRI/texture bytes itself and hands them to the loaders.
+ */
+
+/**
+ * Fetch a URL into an ArrayBuffer, reporting byte progress.
+ *
+ * @param {string} url - Asset URL (http(s), blob: or data:)
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Abort signal; aborting rejects with an AbortError
+ * @param {Function} options.onProgress - Called with (loadedBytes, totalBytes); totalBytes is 0 when unknown
+ * @returns {Promise<ArrayBuffer>}
+ */
+export async function fetchWithProgress(url, { signal, onProgress } = {}) {
+  const response = await fetch(url, { signal });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} while loading ${url}`);
+  }
+
+  // Compressed responses report the encoded size, which would overshoot the decoded byte count
+  const encoded = response.headers.get("content-encoding");
+  const total = encoded ? 0 : parseInt(response.headers.get("content-length") || "0", 10) || 0;
+
+  if (!response.body || !response.body.getReader) {
+    const buffer = await response.arrayBuffer();
+    if (onProgress) onProgress(buffer.byteLength, buffer.byteLength);
+    return buffer;
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    loaded += value.byteLength;
+    if (onProgress) onProgress(loaded, total);
+  }
+
+  const bytes = new Uint8Array(loaded);
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  });
+  if (onProgress) onProgress(loaded, loaded);
+  return bytes.buffer;
+}
+
+/**
+ * Whether an error came from aborting a fetch (user cancelled).
+ *
+ * @param {Error} err
+ * @returns {boolean}
+ */
+export function isAbortError(err) {
+  return err?.name === "AbortError";
+}
+
+/**
+ * Human-readable byte count ("1.4 MB").
+ *
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatBytes(bytes) {
+  if (!bytes) return "0 B";
+  const units = ["B", "KB", "MB", "GB"];
+  const exponent = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+  const value = bytes / Math.pow(1024, exponent);
+  return `${value.toFixed(exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+}
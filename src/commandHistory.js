@@ -0,0 +1,143 @@
+/**
+ * Undo / redo history of viewer commands.
+ *
+ * Every command is recorded after it ran, as a pair of functions that put the viewer back into
+ * the state before (undo) and after (redo) it:
+ *
+ * ```js
+ * history.push({
+ *   label: "Exposure 1.20",
+ *   targets: [],                // What the command touched ("Frame [0]"), shown in the history list
+ *   mergeKey: "lighting:exposure",
+ *   textures: [before, after],  // Textures the entry keeps alive (released when it is trimmed)
+ *   undo: () => applyLighting(before),
+ *   redo: () => applyLighting(after),
+ * });
+ * ```
+ *
+ * Commands with the same mergeKey pushed within MERGE_WINDOW_MS of each other become one entry
+ * (a slider drag, one artwork applied to several layers), so a single undo reverts all of them.
+ * Entries that fall off the end of the history (limit, new command after undo, clear) are passed
+ * to onDiscard so the caller can free what only they still reference.
+ */
+
+export const HISTORY_LIMIT = 50;
+export const MERGE_WINDOW_MS = 1000;
+
+// One entry running both commands: undo reverts the newer one first, redo replays the older one first
+function mergeEntries(older, newer, time) {
+  return {
+    ...older,
+    label: newer.label,
+    targets: [...new Set([...older.targets, ...newer.targets])],
+    textures: [...older.textures, ...newer.textures],
+    time,
+    undo: () => {
+      newer.undo();
+      older.undo();
+    },
+    redo: () => {
+      older.redo();
+      newer.redo();
+    },
+  };
+}
+
+/**
+ * Create an undo / redo history.
+ *
+ * @param {Object} options
+ * @param {number} options.limit - Maximum number of entries kept (default: HISTORY_LIMIT)
+ * @param {number} options.mergeWindowMs - Time within which commands with the same mergeKey merge
+ * @param {Function} options.onChange - Called with { entries, index } after every change; entries
+ *   before index are applied, the rest were undone and can be redone
+ * @param {Function} options.onDiscard - Called with (discardedEntries, remainingEntries) when entries
+ *   are dropped for good
+ * @returns {{ push: Function, undo: Function, redo: Function, goTo: Function, clear: Function,
+ *   getState: Function }}
+ */
+export function createCommandHistory({ limit = HISTORY_LIMIT, mergeWindowMs = MERGE_WINDOW_MS, onChange, onDiscard } = {}) {
+  let entries = [];
+  let index = 0;
+  let nextId = 0;
+
+  const getState = () => ({ entries, index, canUndo: index > 0, canRedo: index < entries.length });
+
+  const update = (nextEntries, nextIndex, discarded = []) => {
+    entries = nextEntries;
+    index = nextIndex;
+    if (discarded.length > 0 && onDiscard) onDiscard(discarded, entries);
+    if (onChange) onChange(getState());
+  };
+
+  return {
+    getState,
+
+    /**
+     * Record a command that already ran. Undone entries are discarded (no redo after a new command).
+     *
+     * @param {Object} command - { label, targets?, mergeKey?, textures?, undo, redo }
+     */
+    push(command) {
+      const time = Date.now();
+      const entry = {
+        id: nextId++,
+        label: command.label,
+        targets: command.targets || [],
+        mergeKey: command.mergeKey || null,
+        textures: command.textures || [],
+        time,
+        undo: command.undo,
+        redo: command.redo,
+      };
+
+      const discarded = entries.slice(index);
+      const kept = entries.slice(0, index);
+      const last = kept[kept.length - 1];
+
+      if (discarded.length === 0 && last && entry.mergeKey && last.mergeKey === entry.mergeKey && time - last.time <= mergeWindowMs) {
+        kept[kept.length - 1] = mergeEntries(last, entry, time);
+      } else {
+        kept.push(entry);
+      }
+
+      while (kept.length > limit) discarded.push(kept.shift());
+      update(kept, kept.length, discarded);
+    },
+
+    /** Revert the newest applied entry. @returns {boolean} Whether there was one */
+    undo() {
+      if (index === 0) return false;
+      entries[index - 1].undo();
+      update(entries, index - 1);
+      return true;
+    },
+
+    /** Re-apply the oldest undone entry. @returns {boolean} Whether there was one */
+    redo() {
+      if (index >= entries.length) return false;
+      entries[index].redo();
+      update(entries, index + 1);
+      return true;
+    },
+
+    /**
+     * Undo or redo until `target` entries are applied (0 = everything undone).
+     *
+     * @param {number} target - Number of entries to leave applied
+     */
+    goTo(target) {
+      const clamped = Math.max(0, Math.min(entries.length, target));
+      let next = index;
+      while (next > clamped) entries[--next].undo();
+      while (next < clamped) entries[next++].redo();
+      if (next !== index) update(entries, next);
+    },
+
+    /** Drop every entry (a new model was loaded). */
+    clear() {
+      if (entries.length === 0) return;
+      update([], 0, entries);
+    },
+  };
+}
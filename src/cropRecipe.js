@@ -0,0 +1,203 @@
+import { DEFAULT_ADJUSTMENTS, ADJUSTMENT_CONTROLS } from "./imageAdjustments.js";
+
+/**
+ * Crop recipes: a transform modal edit in coordinates that do not depend on the preview canvas,
+ * saved as JSON so a crop can be reproduced later on the same or another image / layer.
+ *
+ * ```json
+ * {
+ *   "type": "crop-recipe",
+ *   "version": 1,
+ *   "source": { "name": "photo.jpg", "width": 4000, "height": 3000 },
+ *   "crop": { "centerX": 0.52, "centerY": 0.47, "width": 0.6, "height": 0.45, "stretch": 1, "rotationDeg": 0, "flipX": false, "flipY": false, "aspect": 1.5 },
+ *   "layout": { "aspectPreset": null, "cropToUvBounds": false, "outputAspect": 1.5 },
+ *   "adjustments": { "exposure": 0.3, "contrast": 10, "saturation": 0, "temperature": -5, "tint": 0, "sharpen": 20 }
+ * }
+ * ```
+ *
+ * `crop` describes the dashed crop box in the unrotated source image: its center and size as
+ * fractions of the image width / height, the image rotation and the box aspect. `stretch` is
+ * the vertical / horizontal image scale (1 unless an edge handle stretched the image), `flipX` /
+ * `flipY` mirror the image (the center stays in unflipped image coordinates). Applying a
+ * recipe keeps center, width, rotation and stretch; the height follows the target's crop box, so
+ * a recipe also fits an image or layer with a different aspect.
+ */
+
+export const CROP_RECIPE_VERSION = 1;
+
+const RECIPE_TYPE = "crop-recipe";
+
+// localStorage key prefix of the recipes last applied per model and layer
+const STORAGE_PREFIX = "cropRecipe:";
+
+/**
+ * Build a recipe from an edit. The crop box is the dashed box the image is cropped to, in the
+ * same canvas coordinates as the transform.
+ *
+ * @param {Object} edit - { transform, baseScale, adjustments }
+ * @param {Object} context
+ * @param {{ x, y, width, height }} context.cropBox - Dashed crop box
+ * @param {{ name: string, width: number, height: number }} context.source - Source image
+ * @param {Object} context.layout - { aspectPreset, cropToUvBounds, outputAspect }
+ * @returns {Object} Recipe
+ */
+export function createCropRecipe(edit, { cropBox, source, layout }) {
+  const { transform, baseScale } = edit;
+  const renderScaleX = baseScale * transform.scaleX;
+  const renderScaleY = baseScale * transform.scaleY;
+
+  // Crop box center in image pixels, relative to the image center (undo translate, rotate, scale)
+  const angle = (transform.rotationDeg * Math.PI) / 180;
+  const dx = cropBox.x + cropBox.width / 2 - transform.translateX;
+  const dy = cropBox.y + cropBox.height / 2 - transform.translateY;
+  const localX = ((dx * Math.cos(angle) + dy * Math.sin(angle)) / renderScaleX) * (transform.flipX ? -1 : 1);
+  const localY = ((-dx * Math.sin(angle) + dy * Math.cos(angle)) / renderScaleY) * (transform.flipY ? -1 : 1);
+
+  return {
+    type: RECIPE_TYPE,
+    version: CROP_RECIPE_VERSION,
+    source: { name: source.name || "", width: source.width, height: source.height },
+    crop: {
+      centerX: localX / source.width + 0.5,
+      centerY: localY / source.height + 0.5,
+      width: cropBox.width / renderScaleX / source.width,
+      height: cropBox.height / renderScaleY / source.height,
+      stretch: transform.scaleY / transform.scaleX,
+      rotationDeg: transform.rotationDeg,
+      flipX: !!transform.flipX,
+      flipY: !!transform.flipY,
+      aspect: cropBox.width / cropBox.height,
+    },
+    layout: {
+      aspectPreset: layout.aspectPreset || null,
+      cropToUvBounds: !!layout.cropToUvBounds,
+      outputAspect: layout.outputAspect || null,
+    },
+    adjustments: { ...DEFAULT_ADJUSTMENTS, ...edit.adjustments },
+  };
+}
+
+/**
+ * Transform that reproduces a recipe's crop on an image and crop box.
+ *
+ * @param {Object} recipe - Result of createCropRecipe() / parseCropRecipe()
+ * @param {Object} target
+ * @param {number} target.imageWidth - Natural width of the image to crop
+ * @param {number} target.imageHeight - Natural height of the image to crop
+ * @param {{ x, y, width, height }} target.cropBox - Dashed crop box
+ * @param {number} target.baseScale - Fit scale the transform's scaleX / scaleY are relative to
+ * @returns {{ translateX, translateY, scaleX, scaleY, rotationDeg, flipX, flipY }}
+ */
+export function getTransformFromRecipe(recipe, { imageWidth, imageHeight, cropBox, baseScale }) {
+  const { centerX, centerY, width, stretch, rotationDeg, flipX = false, flipY = false } = recipe.crop;
+  const renderScaleX = cropBox.width / (width * imageWidth);
+  const renderScaleY = renderScaleX * stretch;
+
+  // Image center = crop box center minus the rotated, scaled offset of the crop center
+  const angle = (rotationDeg * Math.PI) / 180;
+  const offsetX = (centerX - 0.5) * imageWidth * renderScaleX * (flipX ? -1 : 1);
+  const offsetY = (centerY - 0.5) * imageHeight * renderScaleY * (flipY ? -1 : 1);
+
+  return {
+    translateX: cropBox.x + cropBox.width / 2 - (offsetX * Math.cos(angle) - offsetY * Math.sin(angle)),
+    translateY: cropBox.y + cropBox.height / 2 - (offsetX * Math.sin(angle) + offsetY * Math.cos(angle)),
+    scaleX: renderScaleX / baseScale,
+    scaleY: renderScaleY / baseScale,
+    rotationDeg,
+    flipX,
+    flipY,
+  };
+}
+
+/**
+ * Parse and validate recipe JSON.
+ *
+ * @param {string|Object} json - Recipe JSON text or parsed object
+ * @returns {Object} Recipe
+ * @throws {Error} When the JSON is not a usable crop recipe
+ */
+export function parseCropRecipe(json) {
+  const recipe = typeof json === "string" ? JSON.parse(json) : json;
+  if (recipe?.type !== RECIPE_TYPE) {
+    throw new Error('Not a crop recipe (expected "type": "crop-recipe")');
+  }
+  if (recipe.version > CROP_RECIPE_VERSION) {
+    throw new Error(`Crop recipe version ${recipe.version} is newer than supported (${CROP_RECIPE_VERSION})`);
+  }
+
+  const crop = recipe.crop || {};
+  ["centerX", "centerY", "width", "stretch", "rotationDeg"].forEach((key) => {
+    if (!Number.isFinite(crop[key])) throw new Error(`Crop recipe has no valid crop.${key}`);
+  });
+  if (!(crop.width > 0) || !(crop.stretch > 0)) {
+    throw new Error("Crop recipe crop.width and crop.stretch must be positive");
+  }
+
+  // Unknown or missing adjustments fall back to neutral
+  const adjustments = { ...DEFAULT_ADJUSTMENTS };
+  ADJUSTMENT_CONTROLS.forEach(({ key, min, max }) => {
+    const value = recipe.adjustments?.[key];
+    if (Number.isFinite(value)) adjustments[key] = Math.min(max, Math.max(min, value));
+  });
+
+  return {
+    type: RECIPE_TYPE,
+    version: recipe.version || CROP_RECIPE_VERSION,
+    source: { name: "", width: null, height: null, ...recipe.source },
+    crop: { ...crop, flipX: !!crop.flipX, flipY: !!crop.flipY },
+    layout: { aspectPreset: null, cropToUvBounds: false, outputAspect: null, ...recipe.layout },
+    adjustments,
+  };
+}
+
+/**
+ * Download a recipe as a JSON file.
+ *
+ * @param {Object} recipe
+ * @param {string} baseName - File name without extension (default: from the source image name)
+ */
+export function downloadCropRecipe(recipe, baseName = null) {
+  const name = (baseName || recipe.source.name || "artwork").replace(/\.[^.]+$/, "").replace(/[^\w-]+/g, "_");
+  const blob = new Blob([JSON.stringify(recipe, null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `${name}-crop.json`;
+  document.body.appendChild(link);
+  link.click();
+
+  // Cleanup
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Remember the recipe last applied to a layer, so the crop survives a page reload.
+ *
+ * @param {string} key - Model and layer, e.g. "Frame 60x40:Mesh_1[0]"
+ * @param {Object} recipe
+ */
+export function storeCropRecipe(key, recipe) {
+  try {
+    localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(recipe));
+  } catch (err) {
+    // Storage disabled or full - the recipe only lasts for this session
+    console.warn(`Could not store the crop recipe for ${key}:`, err);
+  }
+}
+
+/**
+ * The recipe stored for a layer with storeCropRecipe().
+ *
+ * @param {string} key - Model and layer
+ * @returns {Object|null} Recipe, or null when none is stored or it is unusable
+ */
+export function loadStoredCropRecipe(key) {
+  try {
+    const json = localStorage.getItem(STORAGE_PREFIX + key);
+    return json ? parseCropRecipe(json) : null;
+  } catch (err) {
+    console.warn(`Ignoring the stored crop recipe for ${key}:`, err);
+    return null;
+  }
+}
@@ -0,0 +1,70 @@
+import { GLTFLoader } from "three/addons/loaders/GLTFLoader.js";
+import { DRACOLoader } from "three/addons/loaders/DRACOLoader.js";
+import { KTX2Loader } from "three/addons/loaders/KTX2Loader.js";
+import { MeshoptDecoder } from "three/addons/libs/meshopt_decoder.module.js";
+
+/**
+ * glTF loader setup with support for compressed assets:
+ * - KHR_draco_mesh_compression (DRACOLoader)
+ * - EXT_meshopt_compression (MeshoptDecoder, bundled)
+ * - KHR_texture_basisu (KTX2Loader)
+ *
+ * The Draco decoder and Basis transcoder are served from public/ so loading works offline.
+ * They are copies of three/examples/jsm/libs/draco/gltf and three/examples/jsm/libs/basis -
+ * refresh them when upgrading three.
+ */
+
+export const DRACO_DECODER_PATH = "/assets/decoders/draco/";
+export const BASIS_TRANSCODER_PATH = "/assets/decoders/basis/";
+
+/**
+ * Create the decoders shared by every model load. Create once per renderer (KTX2 loaders need it
+ * to detect supported GPU formats) and dispose with it.
+ *
+ * The Draco loader is shared. KTX2 loaders are created per load by createGltfLoader: they fetch
+ * their textures through the load's manager, and a shared one would route an earlier, still
+ * running load's requests through the newest load's manager.
+ *
+ * @param {THREE.WebGLRenderer} renderer - Renderer used for KTX2 format detection
+ * @returns {{ dracoLoader: DRACOLoader, renderer: THREE.WebGLRenderer, dispose: Function }}
+ */
+export function createDecoderLoaders(renderer) {
+  const dracoLoader = new DRACOLoader().setDecoderPath(DRACO_DECODER_PATH);
+
+  return {
+    dracoLoader,
+    renderer,
+    dispose: () => {
+      dracoLoader.dispose();
+    },
+  };
+}
+
+/**
+ * Create a GLTFLoader wired up with the shared decoders and a KTX2 loader of its own. Release it
+ * with disposeGltfLoader() once the load finished.
+ *
+ * @param {THREE.LoadingManager} manager - Manager for this load (URL modifiers apply to KTX2 textures too)
+ * @param {Object} decoders - Result of createDecoderLoaders()
+ * @returns {GLTFLoader}
+ */
+export function createGltfLoader(manager, decoders) {
+  const loader = new GLTFLoader(manager);
+  if (decoders) {
+    // KTX2 textures are fetched by the KTX2Loader itself, so it must resolve URLs through the same manager
+    const ktx2Loader = new KTX2Loader(manager).setTranscoderPath(BASIS_TRANSCODER_PATH).detectSupport(decoders.renderer);
+    loader.setDRACOLoader(decoders.dracoLoader);
+    loader.setKTX2Loader(ktx2Loader);
+  }
+  loader.setMeshoptDecoder(MeshoptDecoder);
+  return loader;
+}
+
+/**
+ * Free the per-load KTX2 loader (its transcoder workers) of a loader from createGltfLoader().
+ *
+ * @param {GLTFLoader} loader
+ */
+export function disposeGltfLoader(loader) {
+  if (loader?.ktx2Loader) loader.ktx2Loader.dispose();
+}
@@ -0,0 +1,204 @@
+/**
+ * Photo adjustments for artwork in the transform modal: exposure, contrast, saturation,
+ * white balance (temperature / tint) and sharpening.
+ *
+ * Adjustments work on canvas ImageData so the same code adjusts the preview canvas and the
+ * full-resolution export. Exposure and white balance scale linear light; contrast and
+ * saturation work on the sRGB values, like the matching sliders in photo editors.
+ *
+ * Sharpening is defined on the preview canvas: its radius is one preview pixel. Other outputs
+ * pass their pixels per preview pixel (`pixelScale`) so the radius grows with them and a 4096px
+ * texture or a print file looks as sharpened as the preview did.
+ */
+
+// Slider definitions, in the order they are shown
+export const ADJUSTMENT_CONTROLS = [
+  { key: "exposure", label: "Exposure", min: -2, max: 2, step: 0.05, unit: "EV" },
+  { key: "contrast", label: "Contrast", min: -100, max: 100, step: 1, unit: "" },
+  { key: "saturation", label: "Saturation", min: -100, max: 100, step: 1, unit: "" },
+  { key: "temperature", label: "Temperature", min: -100, max: 100, step: 1, unit: "" },
+  { key: "tint", label: "Tint", min: -100, max: 100, step: 1, unit: "" },
+  { key: "sharpen", label: "Sharpen", min: 0, max: 100, step: 1, unit: "" },
+];
+
+export const DEFAULT_ADJUSTMENTS = Object.freeze(
+  Object.fromEntries(ADJUSTMENT_CONTROLS.map((control) => [control.key, 0]))
+);
+
+// Channel gain at full temperature / tint (±100)
+const WHITE_BALANCE_RANGE = 0.25;
+
+// Unsharp mask strength at sharpen 100
+const MAX_SHARPEN_AMOUNT = 1.5;
+
+/**
+ * Whether the adjustments leave the image unchanged.
+ *
+ * @param {Object|null} adjustments - { exposure, contrast, saturation, temperature, tint, sharpen }
+ * @returns {boolean}
+ */
+export function isNeutralAdjustments(adjustments) {
+  return !adjustments || ADJUSTMENT_CONTROLS.every(({ key }) => !adjustments[key]);
+}
+
+const srgbToLinear = (c) => (c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4));
+const linearToSrgb = (c) => (c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055);
+
+// 0..255 lookup table per channel for exposure, white balance and contrast
+function buildChannelLuts({ exposure = 0, contrast = 0, temperature = 0, tint = 0 }) {
+  const exposureGain = Math.pow(2, exposure);
+  const warm = (temperature / 100) * WHITE_BALANCE_RANGE;
+  const magenta = (tint / 100) * WHITE_BALANCE_RANGE;
+  const gains = [exposureGain * (1 + warm), exposureGain * (1 - magenta), exposureGain * (1 - warm)];
+  const contrastFactor = 1 + contrast / 100;
+
+  return gains.map((gain) => {
+    const lut = new Uint8ClampedArray(256);
+    for (let i = 0; i < 256; i++) {
+      const exposed = linearToSrgb(Math.min(1, srgbToLinear(i / 255) * gain));
+      lut[i] = Math.round(((exposed - 0.5) * contrastFactor + 0.5) * 255);
+    }
+    return lut;
+  });
+}
+
+// Blur of the unsharp mask on the preview (pixelScale 1): the 3x3 binomial kernel's sigma
+const PREVIEW_SHARPEN_SIGMA = Math.SQRT1_2;
+
+// 3x3 binomial blur of one channel (edge pixels are left as they are)
+function binomialBlur(channel, width, height) {
+  const blurred = new Float32Array(channel);
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      blurred[i] =
+        (channel[i - width - 1] + 2 * channel[i - width] + channel[i - width + 1] +
+          2 * channel[i - 1] + 4 * channel[i] + 2 * channel[i + 1] +
+          channel[i + width - 1] + 2 * channel[i + width] + channel[i + width + 1]) / 16;
+    }
+  }
+  return blurred;
+}
+
+// One box blur pass of the given radius along rows (step 1) or columns (step width), clamped at the edges
+function boxBlurPass(source, target, width, height, radius, horizontal) {
+  const lines = horizontal ? height : width;
+  const length = horizontal ? width : height;
+  const step = horizontal ? 1 : width;
+  const size = radius * 2 + 1;
+  for (let line = 0; line < lines; line++) {
+    const start = horizontal ? line * width : line;
+    const at = (n) => source[start + Math.min(length - 1, Math.max(0, n)) * step];
+    let sum = 0;
+    for (let n = -radius; n <= radius; n++) sum += at(n);
+    for (let n = 0; n < length; n++) {
+      target[start + n * step] = sum / size;
+      sum += at(n + radius + 1) - at(n - radius);
+    }
+  }
+}
+
+// Radius of the box passes whose three passes have the same variance as a gaussian (0: 3x3 kernel)
+const getBoxRadius = (sigma) => Math.round((Math.sqrt(4 * sigma * sigma + 1) - 1) / 2);
+
+const getSharpenSigma = (pixelScale) => PREVIEW_SHARPEN_SIGMA * Math.max(1, pixelScale);
+
+// Rows around a strip that affect its sharpened pixels
+const getSharpenReach = (pixelScale) => Math.max(1, getBoxRadius(getSharpenSigma(pixelScale)) * 3) + 1;
+
+// Gaussian-like blur of one channel: three box passes per axis for larger radii
+function gaussianBlur(channel, width, height, sigma) {
+  const radius = getBoxRadius(sigma);
+  if (radius < 1) return binomialBlur(channel, width, height);
+  const blurred = new Float32Array(channel);
+  const scratch = new Float32Array(channel.length);
+  for (let pass = 0; pass < 3; pass++) {
+    boxBlurPass(blurred, scratch, width, height, radius, true);
+    boxBlurPass(scratch, blurred, width, height, radius, false);
+  }
+  return blurred;
+}
+
+// Unsharp mask, one channel at a time to bound the extra memory
+function sharpenPixels(data, width, height, amount, pixelScale) {
+  const sigma = getSharpenSigma(pixelScale);
+  const channel = new Float32Array(width * height);
+  for (let c = 0; c < 3; c++) {
+    for (let i = 0; i < channel.length; i++) channel[i] = data[i * 4 + c];
+    const blurred = gaussianBlur(channel, width, height, sigma);
+    for (let i = 0; i < channel.length; i++) {
+      data[i * 4 + c] = channel[i] + amount * (channel[i] - blurred[i]);
+    }
+  }
+}
+
+/**
+ * Apply adjustments to canvas pixels in place.
+ *
+ * @param {ImageData} imageData - Pixels to adjust (alpha is kept)
+ * @param {Object} adjustments - { exposure, contrast, saturation, temperature, tint, sharpen }
+ * @param {number} pixelScale - Pixels of this image per preview canvas pixel (default: 1)
+ * @returns {ImageData} The same ImageData
+ */
+export function applyImageAdjustments(imageData, adjustments, pixelScale = 1) {
+  if (isNeutralAdjustments(adjustments)) return imageData;
+
+  const { data, width, height } = imageData;
+  const [lutR, lutG, lutB] = buildChannelLuts(adjustments);
+  const saturation = 1 + (adjustments.saturation || 0) / 100;
+
+  for (let i = 0; i < data.length; i += 4) {
+    const r = lutR[data[i]];
+    const g = lutG[data[i + 1]];
+    const b = lutB[data[i + 2]];
+    if (saturation === 1) {
+      data[i] = r;
+      data[i + 1] = g;
+      data[i + 2] = b;
+    } else {
+      const luma = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+      data[i] = luma + (r - luma) * saturation;
+      data[i + 1] = luma + (g - luma) * saturation;
+      data[i + 2] = luma + (b - luma) * saturation;
+    }
+  }
+
+  if (adjustments.sharpen > 0) {
+    sharpenPixels(data, width, height, (adjustments.sharpen / 100) * MAX_SHARPEN_AMOUNT, pixelScale);
+  }
+  return imageData;
+}
+
+// Pixels adjusted at a time: large exports are processed in horizontal strips to bound memory
+const ADJUST_STRIP_PIXELS = 4 * 1024 * 1024;
+
+/**
+ * Apply adjustments to everything drawn on a canvas so far. Large canvases are adjusted in strips
+ * (with the rows sharpening reaches into around each one), so a print file never needs its whole
+ * ImageData plus sharpening buffers at once.
+ *
+ * @param {HTMLCanvasElement} canvas - Canvas to adjust in place
+ * @param {Object} adjustments - { exposure, contrast, saturation, temperature, tint, sharpen }
+ * @param {number} pixelScale - Pixels of the canvas per preview canvas pixel (default: 1)
+ */
+export function adjustCanvas(canvas, adjustments, pixelScale = 1) {
+  if (isNeutralAdjustments(adjustments)) return;
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  const { width, height } = canvas;
+  const reach = adjustments.sharpen > 0 ? getSharpenReach(pixelScale) : 0;
+  const rows = Math.max(reach, Math.floor(ADJUST_STRIP_PIXELS / width), 1);
+
+  // Each strip is read before the previous one is written back, so the rows it shares with its
+  // neighbours are still unadjusted
+  let pending = null;
+  for (let y = 0; y < height; y += rows) {
+    const top = Math.max(0, y - reach);
+    const bottom = Math.min(height, y + rows + reach);
+    const imageData = ctx.getImageData(0, top, width, bottom - top);
+    if (pending) pending();
+    applyImageAdjustments(imageData, adjustments, pixelScale);
+    const stripRows = Math.min(rows, height - y);
+    pending = () => ctx.putImageData(imageData, 0, top, 0, y - top, width, stripRows);
+  }
+  if (pending) pending();
+}
@@ -0,0 +1,216 @@
+import * as THREE from "three";
+import { makePrintTextureCrisp } from "./textureUtils.js";
+import { isNeutralAdjustments, adjustCanvas } from "./imageAdjustments.js";
+import { getMaxTextureSize } from "./textureExport.js";
+
+/**
+ * Live 3D preview of the transform modal's edits.
+ *
+ * While the modal is open the print surfaces show the source image itself, placed by the
+ * texture's UV transform (texture.matrix) instead of a rasterized texture: panning, scaling,
+ * rotating or flipping the image only changes a 3 × 3 matrix, so the model follows every drag.
+ * The full-quality texture is baked only on Confirm & Apply (see textureExport.js).
+ *
+ * ```js
+ * const preview = createLivePreview({ renderer });
+ * preview.update([[layer, edit]]);   // Show edits; layers left out get their map back
+ * preview.restoreAll();               // Modal closed
+ * ```
+ *
+ * The preview image is the source scaled down to PREVIEW_MAX_SIZE, with the edit's adjustments
+ * and a transparent border, so clamping at the image edges shows what the export shows there.
+ */
+
+// Long side of the preview image (the bake on confirm uses the full source)
+export const PREVIEW_MAX_SIZE = 2048;
+
+// Transparent pixels around the preview image
+const PREVIEW_BORDER = 1;
+
+const getLayerMaterial = (layer) => {
+  if (!layer?.mesh?.material) return null;
+  const mats = Array.isArray(layer.mesh.material) ? layer.mesh.material : [layer.mesh.material];
+  return mats[layer.materialIndex] || null;
+};
+
+// Preview image pixels per source image pixel
+const getPreviewImageScale = (image, renderer) => {
+  const maxSide = Math.min(PREVIEW_MAX_SIZE, getMaxTextureSize(renderer)) - PREVIEW_BORDER * 2;
+  return Math.min(1, maxSide / Math.max(image.naturalWidth || image.width, image.naturalHeight || image.height));
+};
+
+/**
+ * Preview texture of a source image: scaled to PREVIEW_MAX_SIZE (and the GPU limit), adjusted,
+ * with a transparent border. userData.preview holds the layout getPreviewUvMatrix needs.
+ *
+ * @param {HTMLImageElement} image - Source image of the edit
+ * @param {Object} adjustments - Image adjustments (see imageAdjustments.js)
+ * @param {THREE.WebGLRenderer} renderer - For the GPU limit and anisotropy
+ * @param {number} pixelScale - Preview image pixels per modal preview pixel (sharpening radius)
+ * @returns {THREE.CanvasTexture}
+ */
+export function createPreviewTexture(image, adjustments, renderer, pixelScale = 1) {
+  const imageWidth = image.naturalWidth || image.width;
+  const imageHeight = image.naturalHeight || image.height;
+  const scale = getPreviewImageScale(image, renderer);
+
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(imageWidth * scale)) + PREVIEW_BORDER * 2;
+  canvas.height = Math.max(1, Math.round(imageHeight * scale)) + PREVIEW_BORDER * 2;
+  const ctx = canvas.getContext("2d", { willReadFrequently: !isNeutralAdjustments(adjustments) });
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = "high";
+  ctx.drawImage(image, PREVIEW_BORDER, PREVIEW_BORDER, canvas.width - PREVIEW_BORDER * 2, canvas.height - PREVIEW_BORDER * 2);
+  if (!isNeutralAdjustments(adjustments)) adjustCanvas(canvas, adjustments, pixelScale);
+
+  const texture = new THREE.CanvasTexture(canvas);
+  makePrintTextureCrisp(texture, renderer);
+  texture.userData.preview = {
+    imageWidth,
+    imageHeight,
+    scaleX: (canvas.width - PREVIEW_BORDER * 2) / imageWidth,
+    scaleY: (canvas.height - PREVIEW_BORDER * 2) / imageHeight,
+    width: canvas.width,
+    height: canvas.height,
+  };
+  return texture;
+}
+
+/**
+ * UV transform from the print surface's UVs to the preview image: the mapping the export draws,
+ * as a matrix. UV (0, 0) is the texture's top-left corner (flipY = false), like the export canvas.
+ *
+ * @param {Object} edit - { transform, baseScale, selectionRect, uvRegion } of the modal
+ * @param {Object} layout - userData.preview of the preview texture
+ * @param {THREE.Matrix3} target - Matrix to write (default: a new one)
+ * @returns {THREE.Matrix3}
+ */
+export function getPreviewUvMatrix(edit, layout, target = new THREE.Matrix3()) {
+  const { transform, selectionRect: crop } = edit;
+  const region = edit.uvRegion || { minU: 0, minV: 0, spanU: 1, spanV: 1 };
+  const angle = (transform.rotationDeg * Math.PI) / 180;
+  const renderScaleX = edit.baseScale * transform.scaleX * (transform.flipX ? -1 : 1);
+  const renderScaleY = edit.baseScale * transform.scaleY * (transform.flipY ? -1 : 1);
+  const step = new THREE.Matrix3();
+
+  // UV -> crop box on the preview canvas (the crop box fills the UV region)
+  target.makeTranslation(-region.minU, -region.minV);
+  target.premultiply(step.makeScale(crop.width / region.spanU, crop.height / region.spanV));
+  target.premultiply(step.makeTranslation(crop.x, crop.y));
+
+  // Preview canvas -> source image pixels (the inverse of the image's canvas transform)
+  target.premultiply(step.makeTranslation(-transform.translateX, -transform.translateY));
+  target.premultiply(step.makeRotation(-angle));
+  target.premultiply(step.makeScale(1 / renderScaleX, 1 / renderScaleY));
+  target.premultiply(step.makeTranslation(layout.imageWidth / 2, layout.imageHeight / 2));
+
+  // Source pixels -> preview texture UV
+  target.premultiply(step.makeScale(layout.scaleX, layout.scaleY));
+  target.premultiply(step.makeTranslation(PREVIEW_BORDER, PREVIEW_BORDER));
+  target.premultiply(step.makeScale(1 / layout.width, 1 / layout.height));
+  return target;
+}
+
+/**
+ * Create a live preview for texture layers.
+ *
+ * @param {Object} options
+ * @param {THREE.WebGLRenderer} options.renderer - For the GPU limit and anisotropy
+ * @returns {{ update: Function, restore: Function, restoreAll: Function, getOriginalMap: Function }}
+ */
+export function createLivePreview({ renderer } = {}) {
+  const layers = new Map(); // Map<layerId, { layer, original, texture }>
+  let sources = []; // [{ image, key, texture }] - one preview image per source image and adjustments
+
+  const getSource = (edit) => {
+    const { image, adjustments } = edit;
+    // Sharpening depends on the zoom: rebuilt only when it changes by a power of two
+    const zoom = getPreviewImageScale(image, renderer) / (edit.baseScale * edit.transform.scaleX);
+    const pixelScale = adjustments?.sharpen > 0 ? 2 ** Math.round(Math.log2(zoom)) : 1;
+    const key = `${JSON.stringify(adjustments || {})}@${pixelScale}`;
+    let source = sources.find((s) => s.image === image && s.key === key);
+    if (!source) {
+      source = { image, key, texture: createPreviewTexture(image, adjustments, renderer, pixelScale) };
+      sources.push(source);
+    }
+    return source;
+  };
+
+  const restore = (layerId) => {
+    const entry = layers.get(layerId);
+    if (!entry) return;
+    const mat = getLayerMaterial(entry.layer);
+    // Leave the map alone if something else replaced the preview meanwhile
+    if (mat && mat[entry.layer.mapType] === entry.texture) {
+      mat[entry.layer.mapType] = entry.original;
+      mat.needsUpdate = true;
+    }
+    entry.texture.dispose();
+    layers.delete(layerId);
+  };
+
+  return {
+    /**
+     * Show edits on layers. Layers that were previewed but are not in the list get their map back.
+     *
+     * @param {Array} items - [layer, edit] pairs; edit is { image, transform, adjustments, baseScale, selectionRect, uvRegion }
+     */
+    update(items) {
+      const shown = new Set();
+      const used = new Set();
+      items.forEach(([layer, edit]) => {
+        const mat = getLayerMaterial(layer);
+        const image = edit.image;
+        if (!mat || !image || !(image.naturalWidth || image.width)) return;
+
+        const source = getSource(edit);
+        used.add(source);
+        let entry = layers.get(layer.id);
+        if (!entry) {
+          entry = { layer, original: mat[layer.mapType] || null, texture: null };
+          layers.set(layer.id, entry);
+        }
+        if (!entry.texture || entry.texture.source !== source.texture.source) {
+          // Clones share the preview image (one upload) but each has its own UV transform
+          entry.texture?.dispose();
+          entry.texture = source.texture.clone();
+          entry.texture.matrixAutoUpdate = false;
+        }
+        getPreviewUvMatrix(edit, source.texture.userData.preview, entry.texture.matrix);
+
+        if (mat[layer.mapType] !== entry.texture) {
+          mat[layer.mapType] = entry.texture;
+          mat.needsUpdate = true;
+        }
+        shown.add(layer.id);
+      });
+
+      [...layers.keys()].filter((layerId) => !shown.has(layerId)).forEach(restore);
+      sources = sources.filter((source) => {
+        if (used.has(source)) return true;
+        source.texture.dispose();
+        return false;
+      });
+    },
+
+    /** Put a layer's own map back (before applying a baked texture to it). */
+    restore,
+
+    /** Put every previewed layer's map back and free the preview images. */
+    restoreAll() {
+      [...layers.keys()].forEach(restore);
+      sources.forEach((source) => source.texture.dispose());
+      sources = [];
+    },
+
+    /**
+     * The map a previewed layer had before the preview.
+     *
+     * @param {string} layerId
+     * @returns {THREE.Texture|null|undefined} undefined when the layer is not previewed
+     */
+    getOriginalMap(layerId) {
+      return layers.get(layerId)?.original;
+    },
+  };
+}
@@ -0,0 +1,176 @@
+import defaultRoleRules from "./config/materialRoleRules.json";
+
+/**
+ * Rule-based material role classifier.
+ *
+ * Decides which role a mesh/material pair plays in a framed print (print surface, glass cover,
+ * frame, ...) from an ordered list of rules, so a new supplier's naming convention can be
+ * onboarded by editing src/config/materialRoleRules.json instead of the viewer code.
+ *
+ * Rules file format:
+ *
+ * ```json
+ * {
+ *   "defaultRole": "UNKNOWN",
+ *   "rules": [
+ *     { "role": "GLASS", "name": "glass", "reason": "Name mentions glass" },
+ *     { "role": "PRINT", "hasMap": true }
+ *   ]
+ * }
+ * ```
+ *
+ * Rule conditions (all given conditions must hold, the first matching rule wins):
+ * - `name` - regex tested against the mesh name and the material name
+ * - `meshName` / `materialName` - regex tested against one of the names only
+ * - `hasMap` - whether the material has a color `map`
+ *
+ * Name patterns are case-insensitive. `reason` is optional; without it the reason is built
+ * from the conditions.
+ *
+ * Explicit tags win over the rules: a `role` custom property set in Blender ("print", "glass",
+ * "frame", "back", "mat") is exported as glTF extras, which GLTFLoader exposes as `userData.role`
+ * on the material or on the node (checked from the mesh up through its parents).
+ */
+
+export const MATERIAL_ROLES = ["PRINT", "GLASS", "FRAME", "BACK", "MAT", "ACRYLIC", "UNKNOWN"];
+
+// userData.role values artists may use, mapped to classifier roles
+const USER_DATA_ROLES = {
+  print: "PRINT",
+  glass: "GLASS",
+  frame: "FRAME",
+  back: "BACK",
+  mat: "MAT",
+};
+
+/**
+ * Find an explicit userData tag: on the material first, then on the mesh and its ancestors.
+ *
+ * @param {THREE.Object3D} mesh
+ * @param {THREE.Material} material
+ * @param {string} key - userData key, e.g. "role" or "printAspect"
+ * @returns {{ value: *, where: string }|null}
+ */
+export function findUserDataTag(mesh, material, key) {
+  if (material?.userData?.[key] !== undefined) {
+    return { value: material.userData[key], where: `material "${material.name || "unnamed"}"` };
+  }
+  for (let node = mesh; node; node = node.parent) {
+    if (node.userData?.[key] !== undefined) {
+      return { value: node.userData[key], where: `node "${node.name || "unnamed"}"` };
+    }
+  }
+  return null;
+}
+
+/**
+ * Read the optional userData.printAspect tag (width / height of the physical print).
+ * Accepts a number (1.5) or a ratio string ("3:2", "3/2", "1.5").
+ *
+ * @returns {number|null} Aspect ratio, or null when untagged/invalid
+ */
+export function getPrintAspect(mesh, material) {
+  const tag = findUserDataTag(mesh, material, "printAspect");
+  if (!tag) return null;
+
+  let aspect = null;
+  if (typeof tag.value === "number") {
+    aspect = tag.value;
+  } else if (typeof tag.value === "string") {
+    const [w, h] = tag.value.split(/[:/x]/).map((part) => parseFloat(part));
+    aspect = h !== undefined && !Number.isNaN(h) ? w / h : w;
+  }
+
+  if (!(aspect > 0) || !Number.isFinite(aspect)) {
+    console.warn(`Ignoring invalid userData.printAspect "${tag.value}" on ${tag.where}`);
+    return null;
+  }
+  return aspect;
+}
+
+const NAME_CONDITIONS = ["name", "meshName", "materialName"];
+
+// Validate a rule and compile its name patterns
+function compileRule(rule, index) {
+  if (!MATERIAL_ROLES.includes(rule.role)) {
+    throw new Error(`Material role rule #${index + 1}: unknown role "${rule.role}" (expected one of ${MATERIAL_ROLES.join(", ")})`);
+  }
+
+  const patterns = {};
+  NAME_CONDITIONS.forEach((key) => {
+    if (rule[key] === undefined) return;
+    try {
+      patterns[key] = new RegExp(rule[key], "i");
+    } catch (err) {
+      throw new Error(`Material role rule #${index + 1}: invalid ${key} pattern "${rule[key]}" (${err.message})`);
+    }
+  });
+
+  return { ...rule, index, patterns };
+}
+
+// Human-readable description of a rule's conditions
+function describeRule(rule) {
+  const parts = [];
+  if (rule.patterns.name) parts.push(`name ~ ${rule.patterns.name}`);
+  if (rule.patterns.meshName) parts.push(`mesh name ~ ${rule.patterns.meshName}`);
+  if (rule.patterns.materialName) parts.push(`material name ~ ${rule.patterns.materialName}`);
+  if (rule.hasMap !== undefined) parts.push(rule.hasMap ? "has color map" : "no color map");
+  return parts.length > 0 ? parts.join(" and ") : "always";
+}
+
+/**
+ * Create a classifier from a rules config.
+ *
+ * @param {Object} config - Rules config (default: src/config/materialRoleRules.json)
+ * @returns {Function} classify({ mesh, material, meshName, materialName }) => { role, reason, ruleIndex, source }
+ *   where source is "userData" for explicitly tagged surfaces and "rules" otherwise
+ */
+export function createMaterialRoleClassifier(config = defaultRoleRules) {
+  const defaultRole = MATERIAL_ROLES.includes(config.defaultRole) ? config.defaultRole : "UNKNOWN";
+  const rules = (config.rules || []).map(compileRule);
+
+  return ({ mesh, material, meshName = "", materialName = "" }) => {
+    // Explicit artist tags take precedence over every name heuristic
+    const tag = findUserDataTag(mesh, material, "role");
+    if (tag) {
+      const taggedRole = USER_DATA_ROLES[String(tag.value).toLowerCase()];
+      if (taggedRole) {
+        return {
+          role: taggedRole,
+          reason: `Tagged userData.role = "${tag.value}" on ${tag.where}`,
+          ruleIndex: -1,
+          source: "userData",
+        };
+      }
+      console.warn(`Ignoring unknown userData.role "${tag.value}" on ${tag.where}`);
+    }
+
+    const matches = (rule) => {
+      const { patterns } = rule;
+      if (patterns.name && !patterns.name.test(meshName) && !patterns.name.test(materialName)) return false;
+      if (patterns.meshName && !patterns.meshName.test(meshName)) return false;
+      if (patterns.materialName && !patterns.materialName.test(materialName)) return false;
+      if (rule.hasMap !== undefined && !!material?.map !== rule.hasMap) return false;
+      return true;
+    };
+
+    const rule = rules.find(matches);
+    if (!rule) {
+      return { role: defaultRole, reason: "No rule matched", ruleIndex: -1, source: "rules" };
+    }
+
+    const description = describeRule(rule);
+    return {
+      role: rule.role,
+      reason: rule.reason ? `${rule.reason} (rule #${rule.index + 1}: ${description})` : `Rule #${rule.index + 1}: ${description}`,
+      ruleIndex: rule.index,
+      source: "rules",
+    };
+  };
+}
+
+/**
+ * Classify with the bundled rules file.
+ */
+export const classifyMaterialRole = createMaterialRoleClassifier();
@@ -0,0 +1,181 @@
+import * as THREE from "three";
+import { applySubstratePreset, getSubstratePreset } from "./substratePresets.js";
+
+/**
+ * Material treatments per material role (see materialRoleClassifier.js).
+ *
+ * Each treatment turns a loaded glTF material into the WhiteWall-style look for its role:
+ * physical print setup, transmission glass, frame metal or matte default. The viewer runs
+ * them once after loading and again whenever a role is reassigned by hand.
+ */
+
+// Render order per role: print draws first, glass last
+export const ROLE_RENDER_ORDER = {
+  PRINT: 1,
+  GLASS: 10,
+};
+
+// Put a material into a mesh's material slot
+function setMaterialSlot(mesh, materialIndex, material) {
+  if (Array.isArray(mesh.material)) {
+    mesh.material[materialIndex] = material;
+  } else {
+    mesh.material = material;
+  }
+}
+
+/**
+ * Apply the treatment for a role to the material in a mesh's material slot.
+ * The material may be replaced by a MeshPhysicalMaterial (print, glass).
+ *
+ * envMapIntensity is not set here: the caller scales the returned base intensity by the
+ * current reflection intensity and remembers it for later slider changes.
+ *
+ * @param {THREE.Mesh} mesh - Mesh owning the material
+ * @param {number} materialIndex - Index into mesh.material when it is an array
+ * @param {string} role - One of MATERIAL_ROLES
+ * @param {Object} options
+ * @param {THREE.WebGLRenderer} options.renderer - Renderer (for the max anisotropy of print maps)
+ * @param {Object} options.substrate - Substrate preset for print surfaces (default: the configured default preset)
+ * @returns {{ material: THREE.Material, baseEnvMapIntensity: number|null }} Material now in the slot
+ *   and its base envMapIntensity (null when the treatment leaves it untouched)
+ */
+export function applyMaterialTreatment(mesh, materialIndex, role, { renderer, substrate } = {}) {
+  const mats = Array.isArray(mesh.material) ? mesh.material : [mesh.material];
+  let mat = mats[materialIndex];
+  let baseEnvMapIntensity = null;
+
+  // 1) Front Print - Make it look like a print, NOT metal
+  if (role === "PRINT") {
+    // Ensure MeshPhysicalMaterial for better control (specularIntensity support)
+    if (!mat.isMeshPhysicalMaterial) {
+      const phys = new THREE.MeshPhysicalMaterial();
+      // Preserve existing maps and properties
+      if (mat.map) phys.map = mat.map;
+      phys.color.copy(mat.color || new THREE.Color(0xffffff));
+      phys.name = mat.name;
+      phys.userData = { ...mat.userData };
+      setMaterialSlot(mesh, materialIndex, phys);
+      mat = phys;
+    }
+
+    // CRITICAL: Remove PBR maps that make artwork look dark/plastic
+    // Only keep the artwork map (color texture)
+    mat.normalMap = null;
+    mat.roughnessMap = null;
+    mat.metalnessMap = null;
+    mat.aoMap = null;
+
+    // Reset color to white (no tinting)
+    mat.color.set(0xffffff);
+
+    // Print material properties - WhiteWall look: bright but no highlight bleed
+    mat.transparent = false;
+    mat.opacity = 1.0;
+    mat.metalness = 0.0; // NOT metal (override bad GLB values)
+
+    // DO NOT assign envMap directly - use scene.environment instead
+    // This allows scene.environmentRotation to work properly
+    mat.envMap = null;
+
+    // Finish (roughness, clearcoat, sheen, surface normal, IBL brightness) comes from the
+    // substrate preset - the default glossy photo preset is the original WhiteWall look
+    baseEnvMapIntensity = applySubstratePreset(mat, substrate || getSubstratePreset());
+
+    // Make sure artwork map is treated as sRGB and crisp (color-accurate + high quality)
+    if (mat.map) {
+      mat.map.colorSpace = THREE.SRGBColorSpace;
+      // Apply crisp texture settings for print quality
+      if (mat.map.isCompressedTexture) {
+        // KTX2/Basis textures ship their own mip chain - the GPU cannot generate one for them
+        mat.map.generateMipmaps = false;
+        mat.map.minFilter = mat.map.mipmaps?.length > 1 ? THREE.LinearMipmapLinearFilter : THREE.LinearFilter;
+      } else {
+        mat.map.generateMipmaps = true;
+        mat.map.minFilter = THREE.LinearMipmapLinearFilter;
+      }
+      mat.map.magFilter = THREE.LinearFilter;
+      mat.map.anisotropy = renderer ? renderer.capabilities.getMaxAnisotropy() : 16;
+      mat.map.needsUpdate = true;
+    }
+
+    mat.needsUpdate = true;
+  }
+  // 2) Glass Cover - Realistic acrylic using transmission
+  else if (role === "GLASS") {
+    // Ensure we use Physical material for transmission
+    if (!mat.isMeshPhysicalMaterial) {
+      const acrylicMat = new THREE.MeshPhysicalMaterial();
+      // Preserve existing maps if any
+      if (mat.map) acrylicMat.map = mat.map;
+      acrylicMat.name = mat.name;
+      acrylicMat.userData = { ...mat.userData };
+      setMaterialSlot(mesh, materialIndex, acrylicMat);
+      mat = acrylicMat;
+    }
+
+    // WhiteWall-style acrylic: transmission-based with tuned optical params
+    // Override bad GLB values (opacity-based transparency) with proper transmission
+    mat.color = new THREE.Color(0xffffff);
+    mat.transparent = true;
+    mat.transmission = 1.0; // Key: makes it transparent via refraction (not opacity)
+    mat.opacity = 1.0; // Keep 1.0 when using transmission (override bad GLB opacity=0.17)
+    mat.ior = 1.49; // Acrylic index of refraction
+    mat.thickness = 0.001; // Thickness for refraction (adjust based on model scale)
+    mat.roughness = 0.03; // WhiteWall is pretty "clean" (override bad GLB roughness=0)
+    mat.metalness = 0.0;
+
+    // Polished acrylic edge highlight
+    mat.clearcoat = 1.0;
+    mat.clearcoatRoughness = 0.03; // Sharper highlights
+
+    // Attenuation for realistic acrylic transmission
+    mat.attenuationColor = new THREE.Color(0xffffff);
+    mat.attenuationDistance = 1.0;
+
+    mat.depthWrite = false;
+    mat.depthTest = true; // Explicit depth test for transparent stacking
+    mat.side = THREE.DoubleSide; // Show both sides for thin plane
+
+    // DO NOT assign envMap directly - use scene.environment instead
+    // This allows scene.environmentRotation to work properly
+    mat.envMap = null;
+    baseEnvMapIntensity = 2.5; // Stronger highlight for WhiteWall look
+
+    mat.needsUpdate = true;
+  }
+  // 3) Back - Leave it alone (do nothing)
+  else if (role === "BACK") {
+    // Lock the back - do nothing, keep original material properties
+  }
+  // 4) Frame/Metal - Keep metallic properties
+  else if (role === "FRAME") {
+    if (mat.isMeshStandardMaterial || mat.isMeshPhysicalMaterial) {
+      mat.roughness = mat.roughness !== undefined ? Math.min(mat.roughness, 0.5) : 0.4;
+      mat.metalness = mat.metalness !== undefined ? Math.max(mat.metalness, 0.6) : 0.7;
+      // DO NOT assign envMap directly - use scene.environment instead
+      mat.envMap = null;
+      baseEnvMapIntensity = 1.0;
+      mat.needsUpdate = true;
+    }
+  }
+  // 5) Other meshes (mat board, acrylic body, unknown) - Default to print-like (matte, opaque)
+  else {
+    if (mat.isMeshStandardMaterial || mat.isMeshPhysicalMaterial) {
+      mat.metalness = 0.0;
+      mat.roughness = 0.85;
+      mat.transparent = false;
+      mat.opacity = 1.0;
+      // DO NOT assign envMap directly - use scene.environment instead
+      mat.envMap = null;
+      baseEnvMapIntensity = 0.6;
+      mat.needsUpdate = true;
+    }
+  }
+
+  if (ROLE_RENDER_ORDER[role] !== undefined) {
+    mesh.renderOrder = ROLE_RENDER_ORDER[role];
+  }
+
+  return { material: mat, baseEnvMapIntensity };
+}
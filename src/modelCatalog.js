@@ -0,0 +1,72 @@
+/**
+ * Model catalog manifest loading.
+ *
+ * The manifest lives at `public/assets/models/models.json` and lists the products
+ * the viewer can switch between:
+ *
+ * ```json
+ * {
+ *   "models": [
+ *     {
+ *       "id": "surfboard",
+ *       "name": "Surfboard",
+ *       "path": "/assets/models/Surfboard.glb",
+ *       "thumbnail": "/assets/models/thumbnails/surfboard.svg",
+ *       "defaultArtwork": "/assets/frames/image1.jpg",
+ *       "camera": { "position": [0, 0.6, 3.5], "target": [0, 0, 0], "fov": 60 },
+ *       "lighting": { "exposure": 2.0, "key": 1.5, "envRotation": 0, "reflectionIntensity": 1.0 }
+ *     }
+ *   ]
+ * }
+ * ```
+ *
+ * Only `path` is required. `camera.target` defaults to the model center; `lighting`
+ * keys override the viewer's default lighting for that model.
+ */
+
+export const MODEL_CATALOG_PATH = "/assets/models/models.json";
+
+const isVector3 = (value) =>
+  Array.isArray(value) && value.length === 3 && value.every((n) => typeof n === "number");
+
+// Validate one manifest entry; returns null for entries that cannot be loaded
+function normalizeCatalogEntry(entry, index) {
+  if (!entry || typeof entry.path !== "string" || !entry.path) {
+    console.warn(`Model catalog entry ${index} has no "path" - skipping`);
+    return null;
+  }
+
+  const fileName = entry.path.split("/").pop();
+  const camera = entry.camera || {};
+
+  return {
+    id: entry.id || fileName,
+    name: entry.name || fileName,
+    path: entry.path,
+    thumbnail: entry.thumbnail || null,
+    defaultArtwork: entry.defaultArtwork || null,
+    camera: {
+      position: isVector3(camera.position) ? camera.position : null,
+      target: isVector3(camera.target) ? camera.target : null,
+      fov: typeof camera.fov === "number" ? camera.fov : null,
+    },
+    lighting: entry.lighting && typeof entry.lighting === "object" ? entry.lighting : {},
+  };
+}
+
+/**
+ * Fetch and normalize the model catalog manifest.
+ *
+ * @param {string} url - Manifest URL (default: MODEL_CATALOG_PATH)
+ * @returns {Promise<Array>} Normalized catalog entries (invalid entries are dropped)
+ */
+export async function fetchModelCatalog(url = MODEL_CATALOG_PATH) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load model catalog: ${url} (${response.status})`);
+  }
+
+  const manifest = await response.json();
+  const entries = Array.isArray(manifest?.models) ? manifest.models : [];
+  return entries.map(normalizeCatalogEntry).filter(Boolean);
+}
@@ -0,0 +1,344 @@
+import * as THREE from "three";
+
+/**
+ * Model diagnostics for asset QA.
+ *
+ * Builds a structured report of a loaded model (the seven-section "COMPREHENSIVE GLB MODEL
+ * ANALYSIS"): material roles, print surfaces, sidedness, thin-plane detection, scale, swappable
+ * layers, renderer/environment setup and material properties, plus warnings for problems
+ * that make a product look wrong. The same report is logged to the console, shown in the
+ * diagnostics panel and downloadable as JSON.
+ */
+
+export const THIN_PLANE_RATIO = 0.1;
+
+const SIDE_NAMES = {
+  [THREE.FrontSide]: "FrontSide",
+  [THREE.BackSide]: "BackSide",
+  [THREE.DoubleSide]: "DoubleSide",
+};
+
+const TONE_MAPPING_NAMES = {
+  [THREE.NoToneMapping]: "NoToneMapping",
+  [THREE.LinearToneMapping]: "LinearToneMapping",
+  [THREE.ReinhardToneMapping]: "ReinhardToneMapping",
+  [THREE.CineonToneMapping]: "CineonToneMapping",
+  [THREE.ACESFilmicToneMapping]: "ACESFilmicToneMapping",
+  [THREE.AgXToneMapping]: "AgXToneMapping",
+};
+
+const round = (value, digits = 3) => (typeof value === "number" ? Number(value.toFixed(digits)) : value ?? null);
+const vectorToObject = (v) => ({ x: round(v.x), y: round(v.y), z: round(v.z) });
+
+/**
+ * Build the model part of the report. Call right after the material treatments ran and
+ * before the model is centered/scaled.
+ *
+ * @param {Object} params
+ * @param {THREE.Object3D} params.model - Loaded glTF scene
+ * @param {string} params.modelName - Display name of the model
+ * @param {Array} params.materials - Per mesh/material details { meshName, materialName, materialType, materialClass,
+ *   materialCategory, classificationReason, roleSource, hasArtworkMap, textureMaps, properties } (properties as loaded)
+ * @param {Array} params.layers - Swappable texture layers
+ * @param {number} params.targetSize - Size the model is scaled to (largest dimension)
+ * @returns {Object} Report with { generatedAt, model, sections, warnings }
+ */
+export function buildModelDiagnostics({ model, modelName, materials, layers, targetSize }) {
+  const warnings = [];
+
+  // 1) Mesh + material naming with roles
+  const naming = materials.map((detail) => ({
+    meshName: detail.meshName,
+    materialName: detail.materialName,
+    materialType: detail.materialType,
+    materialClass: detail.materialClass,
+    role: detail.materialCategory,
+    reason: detail.classificationReason,
+    roleSource: detail.roleSource,
+    hasMap: detail.hasArtworkMap,
+    pbrMaps: detail.textureMaps.filter((m) => m !== "map"),
+  }));
+
+  // 2) Print surface identification
+  const printSurfaces = materials
+    .filter((detail) => detail.materialCategory === "PRINT")
+    .map((detail) => ({ meshName: detail.meshName, materialName: detail.materialName, hasMap: detail.hasArtworkMap }));
+  if (printSurfaces.length === 0) {
+    warnings.push({
+      code: "no-print-surface",
+      section: "printSurfaces",
+      message: "No print surface detected - no mesh carries a swappable artwork map",
+    });
+  }
+
+  // 3) Face orientation / sidedness + thin-plane detection
+  const sidedness = [];
+  model.traverse((obj) => {
+    if (!obj.isMesh || !obj.material) return;
+    const mats = Array.isArray(obj.material) ? obj.material : [obj.material];
+    const pos = obj.geometry?.attributes.position;
+
+    let geometry = null;
+    if (pos) {
+      const geomSize = new THREE.Box3().setFromObject(obj).getSize(new THREE.Vector3());
+      const maxDim = Math.max(geomSize.x, geomSize.y, geomSize.z);
+      const thicknessRatio = maxDim > 0 ? Math.min(geomSize.x, geomSize.y, geomSize.z) / maxDim : 0;
+      geometry = {
+        type: obj.geometry.type,
+        vertices: pos.count,
+        triangles: Math.round(obj.geometry.index ? obj.geometry.index.count / 3 : pos.count / 3),
+        boundingBox: vectorToObject(geomSize),
+        thicknessRatio: round(thicknessRatio),
+        isThin: thicknessRatio < THIN_PLANE_RATIO,
+      };
+    }
+
+    mats.forEach((mat, materialIndex) => {
+      const side = SIDE_NAMES[mat.side] || "FrontSide";
+      sidedness.push({ meshName: obj.name || "Unnamed", materialIndex, side, geometry });
+      if (geometry?.isThin && mat.side !== THREE.DoubleSide) {
+        warnings.push({
+          code: "thin-single-sided",
+          section: "sidedness",
+          meshName: obj.name || "Unnamed",
+          message: `"${obj.name || "Unnamed"}" (material ${materialIndex}) is a thin plane rendered ${side} only - it disappears when seen from behind`,
+        });
+      }
+    });
+  });
+
+  // 4) Scale / thickness context
+  const box = new THREE.Box3().setFromObject(model);
+  const size = box.getSize(new THREE.Vector3());
+  const maxDimension = Math.max(size.x, size.y, size.z);
+  const scale = {
+    size: vectorToObject(size),
+    center: vectorToObject(box.getCenter(new THREE.Vector3())),
+    maxDimension: round(maxDimension),
+    scaleFactor: maxDimension > 0 ? round(targetSize / maxDimension) : null,
+    finalSize: targetSize,
+  };
+
+  // 5) UV layout expectations for swapping
+  const swappableLayers = layers.map((layer) => ({
+    id: layer.id,
+    meshName: layer.meshName,
+    mapType: layer.mapType,
+    materialIndex: layer.materialIndex,
+    materialCategory: layer.materialCategory,
+    hasOriginal: layer.hasOriginal,
+    printAspect: layer.printAspect ? round(layer.printAspect) : null,
+    printSize: layer.printSize ? { width: round(layer.printSize.width), height: round(layer.printSize.height) } : null,
+    surfaceAspect: layer.printSurface ? round(layer.printSurface.aspect) : null,
+    uvBounds: layer.printSurface
+      ? Object.fromEntries(Object.entries(layer.printSurface.uvBounds).map(([key, value]) => [key, round(value)]))
+      : null,
+  }));
+  if (swappableLayers.length === 0 && printSurfaces.length > 0) {
+    warnings.push({
+      code: "no-swappable-layers",
+      section: "layers",
+      message: "Print surfaces found but none has a 'map' texture to swap",
+    });
+  }
+
+  // 7) Material properties (as loaded from the file)
+  const materialProperties = materials.map((detail) => ({
+    meshName: detail.meshName,
+    materialName: detail.materialName,
+    role: detail.materialCategory,
+    ...detail.properties,
+  }));
+  materials.forEach((detail) => {
+    const { transparent, opacity, transmission } = detail.properties;
+    if (detail.materialCategory === "GLASS" && (transparent || opacity < 1) && !(transmission > 0)) {
+      warnings.push({
+        code: "opacity-glass",
+        section: "materialProperties",
+        meshName: detail.meshName,
+        message: `"${detail.meshName}" → "${detail.materialName}" is opacity-based glass (opacity ${round(opacity, 2)}) in the file - the viewer replaces it with transmission, other viewers will not`,
+      });
+    }
+  });
+
+  return {
+    generatedAt: new Date().toISOString(),
+    model: { name: modelName || null, threeRevision: THREE.REVISION },
+    sections: {
+      naming,
+      printSurfaces,
+      sidedness,
+      scale,
+      layers: swappableLayers,
+      renderer: null, // Filled in by withEnvironmentDiagnostics()
+      materialProperties,
+    },
+    warnings,
+  };
+}
+
+/**
+ * Add the renderer/environment section (6) to a report. Kept separate because the HDRI
+ * loads independently of the model and may finish (or fail) later.
+ *
+ * @param {Object} report - Result of buildModelDiagnostics()
+ * @param {Object} params
+ * @param {THREE.WebGLRenderer} params.renderer
+ * @param {THREE.Scene} params.scene
+ * @param {string} params.hdriPath - HDRI URL
+ * @param {string} params.environmentStatus - "loading" | "loaded" | "failed" | "cancelled"
+ * @returns {Object} New report
+ */
+export function withEnvironmentDiagnostics(report, { renderer, scene, hdriPath, environmentStatus }) {
+  const rendererSection = {
+    toneMapping: TONE_MAPPING_NAMES[renderer?.toneMapping] || "Other",
+    toneMappingExposure: round(renderer?.toneMappingExposure, 2),
+    outputColorSpace: renderer?.outputColorSpace || null,
+    environmentMap: !!scene?.environment,
+    hdriPath,
+    hdriStatus: environmentStatus,
+    hdriFormat: ".hdr (RGBE/Radiance)",
+  };
+
+  const warnings = report.warnings.filter((w) => w.code !== "missing-hdri");
+  if (environmentStatus === "failed" || environmentStatus === "cancelled") {
+    warnings.push({
+      code: "missing-hdri",
+      section: "renderer",
+      message: `HDRI "${hdriPath}" is not loaded (${environmentStatus}) - reflections and image-based lighting are missing`,
+    });
+  }
+
+  return { ...report, sections: { ...report.sections, renderer: rendererSection }, warnings };
+}
+
+/**
+ * Print a report to the console in the seven-section layout.
+ *
+ * @param {Object} report - Result of buildModelDiagnostics()/withEnvironmentDiagnostics()
+ */
+export function logModelDiagnostics(report) {
+  const { naming, printSurfaces, sidedness, scale, layers, renderer, materialProperties } = report.sections;
+
+  console.log("\n" + "=".repeat(80));
+  console.log("🔍 COMPREHENSIVE GLB MODEL ANALYSIS FOR WHITEWALL SETUP");
+  console.log("=".repeat(80));
+
+  // 1) Mesh + Material Naming with Roles
+  console.log("\n📋 1) MESH + MATERIAL NAMING (with roles)");
+  console.log("-".repeat(80));
+  naming.forEach((entry, idx) => {
+    const props = materialProperties[idx];
+    console.log(`\n${idx + 1}. Mesh: "${entry.meshName}"`);
+    console.log(`   Material: "${entry.materialName}"`);
+    console.log(`   Type: ${entry.materialType} (${entry.materialClass})`);
+    console.log(`   Category: ${entry.role}`);
+    console.log(`   Why: ${entry.reason}`);
+    console.log(`   Has map: ${entry.hasMap ? "YES" : "NO"}`);
+    console.log(`   PBR maps: ${entry.pbrMaps.length > 0 ? entry.pbrMaps.join(", ") : "none"}`);
+    console.log(`   Properties: transparent=${props.transparent}, opacity=${props.opacity}, roughness=${props.roughness}, metalness=${props.metalness}`);
+  });
+
+  // 2) Which mesh is the "print surface"
+  console.log("\n📋 2) PRINT SURFACE IDENTIFICATION");
+  console.log("-".repeat(80));
+  if (printSurfaces.length > 0) {
+    console.log("✅ PRINT SURFACE MESHES (artwork UVs - swappable map):");
+    printSurfaces.forEach((d) => {
+      console.log(`   - "${d.meshName}" → "${d.materialName}" (has map: ${d.hasMap})`);
+    });
+  } else {
+    console.log("⚠️  NO PRINT SURFACE DETECTED (no meshes with swappable map)");
+  }
+
+  // 3) Face orientation / sidedness
+  console.log("\n📋 3) FACE ORIENTATION / SIDEDNESS");
+  console.log("-".repeat(80));
+  sidedness.forEach((entry) => {
+    console.log(`   "${entry.meshName}" → Material ${entry.materialIndex}: side=${entry.side}`);
+    const g = entry.geometry;
+    if (g) {
+      console.log(`      Geometry: ${g.vertices} vertices, ${g.triangles} triangles, ${g.type}`);
+      console.log(`      Bounding box: x=${g.boundingBox.x}, y=${g.boundingBox.y}, z=${g.boundingBox.z}`);
+      console.log(`      ${g.isThin ? "⚠️  THIN PLANE (single-sided likely)" : "✓ SOLID (closed mesh)"} (thickness ratio: ${g.thicknessRatio})`);
+    }
+  });
+
+  // 4) Scale / Thickness Context
+  console.log("\n📋 4) SCALE / THICKNESS CONTEXT");
+  console.log("-".repeat(80));
+  console.log(`   Original bounding box size: x=${scale.size.x}, y=${scale.size.y}, z=${scale.size.z}`);
+  console.log(`   Center: x=${scale.center.x}, y=${scale.center.y}, z=${scale.center.z}`);
+  console.log(`   Max dimension: ${scale.maxDimension}`);
+  console.log(`   Scale factor will be: ${scale.scaleFactor}`);
+  console.log(`   Estimated final size: ~${scale.finalSize} units`);
+
+  // 5) UV Layout Expectations
+  console.log("\n📋 5) UV LAYOUT EXPECTATIONS FOR SWAPPING");
+  console.log("-".repeat(80));
+  console.log(`   Total swappable texture layers: ${layers.length}`);
+  layers.forEach((layer, idx) => {
+    console.log(`   ${idx + 1}. Layer: "${layer.meshName}" → "${layer.mapType}"`);
+    console.log(`      Material index: ${layer.materialIndex}`);
+    console.log(`      Category: ${layer.materialCategory}`);
+    if (layer.printAspect) console.log(`      Print aspect (userData): ${layer.printAspect}`);
+    if (layer.printSize) console.log(`      Print size (userData): ${layer.printSize.width} × ${layer.printSize.height} cm`);
+    if (layer.surfaceAspect) console.log(`      Print aspect (measured): ${layer.surfaceAspect}`);
+    if (layer.uvBounds) {
+      const { minU, maxU, minV, maxV } = layer.uvBounds;
+      console.log(`      UV bounds: u ${minU}..${maxU}, v ${minV}..${maxV}`);
+    }
+  });
+  if (layers.length === 0) {
+    console.log("   ⚠️  NO SWAPPABLE LAYERS FOUND (check if print meshes have 'map' texture)");
+  }
+
+  // 6) Current Renderer + Environment Setup
+  if (renderer) {
+    console.log("\n📋 6) CURRENT RENDERER + ENVIRONMENT SETUP");
+    console.log("-".repeat(80));
+    console.log(`   Three.js version: ${report.model.threeRevision}`);
+    console.log(`   Tone mapping: ${renderer.toneMapping}`);
+    console.log(`   Tone mapping exposure: ${renderer.toneMappingExposure}`);
+    console.log(`   Output color space: ${renderer.outputColorSpace}`);
+    console.log(`   Environment map: ${renderer.environmentMap ? "SET ✓" : "NOT SET"}`);
+    console.log(`   HDRI path expected: "${renderer.hdriPath}" (${renderer.hdriStatus})`);
+    console.log(`   HDRI format: ${renderer.hdriFormat}`);
+  }
+
+  // 7) Material Properties Summary
+  console.log("\n📋 7) CURRENT MATERIAL PROPERTIES (for WhiteWall look)");
+  console.log("-".repeat(80));
+  materialProperties.forEach((entry) => {
+    console.log(`\n   "${entry.meshName}" → "${entry.materialName}" (${entry.role}):`);
+    ["transparent", "opacity", "roughness", "metalness", "clearcoat", "clearcoatRoughness", "envMapIntensity"].forEach((key) => {
+      console.log(`      ${key}: ${entry[key] ?? "N/A"}`);
+    });
+  });
+
+  if (report.warnings.length > 0) {
+    console.log("\n⚠️  WARNINGS");
+    console.log("-".repeat(80));
+    report.warnings.forEach((w) => console.log(`   - [${w.code}] ${w.message}`));
+  }
+}
+
+/**
+ * Download a report as a JSON file (for attaching to asset QA tickets).
+ *
+ * @param {Object} report
+ */
+export function downloadDiagnosticsReport(report) {
+  const blob = new Blob([JSON.stringify(report, null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const baseName = (report.model.name || "model").replace(/\.[^.]+$/, "").replace(/[^\w-]+/g, "_");
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `${baseName}-diagnostics.json`;
+  document.body.appendChild(link);
+  link.click();
+
+  // Cleanup
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,179 @@
+import printGuidesConfig from "./config/printGuides.json";
+
+/**
+ * Print production guides around the crop box, and gallery-wrap edge generation.
+ *
+ * The dashed crop box in the transform modal is the visible print face (what the texture shows
+ * on the model). The margins around it are physical distances from its edges, configured in
+ * src/config/printGuides.json:
+ *
+ * ```json
+ * {
+ *   "unit": "mm",
+ *   "bleed": 3,
+ *   "trim": 0,
+ *   "safeArea": 5,
+ *   "edgeFill": "none"
+ * }
+ * ```
+ *
+ * - `safeArea`: inset inside the face - keep text and faces within it
+ * - `trim`: from the face out to the trim (cut) line - the wrap depth of a gallery-wrapped canvas,
+ *   0 for flat prints
+ * - `bleed`: beyond the trim line, printed and cut off
+ * - `edgeFill`: what the print file shows between the face and the bleed line: `"none"` the
+ *   image beyond the crop, `"mirror"` the face mirrored at its edges, `"stretch"` its edge
+ *   pixels stretched outwards (so wrapped canvas sides never come out blank)
+ *
+ * `unit` is `mm`, `cm` or `in`.
+ */
+
+const UNIT_TO_CM = { mm: 0.1, cm: 1, in: 2.54 };
+
+export const EDGE_FILL_MODES = [
+  { id: "none", label: "Image beyond crop" },
+  { id: "mirror", label: "Mirror edges" },
+  { id: "stretch", label: "Stretch edges" },
+];
+
+const GUIDE_DEFAULTS = { unit: "mm", bleed: 3, trim: 0, safeArea: 5, edgeFill: "none" };
+
+function normalizeGuidesConfig(config) {
+  const resolved = { ...GUIDE_DEFAULTS, ...config };
+  if (!UNIT_TO_CM[resolved.unit]) {
+    console.warn(`Unknown print guide unit "${resolved.unit}" - expected mm, cm or in; using mm`);
+    resolved.unit = "mm";
+  }
+  ["bleed", "trim", "safeArea"].forEach((key) => {
+    if (!(resolved[key] >= 0)) {
+      console.warn(`Invalid print guide ${key} ${JSON.stringify(resolved[key])} - using ${GUIDE_DEFAULTS[key]}`);
+      resolved[key] = GUIDE_DEFAULTS[key];
+    }
+  });
+  if (!EDGE_FILL_MODES.some((mode) => mode.id === resolved.edgeFill)) {
+    console.warn(`Unknown print guide edgeFill "${resolved.edgeFill}" - expected none, mirror or stretch`);
+    resolved.edgeFill = GUIDE_DEFAULTS.edgeFill;
+  }
+
+  // Margins in centimeters, like the print sizes
+  const factor = UNIT_TO_CM[resolved.unit];
+  return {
+    ...resolved,
+    bleedCm: resolved.bleed * factor,
+    trimCm: resolved.trim * factor,
+    safeAreaCm: resolved.safeArea * factor,
+  };
+}
+
+export const PRINT_GUIDES = normalizeGuidesConfig(printGuidesConfig);
+
+// Rect grown (or shrunk, for negative margins) by the same margin on opposite sides
+const growRect = (rect, marginX, marginY) => ({
+  x: rect.x - marginX,
+  y: rect.y - marginY,
+  width: Math.max(0, rect.width + marginX * 2),
+  height: Math.max(0, rect.height + marginY * 2),
+});
+
+/**
+ * Guide rectangles around a crop box for a physical print size.
+ *
+ * @param {{ x, y, width, height }} cropBox - Dashed crop box (the print face)
+ * @param {{ width: number, height: number }} printSize - Physical face size in centimeters
+ * @param {Object} guides - Guide config (default: PRINT_GUIDES)
+ * @returns {{ safe, crop, trim, bleed }|null} Rects in the crop box's coordinates, or null without a print size
+ */
+export function getPrintGuides(cropBox, printSize, guides = PRINT_GUIDES) {
+  if (!(printSize?.width > 0) || !(printSize?.height > 0)) return null;
+  const perCmX = cropBox.width / printSize.width;
+  const perCmY = cropBox.height / printSize.height;
+
+  return {
+    safe: growRect(cropBox, -guides.safeAreaCm * perCmX, -guides.safeAreaCm * perCmY),
+    crop: { ...cropBox },
+    trim: growRect(cropBox, guides.trimCm * perCmX, guides.trimCm * perCmY),
+    bleed: growRect(cropBox, (guides.trimCm + guides.bleedCm) * perCmX, (guides.trimCm + guides.bleedCm) * perCmY),
+  };
+}
+
+/**
+ * Surround a rendered print face with generated edges: mirrored at the face edges, or the
+ * edge pixels stretched outwards. The margins must not exceed the face size.
+ *
+ * @param {HTMLCanvasElement} face - The rendered print face
+ * @param {number} marginX - Pixels added left and right
+ * @param {number} marginY - Pixels added top and bottom
+ * @param {"mirror"|"stretch"} mode - Edge fill mode
+ * @returns {HTMLCanvasElement} New canvas of (face + 2 × margin) pixels
+ */
+export function fillPrintEdges(face, marginX, marginY, mode) {
+  const w = face.width;
+  const h = face.height;
+  const canvas = document.createElement("canvas");
+  canvas.width = w + marginX * 2;
+  canvas.height = h + marginY * 2;
+  const ctx = canvas.getContext("2d");
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = "high";
+
+  // Column / row offsets of the 3 × 3 tiles: the face in the middle, the edges around it
+  const xs = [
+    { dx: 0, dw: marginX, sx: 0, sw: 1, mirrorSx: 0, mirrorSw: marginX },
+    { dx: marginX, dw: w, sx: 0, sw: w, mirrorSx: 0, mirrorSw: w },
+    { dx: marginX + w, dw: marginX, sx: w - 1, sw: 1, mirrorSx: w - marginX, mirrorSw: marginX },
+  ];
+  const ys = [
+    { dy: 0, dh: marginY, sy: 0, sh: 1, mirrorSy: 0, mirrorSh: marginY },
+    { dy: marginY, dh: h, sy: 0, sh: h, mirrorSy: 0, mirrorSh: h },
+    { dy: marginY + h, dh: marginY, sy: h - 1, sh: 1, mirrorSy: h - marginY, mirrorSh: marginY },
+  ];
+
+  xs.forEach((col, i) => {
+    ys.forEach((row, j) => {
+      if (col.dw <= 0 || row.dh <= 0) return;
+      if (mode === "mirror") {
+        // Outer tiles show the strip next to the edge, flipped across it
+        const flipX = i !== 1;
+        const flipY = j !== 1;
+        ctx.save();
+        ctx.translate(col.dx + (flipX ? col.dw : 0), row.dy + (flipY ? row.dh : 0));
+        ctx.scale(flipX ? -1 : 1, flipY ? -1 : 1);
+        ctx.drawImage(face, col.mirrorSx, row.mirrorSy, col.mirrorSw, row.mirrorSh, 0, 0, col.dw, row.dh);
+        ctx.restore();
+      } else {
+        ctx.drawImage(face, col.sx, row.sy, col.sw, row.sh, col.dx, row.dy, col.dw, row.dh);
+      }
+    });
+  });
+  return canvas;
+}
+
+/**
+ * Download a print file as PNG.
+ *
+ * @param {HTMLCanvasElement} canvas - Result of the modal's print file export
+ * @param {string} baseName - Source image name (the extension is dropped)
+ * @returns {Promise<void>} Rejects when the canvas cannot be encoded
+ */
+export function downloadPrintFile(canvas, baseName) {
+  const name = (baseName || "artwork").replace(/\.[^.]+$/, "").replace(/[^\w-]+/g, "_");
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (!blob) {
+        reject(new Error("Could not encode the print file"));
+        return;
+      }
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `${name}-print.png`;
+      document.body.appendChild(link);
+      link.click();
+
+      // Cleanup
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+      resolve();
+    }, "image/png");
+  });
+}
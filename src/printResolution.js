@@ -0,0 +1,116 @@
+import printResolutionConfig from "./config/printResolution.json";
+import { findUserDataTag } from "./materialRoleClassifier.js";
+
+/**
+ * Print resolution (effective DPI) checks.
+ *
+ * Effective DPI is how many source image pixels end up on each inch of the physical print after
+ * the artwork is cropped and scaled in the transform modal. The thresholds live in
+ * src/config/printResolution.json:
+ *
+ * ```json
+ * {
+ *   "targetDpi": 300,
+ *   "minimumDpi": 150,
+ *   "belowMinimum": "warn"
+ * }
+ * ```
+ *
+ * At or above `targetDpi` the print is sharp (green), between the two it is acceptable (amber),
+ * below `minimumDpi` it looks soft (red). `belowMinimum` decides what "Confirm & Apply" does
+ * then: `"warn"` asks for confirmation, `"block"` refuses to apply.
+ */
+
+const CM_PER_INCH = 2.54;
+
+// Physical units accepted in userData.printSize, in centimeters
+const UNIT_TO_CM = { mm: 0.1, cm: 1, m: 100, in: CM_PER_INCH };
+
+const RESOLUTION_DEFAULTS = { targetDpi: 300, minimumDpi: 150, belowMinimum: "warn" };
+
+function normalizeResolutionConfig(config) {
+  const resolved = { ...RESOLUTION_DEFAULTS, ...config };
+  if (!(resolved.minimumDpi > 0) || !(resolved.targetDpi >= resolved.minimumDpi)) {
+    console.warn(
+      `Invalid print resolution thresholds (target ${resolved.targetDpi}, minimum ${resolved.minimumDpi}) - using the defaults`
+    );
+    resolved.targetDpi = RESOLUTION_DEFAULTS.targetDpi;
+    resolved.minimumDpi = RESOLUTION_DEFAULTS.minimumDpi;
+  }
+  if (resolved.belowMinimum !== "warn" && resolved.belowMinimum !== "block") {
+    console.warn(`Unknown print resolution belowMinimum "${resolved.belowMinimum}" - expected "warn" or "block"`);
+    resolved.belowMinimum = RESOLUTION_DEFAULTS.belowMinimum;
+  }
+  return resolved;
+}
+
+export const PRINT_RESOLUTION = normalizeResolutionConfig(printResolutionConfig);
+
+/**
+ * Read the optional userData.printSize tag (physical width x height of the print).
+ * Accepts a string ("60x40cm", "24 x 36 in", "600x400mm"; centimeters without a unit) or an
+ * object { width, height, unit }.
+ *
+ * @param {THREE.Object3D} mesh
+ * @param {THREE.Material} material
+ * @returns {{ width: number, height: number }|null} Size in centimeters, or null when untagged/invalid
+ */
+export function getPrintSize(mesh, material) {
+  const tag = findUserDataTag(mesh, material, "printSize");
+  if (!tag) return null;
+
+  let width = NaN;
+  let height = NaN;
+  let unit = "cm";
+  if (typeof tag.value === "string") {
+    const match = tag.value.trim().match(/^([\d.]+)\s*[x×*]\s*([\d.]+)\s*([a-z]*)$/i);
+    if (match) {
+      width = parseFloat(match[1]);
+      height = parseFloat(match[2]);
+      unit = match[3].toLowerCase() || "cm";
+    }
+  } else if (tag.value && typeof tag.value === "object") {
+    width = Number(tag.value.width);
+    height = Number(tag.value.height);
+    unit = tag.value.unit || "cm";
+  }
+
+  const factor = UNIT_TO_CM[unit];
+  if (!factor || !(width > 0) || !(height > 0)) {
+    const value = typeof tag.value === "string" ? tag.value : JSON.stringify(tag.value);
+    console.warn(`Ignoring invalid userData.printSize "${value}" on ${tag.where}`);
+    return null;
+  }
+  return { width: width * factor, height: height * factor };
+}
+
+/**
+ * Effective DPI of a crop: source pixels across the print divided by its physical size.
+ *
+ * @param {Object} crop
+ * @param {number} crop.pixelsX - Source image pixels across the print width
+ * @param {number} crop.pixelsY - Source image pixels across the print height
+ * @param {{ width: number, height: number }} printSize - Physical print size in centimeters
+ * @returns {{ dpi: number, dpiX: number, dpiY: number }|null} dpi is the lower of the two axes;
+ *   null without a valid print size
+ */
+export function computeEffectiveDpi({ pixelsX, pixelsY }, printSize) {
+  if (!(printSize?.width > 0) || !(printSize?.height > 0)) return null;
+  const dpiX = pixelsX / (printSize.width / CM_PER_INCH);
+  const dpiY = pixelsY / (printSize.height / CM_PER_INCH);
+  if (!Number.isFinite(dpiX) || !Number.isFinite(dpiY)) return null;
+  return { dpi: Math.min(dpiX, dpiY), dpiX, dpiY };
+}
+
+/**
+ * Rate an effective DPI against the configured thresholds.
+ *
+ * @param {number} dpi - Effective DPI
+ * @param {Object} config - Thresholds (default: PRINT_RESOLUTION)
+ * @returns {"good"|"acceptable"|"low"}
+ */
+export function getDpiRating(dpi, config = PRINT_RESOLUTION) {
+  if (dpi >= config.targetDpi) return "good";
+  if (dpi >= config.minimumDpi) return "acceptable";
+  return "low";
+}
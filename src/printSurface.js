@@ -0,0 +1,235 @@
+import * as THREE from "three";
+
+/**
+ * Print surface measurements from a mesh's geometry and UVs.
+ *
+ * The artwork crop must match the surface it is printed on: a portrait frame needs a portrait
+ * crop, a panoramic board a panoramic one. Besides the world-space size of the surface this
+ * matters for how the texture is laid out: the exported image always fills the whole 0..1 UV
+ * square, so its pixel aspect has to compensate when the UVs only cover part of it or are
+ * stretched (textureAspect).
+ */
+
+// Common print ratios (width / height) for the manual aspect override
+export const PRINT_ASPECT_PRESETS = [
+  { id: "1:1", label: "Square 1:1", aspect: 1 },
+  { id: "4:5", label: "Portrait 4:5", aspect: 4 / 5 },
+  { id: "3:4", label: "Portrait 3:4", aspect: 3 / 4 },
+  { id: "2:3", label: "Portrait 2:3", aspect: 2 / 3 },
+  { id: "5:4", label: "Landscape 5:4", aspect: 5 / 4 },
+  { id: "4:3", label: "Landscape 4:3", aspect: 4 / 3 },
+  { id: "3:2", label: "Landscape 3:2", aspect: 3 / 2 },
+  { id: "16:9", label: "Wide 16:9", aspect: 16 / 9 },
+  { id: "2:1", label: "Panoramic 2:1", aspect: 2 },
+  { id: "3:1", label: "Panoramic 3:1", aspect: 3 },
+];
+
+// Share of the texture the UV bounds must span before the layout counts as "filling" it
+const UV_FILL_THRESHOLD = 0.95;
+const UV_EPSILON = 0.001;
+
+// The UV attribute the material's map samples (texture.channel, glTF TEXCOORD_n)
+function getMapUvAttribute(mesh, materialIndex) {
+  const mats = Array.isArray(mesh.material) ? mesh.material : [mesh.material];
+  const channel = mats[materialIndex]?.map?.channel || 0;
+  return mesh.geometry.attributes[channel === 0 ? "uv" : `uv${channel}`] || null;
+}
+
+// Call fn(a, b, c) with the vertex indices of every triangle drawn with the material.
+// A single material draws the whole geometry; material arrays draw their groups.
+function forEachMaterialTriangle(mesh, materialIndex, fn) {
+  const geometry = mesh.geometry;
+  const index = geometry.index;
+  const vertexCount = index ? index.count : geometry.attributes.position.count;
+  const ranges =
+    Array.isArray(mesh.material) && geometry.groups.length > 0
+      ? geometry.groups.filter((group) => group.materialIndex === materialIndex)
+      : [{ start: 0, count: vertexCount }];
+
+  ranges.forEach(({ start, count }) => {
+    const end = Math.min(start + count, vertexCount);
+    for (let i = start; i + 2 < end; i += 3) {
+      if (index) fn(index.getX(i), index.getX(i + 1), index.getX(i + 2));
+      else fn(i, i + 1, i + 2);
+    }
+  });
+}
+
+/**
+ * Measure the part of a mesh drawn with one material: UV bounds and the world-space size of
+ * the surface along the texture's U (width) and V (height) directions. Curved surfaces are
+ * measured along the surface, not their bounding box.
+ *
+ * Sizes are in the units of `root` (glTF: meters) so the viewer's auto-scaling does not change them.
+ *
+ * @param {THREE.Mesh} mesh - Mesh owning the print material
+ * @param {number} materialIndex - Index into mesh.material when it is an array
+ * @param {Object} options
+ * @param {THREE.Object3D} options.root - Model root to measure in (default: world space)
+ * @returns {{ uvBounds: { minU, maxU, minV, maxV }, uvArea: number, worldSize: { width, height, area },
+ *   aspect: number, textureAspect: number }|null} Measurements, or null without UVs / area.
+ *   aspect is the physical width / height; textureAspect the width / height the texture image needs.
+ */
+export function measurePrintSurface(mesh, materialIndex = 0, { root = null } = {}) {
+  const geometry = mesh?.geometry;
+  const position = geometry?.attributes?.position;
+  if (!position) return null;
+
+  const uv = getMapUvAttribute(mesh, materialIndex);
+  if (!uv) return null;
+
+  mesh.updateWorldMatrix(true, false);
+  const matrix = mesh.matrixWorld.clone();
+  if (root) {
+    root.updateWorldMatrix(true, false);
+    matrix.premultiply(root.matrixWorld.clone().invert());
+  }
+
+  const p = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+  const t = [new THREE.Vector2(), new THREE.Vector2(), new THREE.Vector2()];
+  const e1 = new THREE.Vector3();
+  const e2 = new THREE.Vector3();
+  const dPdu = new THREE.Vector3();
+  const dPdv = new THREE.Vector3();
+  const cross = new THREE.Vector3();
+
+  const uvBounds = { minU: Infinity, maxU: -Infinity, minV: Infinity, maxV: -Infinity };
+  let weightedU = 0; // Σ area · |dP/du|
+  let weightedV = 0; // Σ area · |dP/dv|
+  let area = 0;
+  let uvArea = 0;
+
+  forEachMaterialTriangle(mesh, materialIndex, (...vertices) => {
+    vertices.forEach((vertex, k) => {
+      p[k].fromBufferAttribute(position, vertex).applyMatrix4(matrix);
+      t[k].fromBufferAttribute(uv, vertex);
+      uvBounds.minU = Math.min(uvBounds.minU, t[k].x);
+      uvBounds.maxU = Math.max(uvBounds.maxU, t[k].x);
+      uvBounds.minV = Math.min(uvBounds.minV, t[k].y);
+      uvBounds.maxV = Math.max(uvBounds.maxV, t[k].y);
+    });
+
+    e1.subVectors(p[1], p[0]);
+    e2.subVectors(p[2], p[0]);
+    const du1 = t[1].x - t[0].x;
+    const dv1 = t[1].y - t[0].y;
+    const du2 = t[2].x - t[0].x;
+    const dv2 = t[2].y - t[0].y;
+    const det = du1 * dv2 - du2 * dv1;
+    if (Math.abs(det) < 1e-12) return; // Degenerate UVs
+
+    // Surface derivatives along U and V (the tangent frame of the triangle)
+    dPdu.copy(e1).multiplyScalar(dv2).addScaledVector(e2, -dv1).divideScalar(det);
+    dPdv.copy(e2).multiplyScalar(du1).addScaledVector(e1, -du2).divideScalar(det);
+    const triangleArea = cross.crossVectors(e1, e2).length() / 2;
+
+    weightedU += dPdu.length() * triangleArea;
+    weightedV += dPdv.length() * triangleArea;
+    area += triangleArea;
+    uvArea += Math.abs(det) / 2;
+  });
+
+  if (!(area > 0) || !(weightedU > 0) || !(weightedV > 0)) return null;
+
+  // World units per UV unit, averaged over the surface
+  const unitsPerU = weightedU / area;
+  const unitsPerV = weightedV / area;
+  const width = unitsPerU * (uvBounds.maxU - uvBounds.minU);
+  const height = unitsPerV * (uvBounds.maxV - uvBounds.minV);
+
+  return {
+    uvBounds,
+    uvArea,
+    worldSize: { width, height, area },
+    aspect: width / height,
+    textureAspect: unitsPerU / unitsPerV,
+  };
+}
+
+/**
+ * UV coordinates of every triangle drawn with the material, for drawing the UV layout.
+ *
+ * @param {THREE.Mesh} mesh - Mesh owning the print material
+ * @param {number} materialIndex - Index into mesh.material when it is an array
+ * @returns {Float32Array|null} [u0, v0, u1, v1, u2, v2, ...] per triangle, or null without UVs
+ */
+export function getPrintSurfaceUvTriangles(mesh, materialIndex = 0) {
+  if (!mesh?.geometry?.attributes?.position) return null;
+  const uv = getMapUvAttribute(mesh, materialIndex);
+  if (!uv) return null;
+
+  const coords = [];
+  forEachMaterialTriangle(mesh, materialIndex, (...vertices) => {
+    vertices.forEach((vertex) => coords.push(uv.getX(vertex), uv.getY(vertex)));
+  });
+  return new Float32Array(coords);
+}
+
+/**
+ * Problems of a print surface's UV layout that make the crop land wrong.
+ *
+ * @param {Object|null} surface - Result of measurePrintSurface()
+ * @returns {Array<{ code: string, message: string }>} Codes: uv-outside, uv-partial, uv-overlap
+ */
+export function getUvLayoutWarnings(surface) {
+  if (!surface) return [];
+  const { minU, maxU, minV, maxV } = surface.uvBounds;
+  const spanU = maxU - minU;
+  const spanV = maxV - minV;
+  const percent = (value) => `${Math.round(value * 100)}%`;
+  const warnings = [];
+
+  if (minU < -UV_EPSILON || minV < -UV_EPSILON || maxU > 1 + UV_EPSILON || maxV > 1 + UV_EPSILON) {
+    warnings.push({
+      code: "uv-outside",
+      message: `UVs reach outside 0–1 (u ${minU.toFixed(2)}..${maxU.toFixed(2)}, v ${minV.toFixed(2)}..${maxV.toFixed(2)}) - the texture edge is stretched there`,
+    });
+  } else if (spanU < UV_FILL_THRESHOLD || spanV < UV_FILL_THRESHOLD) {
+    warnings.push({
+      code: "uv-partial",
+      message: `UVs only use ${percent(spanU)} × ${percent(spanV)} of the texture - part of the crop never shows on the print`,
+    });
+  }
+
+  // Islands covering their bounding box more than once are mirrored or stacked on top of each other
+  if (spanU > 0 && spanV > 0 && surface.uvArea > spanU * spanV * 1.05) {
+    warnings.push({
+      code: "uv-overlap",
+      message: "UV triangles overlap (mirrored or stacked islands) - the same artwork area repeats on the print",
+    });
+  }
+  return warnings;
+}
+
+/**
+ * Width / height the texture image needs so a print of `printAspect` shows undistorted on a
+ * measured surface. Without measurements the texture aspect is the print aspect.
+ *
+ * @param {number} printAspect - Physical width / height of the print
+ * @param {Object|null} surface - Result of measurePrintSurface()
+ * @returns {number}
+ */
+export function getTextureAspectForPrint(printAspect, surface) {
+  if (!surface) return printAspect;
+  const { minU, maxU, minV, maxV } = surface.uvBounds;
+  const spanU = maxU - minU;
+  const spanV = maxV - minV;
+  if (!(spanU > 0) || !(spanV > 0)) return printAspect;
+  return printAspect * (spanV / spanU);
+}
+
+/**
+ * Short human-readable description of an aspect ratio ("Portrait 2:3", "Landscape 1.42:1").
+ *
+ * @param {number} aspect - Width / height
+ * @returns {string}
+ */
+export function describeAspect(aspect) {
+  if (!(aspect > 0)) return "Unknown";
+  const preset = PRINT_ASPECT_PRESETS.find((p) => Math.abs(p.aspect - aspect) / p.aspect < 0.01);
+  if (preset) return preset.label;
+
+  const orientation = aspect >= 1.9 ? "Panoramic" : aspect > 1.01 ? "Landscape" : aspect < 0.99 ? "Portrait" : "Square";
+  const ratio = aspect >= 1 ? `${Number(aspect.toFixed(2))}:1` : `1:${Number((1 / aspect).toFixed(2))}`;
+  return `${orientation} ${ratio}`;
+}
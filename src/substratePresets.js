@@ -0,0 +1,243 @@
+import * as THREE from "three";
+import substrateConfig from "./config/substratePresets.json";
+
+/**
+ * Print substrate presets (matte paper, glossy photo, canvas, ...).
+ *
+ * Presets live in src/config/substratePresets.json so new finishes can be added without
+ * touching the viewer code:
+ *
+ * ```json
+ * {
+ *   "id": "canvas",
+ *   "name": "Canvas",
+ *   "roughness": 0.7,
+ *   "specularIntensity": 0.08,
+ *   "clearcoat": 0,
+ *   "clearcoatRoughness": 0,
+ *   "sheen": 0.5,
+ *   "sheenRoughness": 0.6,
+ *   "sheenColor": "#f4efe6",
+ *   "normal": { "pattern": "canvas", "strength": 0.45, "repeat": 24 },
+ *   "envMapIntensity": 0.55
+ * }
+ * ```
+ *
+ * `normal.pattern` is one of SURFACE_PATTERNS (or `null` for a flat surface); the normal map is
+ * generated procedurally and tiled `repeat` times across the print's UVs. `envMapIntensity` is
+ * the base IBL intensity before the reflection slider multiplier. Missing values fall back to
+ * the glossy photo look.
+ */
+
+export const SURFACE_PATTERNS = ["paper", "canvas", "brushed"];
+
+const PRESET_DEFAULTS = {
+  roughness: 0.25,
+  specularIntensity: 0.12,
+  clearcoat: 0,
+  clearcoatRoughness: 0,
+  sheen: 0,
+  sheenRoughness: 0.5,
+  sheenColor: "#ffffff",
+  normal: null,
+  envMapIntensity: 0.9,
+};
+
+const NORMAL_MAP_SIZE = 256;
+
+// Validate one preset entry; returns null for entries that cannot be used
+function normalizeSubstratePreset(entry, index) {
+  if (!entry || typeof entry.id !== "string" || !entry.id) {
+    console.warn(`Substrate preset ${index} has no "id" - skipping`);
+    return null;
+  }
+
+  const preset = { ...PRESET_DEFAULTS, ...entry, name: entry.name || entry.id };
+  if (preset.normal && !SURFACE_PATTERNS.includes(preset.normal.pattern)) {
+    console.warn(`Substrate preset "${entry.id}": unknown normal pattern "${preset.normal.pattern}" - using a flat surface`);
+    preset.normal = null;
+  }
+  if (preset.normal) {
+    preset.normal = { strength: 0.2, repeat: 1, ...preset.normal };
+  }
+  return preset;
+}
+
+export const SUBSTRATE_PRESETS = (substrateConfig.presets || []).map(normalizeSubstratePreset).filter(Boolean);
+
+export const DEFAULT_SUBSTRATE_ID = SUBSTRATE_PRESETS.some((p) => p.id === substrateConfig.defaultPreset)
+  ? substrateConfig.defaultPreset
+  : SUBSTRATE_PRESETS[0]?.id || null;
+
+/**
+ * Look up a preset by id.
+ *
+ * @param {string} id - Preset id (default: the configured default preset)
+ * @returns {Object} Normalized preset; the default preset (or the built-in glossy look) for unknown ids
+ */
+export function getSubstratePreset(id = DEFAULT_SUBSTRATE_ID) {
+  return (
+    SUBSTRATE_PRESETS.find((p) => p.id === id) ||
+    SUBSTRATE_PRESETS.find((p) => p.id === DEFAULT_SUBSTRATE_ID) || { id: "default", name: "Default", ...PRESET_DEFAULTS }
+  );
+}
+
+// Small seeded PRNG (mulberry32) so generated surfaces look the same on every load
+function createRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Tileable 2D value noise: a cells x cells lattice of random values, smoothly interpolated
+function createValueNoise(cells, random) {
+  const lattice = Array.from({ length: cells * cells }, () => random());
+  const at = (x, y) => lattice[((y + cells) % cells) * cells + ((x + cells) % cells)];
+  const smooth = (t) => t * t * (3 - 2 * t);
+
+  return (u, v) => {
+    const x = u * cells;
+    const y = v * cells;
+    const x0 = Math.floor(x);
+    const y0 = Math.floor(y);
+    const sx = smooth(x - x0);
+    const sy = smooth(y - y0);
+    const top = at(x0, y0) + (at(x0 + 1, y0) - at(x0, y0)) * sx;
+    const bottom = at(x0, y0 + 1) + (at(x0 + 1, y0 + 1) - at(x0, y0 + 1)) * sx;
+    return top + (bottom - top) * sy;
+  };
+}
+
+// Height fields in 0..1 for u, v in 0..1; all of them tile seamlessly
+const HEIGHT_FIELDS = {
+  // Paper grain: a few octaves of fine, irregular fibres
+  paper: (random) => {
+    const octaves = [8, 16, 32, 64].map((cells) => createValueNoise(cells, random));
+    return (u, v) => octaves.reduce((sum, noise, i) => sum + noise(u, v) / (2 << i), 0) + random() * 0.05;
+  },
+  // Canvas weave: warp and weft threads alternating over/under each other
+  canvas: (random) => {
+    const threads = 16;
+    const slub = createValueNoise(32, random); // Thread thickness irregularities
+    const profile = (t) => Math.sin(Math.PI * (t - Math.floor(t)));
+    return (u, v) => {
+      const x = u * threads;
+      const y = v * threads;
+      const warpOnTop = (Math.floor(x) + Math.floor(y)) % 2 === 0;
+      const warp = profile(x) * (warpOnTop ? 1 : 0.55);
+      const weft = profile(y) * (warpOnTop ? 0.55 : 1);
+      return Math.max(warp, weft) * (0.85 + 0.15 * slub(u, v));
+    };
+  },
+  // Brushed aluminium: long streaks along u, varying from row to row
+  brushed: (random) => {
+    const rows = 256;
+    const rowHeights = Array.from({ length: rows }, () => random());
+    const streaks = createValueNoise(4, random);
+    return (u, v) => {
+      const row = Math.floor(v * rows) % rows;
+      return rowHeights[row] * 0.8 + streaks(u, v) * 0.2;
+    };
+  },
+};
+
+const normalTextureCache = new Map();
+
+/**
+ * Procedurally generated, tileable tangent-space normal map for a surface pattern.
+ * Textures are cached per pattern; clone them to give a material its own repeat.
+ *
+ * @param {string} pattern - One of SURFACE_PATTERNS
+ * @param {number} size - Texture width/height in pixels (default: 256)
+ * @returns {THREE.DataTexture}
+ */
+export function createSurfaceNormalTexture(pattern, size = NORMAL_MAP_SIZE) {
+  const key = `${pattern}:${size}`;
+  if (normalTextureCache.has(key)) return normalTextureCache.get(key);
+
+  const heightAt = HEIGHT_FIELDS[pattern](createRandom(size + pattern.length * 7919));
+  const heights = new Float32Array(size * size);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      heights[y * size + x] = heightAt(x / size, y / size);
+    }
+  }
+
+  // Normals from central differences of the height field (wrapping at the edges)
+  const h = (x, y) => heights[((y + size) % size) * size + ((x + size) % size)];
+  const data = new Uint8Array(size * size * 4);
+  const normal = new THREE.Vector3();
+  const slope = size / 32; // Height units per texel → normal tilt
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const dx = (h(x + 1, y) - h(x - 1, y)) * slope;
+      const dy = (h(x, y + 1) - h(x, y - 1)) * slope;
+      normal.set(-dx, -dy, 1).normalize();
+      const i = (y * size + x) * 4;
+      data[i] = Math.round((normal.x * 0.5 + 0.5) * 255);
+      data[i + 1] = Math.round((normal.y * 0.5 + 0.5) * 255);
+      data[i + 2] = Math.round((normal.z * 0.5 + 0.5) * 255);
+      data[i + 3] = 255;
+    }
+  }
+
+  const texture = new THREE.DataTexture(data, size, size);
+  texture.colorSpace = THREE.NoColorSpace; // Normal data, not color
+  texture.wrapS = THREE.RepeatWrapping;
+  texture.wrapT = THREE.RepeatWrapping;
+  texture.generateMipmaps = true;
+  texture.minFilter = THREE.LinearMipmapLinearFilter;
+  texture.magFilter = THREE.LinearFilter;
+  texture.needsUpdate = true;
+  texture.name = `substrate-${pattern}`;
+
+  normalTextureCache.set(key, texture);
+  return texture;
+}
+
+/**
+ * Apply a substrate preset to a print material (MeshPhysicalMaterial).
+ *
+ * envMapIntensity is not set here: the caller scales the returned base intensity by the
+ * reflection slider, like the other material treatments.
+ *
+ * @param {THREE.MeshPhysicalMaterial} material - Print material
+ * @param {Object} preset - Normalized preset (see getSubstratePreset)
+ * @returns {number} Base envMapIntensity of the preset
+ */
+export function applySubstratePreset(material, preset) {
+  material.roughness = preset.roughness;
+  material.clearcoat = preset.clearcoat;
+  material.clearcoatRoughness = preset.clearcoatRoughness;
+  if (material.specularIntensity !== undefined) {
+    material.specularIntensity = preset.specularIntensity;
+  }
+  if (material.sheen !== undefined) {
+    material.sheen = preset.sheen;
+    material.sheenRoughness = preset.sheenRoughness;
+    material.sheenColor.set(preset.sheenColor);
+  }
+
+  // Replace the previous preset's surface normal (only ours - never a normal map from the model)
+  if (material.normalMap?.userData.isSubstrateNormal) {
+    material.normalMap.dispose();
+    material.normalMap = null;
+  }
+  if (preset.normal) {
+    const normalMap = createSurfaceNormalTexture(preset.normal.pattern).clone();
+    normalMap.repeat.set(preset.normal.repeat, preset.normal.repeat);
+    normalMap.userData.isSubstrateNormal = true;
+    normalMap.needsUpdate = true;
+    material.normalMap = normalMap;
+    material.normalScale.set(preset.normal.strength, preset.normal.strength);
+  }
+
+  material.userData.substrateId = preset.id;
+  material.needsUpdate = true;
+  return preset.envMapIntensity;
+}
@@ -0,0 +1,126 @@
+import textureExportConfig from "./config/textureExport.json";
+
+/**
+ * Output sizes of the transform modal's exports.
+ *
+ * The texture put on the model is sized by src/config/textureExport.json:
+ *
+ * ```json
+ * {
+ *   "size": "auto",
+ *   "minSize": 1024,
+ *   "maxSize": 4096,
+ *   "printMaxPixels": 36000000
+ * }
+ * ```
+ *
+ * `size` is the long side in pixels (`1024`, `2048`, ...) or `"auto"`: the largest power of two
+ * the source detail under the crop justifies, between `minSize` and `maxSize`. Every size is
+ * capped at the GPU's maxTextureSize. The print file is exported separately at the full source
+ * resolution, up to `printMaxPixels` (width × height): the default 36 MP (6000 × 6000) keeps the
+ * file canvas, its edge-fill copy and the adjustment strips within what browsers allocate.
+ */
+
+// Fixed long-side sizes offered next to "auto"
+export const TEXTURE_SIZE_OPTIONS = [1024, 2048, 4096, 8192];
+
+// Auto rounds down to a power of two unless the source has this much more detail than it
+const AUTO_DETAIL_TOLERANCE = 1.25;
+
+// Largest canvas side browsers reliably allocate
+const MAX_CANVAS_SIDE = 16384;
+
+const EXPORT_DEFAULTS = { size: "auto", minSize: 1024, maxSize: 4096, printMaxPixels: 36000000 };
+
+const isPowerOfTwo = (value) => Number.isInteger(value) && value > 0 && (value & (value - 1)) === 0;
+const floorPowerOfTwo = (value) => 2 ** Math.floor(Math.log2(Math.max(1, value)));
+
+function normalizeExportConfig(config) {
+  const resolved = { ...EXPORT_DEFAULTS, ...config };
+  ["minSize", "maxSize"].forEach((key) => {
+    if (!isPowerOfTwo(resolved[key])) {
+      console.warn(`Texture export ${key} ${JSON.stringify(resolved[key])} is not a power of two - using ${EXPORT_DEFAULTS[key]}`);
+      resolved[key] = EXPORT_DEFAULTS[key];
+    }
+  });
+  if (resolved.minSize > resolved.maxSize) {
+    console.warn(`Texture export minSize ${resolved.minSize} is above maxSize ${resolved.maxSize} - using maxSize for both`);
+    resolved.minSize = resolved.maxSize;
+  }
+  if (resolved.size !== "auto" && !(Number.isInteger(resolved.size) && resolved.size > 0)) {
+    console.warn(`Unknown texture export size ${JSON.stringify(resolved.size)} - expected "auto" or pixels`);
+    resolved.size = "auto";
+  }
+  if (!(resolved.printMaxPixels > 0)) {
+    console.warn(`Invalid printMaxPixels ${JSON.stringify(resolved.printMaxPixels)} - using ${EXPORT_DEFAULTS.printMaxPixels}`);
+    resolved.printMaxPixels = EXPORT_DEFAULTS.printMaxPixels;
+  }
+  return resolved;
+}
+
+export const TEXTURE_EXPORT = normalizeExportConfig(textureExportConfig);
+
+/**
+ * Largest texture the renderer's GPU accepts.
+ *
+ * @param {THREE.WebGLRenderer|null} renderer
+ * @returns {number} Pixels per side (4096 without a renderer)
+ */
+export function getMaxTextureSize(renderer) {
+  return renderer?.capabilities?.maxTextureSize || 4096;
+}
+
+/**
+ * Pixel size of the texture export.
+ *
+ * @param {"auto"|number} size - Long side in pixels, or "auto"
+ * @param {Object} options
+ * @param {number} options.detailX - Source pixels across the texture's width
+ * @param {number} options.detailY - Source pixels across the texture's height
+ * @param {number} options.aspect - Width / height of the texture
+ * @param {number} options.maxTextureSize - GPU limit (see getMaxTextureSize)
+ * @returns {{ width: number, height: number }}
+ */
+export function getTextureExportSize(size, { detailX, detailY, aspect, maxTextureSize }) {
+  const gpuLimit = floorPowerOfTwo(maxTextureSize);
+  let longSide;
+  if (size === "auto") {
+    // Source pixels along the long side (the short side's detail counts at the texture aspect)
+    const detail = aspect >= 1 ? Math.max(detailX, detailY * aspect) : Math.max(detailY, detailX / aspect);
+    const justified = Number.isFinite(detail) ? floorPowerOfTwo(detail * AUTO_DETAIL_TOLERANCE) : TEXTURE_EXPORT.minSize;
+    longSide = Math.min(Math.max(justified, TEXTURE_EXPORT.minSize), TEXTURE_EXPORT.maxSize, gpuLimit);
+  } else {
+    longSide = Math.min(size, gpuLimit);
+  }
+
+  return aspect >= 1
+    ? { width: longSide, height: Math.max(1, Math.round(longSide / aspect)) }
+    : { width: Math.max(1, Math.round(longSide * aspect)), height: longSide };
+}
+
+/**
+ * Pixel size of the full-resolution print file: the source detail under the print face, within
+ * printMaxPixels for the whole file (face + margins) and the browser's canvas limits.
+ *
+ * @param {Object} options
+ * @param {number} options.detailX - Source pixels across the face's width
+ * @param {number} options.detailY - Source pixels across the face's height
+ * @param {number} options.aspect - Width / height of the face
+ * @param {number} options.marginScale - (face + margins) / face along each axis, e.g. 1.1 for 5% on every side
+ * @returns {{ width: number, height: number, limited: boolean }} Face size; limited when capped
+ */
+export function getPrintExportSize({ detailX, detailY, aspect, marginScale = 1 }) {
+  // Keep the face aspect at the higher of the two axes' detail
+  let width = Math.max(detailX, detailY * aspect);
+  let height = width / aspect;
+
+  const fileScale = Math.min(
+    1,
+    Math.sqrt(TEXTURE_EXPORT.printMaxPixels / (width * height * marginScale * marginScale)),
+    MAX_CANVAS_SIDE / (width * marginScale),
+    MAX_CANVAS_SIDE / (height * marginScale)
+  );
+  width *= fileScale;
+  height *= fileScale;
+  return { width: Math.max(1, Math.round(width)), height: Math.max(1, Math.round(height)), limited: fileScale < 1 };
+}
@@ -0,0 +1,205 @@
+import * as THREE from "three";
+
+/**
+ * Texture helpers shared by the viewer components.
+ */
+
+// Make print textures crisp and high-quality
+export function makePrintTextureCrisp(tex, renderer) {
+  if (!tex) return;
+  tex.colorSpace = THREE.SRGBColorSpace;
+  tex.flipY = false;
+
+  // Sharp sampling for print-like crispness
+  tex.generateMipmaps = true; // Keep ON for stability
+  tex.minFilter = THREE.LinearMipmapLinearFilter; // Good default for minification
+  tex.magFilter = THREE.LinearFilter; // Crisp when viewed up close (try NearestFilter if too harsh)
+
+  // Anisotropy is the biggest win for "print sharpness" when the surface is tilted
+  tex.anisotropy = renderer
+    ? renderer.capabilities.getMaxAnisotropy()
+    : 16; // High anisotropy for maximum sharpness
+
+  tex.needsUpdate = true;
+}
+
+/**
+ * Whether a File (or DataTransferItem) is an image the browser can decode.
+ *
+ * @param {File|DataTransferItem} file
+ * @returns {boolean}
+ */
+export function isImageFile(file) {
+  return !!file && typeof file.type === "string" && file.type.startsWith("image/");
+}
+
+/**
+ * Decode a user image (file input, drop or clipboard paste) into a print-ready texture.
+ *
+ * @param {File|Blob} file - Image file
+ * @param {THREE.WebGLRenderer} renderer - Renderer (for max anisotropy)
+ * @returns {Promise<{ texture: THREE.Texture, source: Object }>} Texture plus source metadata
+ *   { name, type, size, lastModified, width, height }
+ */
+export async function loadImageFileTexture(file, renderer) {
+  if (!isImageFile(file)) {
+    throw new Error(`${file?.name || "File"} is not an image`);
+  }
+  const bitmap = await createImageBitmap(file);
+  const texture = new THREE.Texture(bitmap);
+  makePrintTextureCrisp(texture, renderer);
+  texture.name = file.name || "pasted-image";
+  texture.userData.isUserArtwork = true;
+
+  return {
+    texture,
+    source: {
+      name: file.name || "pasted-image",
+      type: file.type,
+      size: file.size,
+      lastModified: file.lastModified ?? null,
+      width: bitmap.width,
+      height: bitmap.height,
+    },
+  };
+}
+
+/**
+ * Print texture from a rendered canvas, uploaded from an ImageBitmap - no PNG / data URL round
+ * trip through an image loader.
+ *
+ * @param {HTMLCanvasElement} canvas - Rendered texture
+ * @param {THREE.WebGLRenderer} renderer - For anisotropy
+ * @returns {Promise<THREE.Texture>} User artwork texture (userData.isUserArtwork)
+ */
+export async function createCanvasTexture(canvas, renderer) {
+  const bitmap = await createImageBitmap(canvas);
+  const texture = new THREE.Texture(bitmap);
+  makePrintTextureCrisp(texture, renderer);
+  texture.userData.isUserArtwork = true;
+  return texture;
+}
+
+/**
+ * Put an artwork texture on a texture layer's map. A previous user artwork on the layer is
+ * disposed; model textures are left alone (they are kept for Reset).
+ *
+ * @param {Object} layer - Texture layer { mesh, materialIndex, mapType }
+ * @param {THREE.Texture} texture - Artwork texture
+ * @returns {THREE.Material|null} Updated material, or null if the layer is invalid
+ */
+export function applyArtworkTexture(layer, texture) {
+  if (!layer?.mesh || !layer.mesh.material) return null;
+  const mats = Array.isArray(layer.mesh.material) ? layer.mesh.material : [layer.mesh.material];
+  const mat = mats[layer.materialIndex];
+  if (!mat) return null;
+
+  const previous = mat[layer.mapType];
+  if (previous && previous !== texture && previous.userData.isUserArtwork) {
+    previous.dispose();
+  }
+  mat[layer.mapType] = texture;
+  mat.needsUpdate = true;
+  return mat;
+}
+
+const BLIT_VERTEX_SHADER = /* glsl */ `
+  varying vec2 vUv;
+  void main() {
+    vUv = uv;
+    gl_Position = vec4(position.xy, 0.0, 1.0);
+  }
+`;
+
+// sRGB textures are decoded to linear by the GPU when sampled, so re-encode them for 8-bit canvas output
+const BLIT_FRAGMENT_SHADER = /* glsl */ `
+  uniform sampler2D map;
+  varying vec2 vUv;
+  void main() {
+    vec4 texel = texture2D(map, vUv);
+    #ifdef SRGB_OUTPUT
+      gl_FragColor = sRGBTransferOETF(texel);
+    #else
+      gl_FragColor = texel;
+    #endif
+  }
+`;
+
+/**
+ * Draw a texture's image into a new 2D canvas.
+ *
+ * Works for every texture the glTF pipeline produces: HTMLImageElement / ImageBitmap / canvas
+ * sources are drawn directly, GPU-only textures (KTX2/Basis CompressedTexture) are rendered
+ * into a render target and read back.
+ *
+ * @param {THREE.Texture} texture - Texture to read
+ * @param {THREE.WebGLRenderer} renderer - Renderer (required for compressed textures)
+ * @param {number} maxSize - Maximum output width/height in pixels (default: 4096; Infinity keeps the natural size)
+ * @returns {HTMLCanvasElement|null} Canvas with the image (top row first), or null if unreadable
+ */
+export function textureToCanvas(texture, renderer, maxSize = 4096) {
+  const image = texture?.image;
+  const srcW = image?.naturalWidth || image?.width;
+  const srcH = image?.naturalHeight || image?.height;
+  if (!srcW || !srcH) return null;
+
+  const scale = Math.min(1, maxSize / Math.max(srcW, srcH));
+  const width = Math.max(1, Math.round(srcW * scale));
+  const height = Math.max(1, Math.round(srcH * scale));
+
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+
+  const isDrawable =
+    (typeof HTMLImageElement !== "undefined" && image instanceof HTMLImageElement) ||
+    (typeof HTMLCanvasElement !== "undefined" && image instanceof HTMLCanvasElement) ||
+    (typeof ImageBitmap !== "undefined" && image instanceof ImageBitmap);
+
+  if (isDrawable) {
+    ctx.drawImage(image, 0, 0, width, height);
+    return canvas;
+  }
+
+  if (!renderer) return null;
+
+  // GPU path: blit the texture into an 8-bit render target and read the pixels back
+  const target = new THREE.WebGLRenderTarget(width, height);
+  const material = new THREE.ShaderMaterial({
+    uniforms: { map: { value: texture } },
+    vertexShader: BLIT_VERTEX_SHADER,
+    fragmentShader: BLIT_FRAGMENT_SHADER,
+    defines: texture.colorSpace === THREE.SRGBColorSpace ? { SRGB_OUTPUT: "" } : {},
+    depthTest: false,
+    depthWrite: false,
+  });
+  const quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), material);
+  const blitScene = new THREE.Scene();
+  blitScene.add(quad);
+  const blitCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+
+  const pixels = new Uint8Array(width * height * 4);
+  const previousTarget = renderer.getRenderTarget();
+  try {
+    renderer.setRenderTarget(target);
+    renderer.render(blitScene, blitCamera);
+    renderer.readRenderTargetPixels(target, 0, 0, width, height, pixels);
+  } finally {
+    renderer.setRenderTarget(previousTarget);
+    target.dispose();
+    material.dispose();
+    quad.geometry.dispose();
+  }
+
+  // readPixels starts at the bottom row, i.e. at v = 0. For flipY=false textures (glTF) v = 0 is
+  // already the top of the image; flipY=true textures have to be flipped back.
+  const imageData = ctx.createImageData(width, height);
+  const rowBytes = width * 4;
+  for (let y = 0; y < height; y++) {
+    const srcRow = texture.flipY ? height - 1 - y : y;
+    imageData.data.set(pixels.subarray(srcRow * rowBytes, (srcRow + 1) * rowBytes), y * rowBytes);
+  }
+  ctx.putImageData(imageData, 0, 0);
+  return canvas;
+}